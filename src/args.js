@@ -0,0 +1,86 @@
+/**
+ * TerraformJS command line options.
+ *
+ * The options are parsed only before the Terraform command or anywhere
+ * after the commands that are specific to TerraformJS.
+ */
+export const OPTIONS = {
+  '--config': { name: 'config', type: 'string' },
+  '--force': { name: 'force', type: 'boolean' },
+  '--keep': { name: 'keep', type: 'boolean' },
+  '--format': { name: 'format', type: 'string', choices: ['json', 'hcl'] },
+  '--out': { name: 'out', type: 'string' },
+  '--reporter': {
+    name: 'reporter',
+    type: 'string',
+    choices: ['text', 'json', 'sarif']
+  },
+  '--verbose': { name: 'verbose', type: 'boolean' },
+  '--watch': { name: 'watch', type: 'boolean' }
+};
+
+/**
+ * Commands that are specific to TerraformJS and are not passed to Terraform.
+ */
+export const COMMANDS = [
+  'generate',
+  'import-config',
+  'lint',
+  'graph',
+  'schema'
+];
+
+/**
+ * Separates the TerraformJS options from the Terraform command line arguments.
+ *
+ * The string options are accepted in the forms "--option value" and "--option=value".
+ *
+ * @param {string[]} argv - Array of command line arguments
+ * @returns {object} Object of the TerraformJS options and the Terraform arguments
+ * @throws {Error} If an option value is missing or invalid
+ */
+export function parseArgs(argv) {
+  const options = {};
+  const args = [];
+
+  let parsing = true;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.split(/=(.*)/s);
+    const option = parsing && OPTIONS[flag];
+
+    if (option) {
+      if (option.type === 'boolean') {
+        options[option.name] = true;
+        continue;
+      }
+
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+
+      if (value === undefined) {
+        throw new Error(`Missing value for the ${flag} option`);
+      }
+
+      if (option.choices && !option.choices.includes(value)) {
+        throw new Error(
+          `Invalid value "${value}" for the ${flag} option, expected one of: ${option.choices.join(
+            ', '
+          )}`
+        );
+      }
+
+      options[option.name] = value;
+      continue;
+    }
+
+    // Stop parsing at the first Terraform argument
+    if (parsing && args.length === 0 && !COMMANDS.includes(arg)) {
+      parsing = false;
+    }
+
+    args.push(arg);
+  }
+
+  return { options, args };
+}
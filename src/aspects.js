@@ -0,0 +1,123 @@
+import { Block, TYPE, LABELS, getBlockBody } from './base.js';
+
+/**
+ * Global symbol of the aspects registry.
+ *
+ * The registry is stored on the global object to share the aspects added
+ * using another copy of the package, such as a local and a global installation.
+ *
+ * @type {symbol}
+ */
+const ASPECTS = Symbol.for('terraformjs.aspects');
+
+/**
+ * Returns the array of the registered aspects.
+ *
+ * @returns {function[]} Array of aspect functions
+ */
+function getAspects() {
+  if (!globalThis[ASPECTS]) {
+    globalThis[ASPECTS] = [];
+  }
+
+  return globalThis[ASPECTS];
+}
+
+/**
+ * Registers an aspect, a function called with every block before generating the files.
+ *
+ * The aspect receives an object of the block type, labels and body that can
+ * be modified and a context object of the source file name and functions
+ * to add other blocks or to remove the block, an error thrown by the aspect
+ * fails the generation of the file.
+ *
+ * @param {function} aspect - Function receiving the block and the context objects
+ * @returns {function} Function that removes the aspect
+ *
+ * @example
+ * addAspect(block => {
+ *   if (block.type === 'resource' && block.labels[0].startsWith('aws_')) {
+ *     block.body.tags = { Team: 'infra', ...block.body.tags };
+ *   }
+ * });
+ */
+export function addAspect(aspect) {
+  if (typeof aspect !== 'function') {
+    throw new TypeError('The aspect must be a function');
+  }
+
+  getAspects().push(aspect);
+
+  return () => {
+    const aspects = getAspects();
+    const index = aspects.indexOf(aspect);
+
+    if (index !== -1) {
+      aspects.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Applies the registered aspects to the Block instances.
+ *
+ * The blocks are not modified, the aspects receive a shallow copy of the body
+ * and new Block instances are created with the modified types, labels and bodies,
+ * the blocks added by the aspects are not passed to the aspects.
+ *
+ * @param {Block[]} blocks - Array of Block instances
+ * @param {string} [file] - Name of the source file of the blocks
+ * @returns {Block[]} Array of Block instances
+ * @throws {Error} If an aspect fails, the message is prefixed with the block address
+ */
+export async function applyAspects(blocks, file) {
+  const aspects = [...getAspects()];
+
+  if (aspects.length === 0) {
+    return blocks;
+  }
+
+  const result = [];
+
+  for (const block of blocks) {
+    const node = {
+      type: block[TYPE],
+      labels: [...block[LABELS]],
+      // The resolved body is shared by all the renderings of the block
+      body: { ...(await getBlockBody(block)) }
+    };
+    const added = [];
+
+    let removed = false;
+
+    const context = {
+      file,
+      add: (...others) => added.push(...others),
+      remove: () => {
+        removed = true;
+      }
+    };
+
+    for (const aspect of aspects) {
+      try {
+        await aspect(node, context);
+      } catch (err) {
+        // The file name is added by the error objects of the source files
+        err.message = `${[node.type, ...node.labels].join('.')}: ${err.message}`;
+        throw err;
+      }
+
+      if (removed) {
+        break;
+      }
+    }
+
+    if (!removed) {
+      result.push(new Block(node.type, node.labels, node.body));
+    }
+
+    result.push(...added);
+  }
+
+  return result;
+}
@@ -7,6 +7,69 @@ export const TYPE = Symbol.for('type');
 export const LABELS = Symbol.for('labels');
 export const BODY = Symbol.for('body');
 
+/**
+ * Global symbols used to identify the Interpolation instances.
+ *
+ * COMPOUND marks the expressions that must be wrapped in parentheses
+ * when used as operands or when accessing their attributes.
+ *
+ * @type {symbol}
+ */
+export const INTERPOLATION = Symbol.for('interpolation');
+export const COMPOUND = Symbol.for('compound');
+
+/**
+ * Global symbol used to identify the template strings, such as the strings returned by template() and literal().
+ *
+ * @type {symbol}
+ */
+export const TEMPLATE = Symbol.for('template');
+
+/**
+ * Global symbol used to identify the Component instances, its value is the array of the child blocks.
+ *
+ * @type {symbol}
+ */
+export const COMPONENT = Symbol.for('component');
+
+/**
+ * Global symbol of the array of the Block instances created while tracking the blocks.
+ *
+ * @type {symbol}
+ */
+const CREATED = Symbol.for('terraformjs.created');
+
+/**
+ * Regular expression matching the valid Terraform identifiers.
+ */
+const IDENTIFIER = /^[a-zA-Z_][\w-]*$/;
+
+/**
+ * Returns an expression accessing an attribute or an index of another expression.
+ *
+ * Numbers are used as indexes, "*" is used as a full splat, valid identifiers
+ * are used as attributes and any other string is used as a quoted key.
+ *
+ * @param {string} expression - Terraform expression
+ * @param {string} property - Accessed attribute name, key or index
+ * @returns {string} Expression string
+ */
+export function accessExpression(expression, property) {
+  if (property === '*') {
+    return `${expression}[*]`;
+  }
+
+  if (/^\d+$/.test(property)) {
+    return `${expression}[${property}]`;
+  }
+
+  if (IDENTIFIER.test(property)) {
+    return `${expression}.${property}`;
+  }
+
+  return `${expression}[${JSON.stringify(property)}]`;
+}
+
 /**
  * Class respresenting the interpolation syntax in Terraform.
  * The interpolations are wrapped in ${}, such as ${var.foo}.
@@ -18,10 +81,13 @@ export class Interpolation {
    * Creates an instance of Interpolation.
    *
    * @param {string} expression - Terraform named value expression
+   * @param {bool} compound - Whether the expression is composed using operators
    * @returns {Proxy} Proxy object that handles dynamic property access
    */
-  constructor(expression) {
+  constructor(expression, compound = false) {
     this.expression = expression;
+    this[INTERPOLATION] = true;
+    this[COMPOUND] = compound;
 
     return new Proxy(this, {
       // When accessing a non existent property return a new interpolation object
@@ -30,19 +96,14 @@ export class Interpolation {
           return target[property];
         }
 
-        // property is a Symbol
-        const prop = property.toString();
-        const isIndex = !isNaN(Number(prop));
-
-        let newExpression;
+        const expression = target[COMPOUND]
+          ? `(${target.expression})`
+          : target.expression;
 
-        if (isIndex) {
-          newExpression = `${target.expression}[${prop}]`;
-        } else {
-          newExpression = `${target.expression}.${prop}`;
-        }
-
-        return new Interpolation(newExpression);
+        // property is a Symbol
+        return new Interpolation(
+          accessExpression(expression, property.toString())
+        );
       }
     });
   }
@@ -63,6 +124,46 @@ export class Interpolation {
   }
 }
 
+/**
+ * Checks if a value is an Interpolation instance.
+ *
+ * The global symbols are used instead of instanceof to support the instances
+ * created by another copy of the package.
+ *
+ * @param {*} value - Any value
+ * @returns {bool}
+ */
+export function isInterpolation(value) {
+  return value !== null && typeof value === 'object' && INTERPOLATION in value;
+}
+
+/**
+ * Checks if a value is a template string.
+ *
+ * The template strings are String objects, they are serialized to JSON as strings.
+ *
+ * @param {*} value - Any value
+ * @returns {bool}
+ */
+export function isTemplate(value) {
+  return value instanceof String && TEMPLATE in value;
+}
+
+/**
+ * Checks if a value is a Block instance.
+ *
+ * @param {*} value - Any value
+ * @returns {bool}
+ */
+export function isBlock(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    !isInterpolation(value) &&
+    BODY in value
+  );
+}
+
 /**
  * Class representing a Terraform block of any type.
  *
@@ -82,7 +183,7 @@ export class Block {
     this[LABELS] = labels;
     this[BODY] = body;
 
-    return new Proxy(this, {
+    const proxy = new Proxy(this, {
       // Handle access to non existent properties
       get(target, property) {
         // If the property already exists return it
@@ -93,6 +194,13 @@ export class Block {
         return target.getInterpolation(property.toString());
       }
     });
+
+    // Register the block created by the tracked module
+    if (globalThis[CREATED]) {
+      globalThis[CREATED].push(proxy);
+    }
+
+    return proxy;
   }
 
   /**
@@ -150,7 +258,7 @@ export class Block {
         parts.push('default');
       }
     } else if (prop) {
-      parts.push(prop);
+      return accessExpression(parts.join('.'), prop);
     }
 
     return parts.join('.');
@@ -170,6 +278,75 @@ export class Block {
   }
 }
 
+/**
+ * Promises of the bodies of the Block instances using body functions.
+ *
+ * The body functions might fetch data, they are called once and their results
+ * are shared by the reference search, the aspects and the rendering.
+ */
+const BODIES = new WeakMap();
+
+/**
+ * Returns the body of a Block instance, the body function is only called once.
+ *
+ * @param {Block} block - Block instance
+ * @returns {object} Block body
+ * @throws {Error} If the body function fails, the message is prefixed with the block address
+ */
+export function getBlockBody(block) {
+  const body = block[BODY];
+
+  if (typeof body !== 'function') {
+    return Promise.resolve(body);
+  }
+
+  if (!BODIES.has(block)) {
+    const promise = (async () => {
+      try {
+        return await body();
+      } catch (err) {
+        if (err instanceof Error) {
+          err.message = `${[block[TYPE], ...block[LABELS]].join('.')}: ${
+            err.message
+          }`;
+        }
+
+        throw err;
+      }
+    })();
+
+    // The rejection is handled by the callers
+    promise.catch(() => {});
+
+    BODIES.set(block, promise);
+  }
+
+  return BODIES.get(block);
+}
+
+/**
+ * Calls a function and returns the Block instances created until it resolves.
+ *
+ * Used to track the blocks created by importing each module, the calls must
+ * not be concurrent and the blocks created by the imported modules that are
+ * already in the modules cache are not tracked again.
+ *
+ * @param {function} callback - Function to call, such as a function that imports a module
+ * @returns {object} Object of the result of the function and the array of the created blocks
+ */
+export async function trackBlocks(callback) {
+  const previous = globalThis[CREATED];
+  const created = [];
+
+  globalThis[CREATED] = created;
+
+  try {
+    return { result: await callback(), blocks: created };
+  } finally {
+    globalThis[CREATED] = previous;
+  }
+}
+
 /**
  * Class used to create custom callable objects.
  *
@@ -189,6 +366,23 @@ export class CallableObject extends Function {
   }
 }
 
+/**
+ * Checks if a property accessed on a block builder is one of its internal properties.
+ *
+ * The other properties are block labels, including the function properties
+ * such as "name" and "length".
+ *
+ * @param {(string|symbol)} property - Accessed property
+ * @returns {bool}
+ */
+export function isBuilderProperty(property) {
+  return (
+    typeof property === 'symbol' ||
+    property === '__call__' ||
+    property === '__self__'
+  );
+}
+
 /**
  * Class representing a Block instance builder.
  *
@@ -200,19 +394,19 @@ export class BlockContent extends CallableObject {
    * Creates a BlockContent instance.
    *
    * @param {string} type - The type of the block to create
-   * @param {string} label - The first block label
+   * @param {...string} labels - The first block labels
    * @returns {Proxy} Proxy object that handles dynamic property access
    */
-  constructor(type, label) {
+  constructor(type, ...labels) {
     super();
 
     this[TYPE] = type;
-    this[LABELS] = label ? [label] : [];
+    this[LABELS] = labels;
 
     return new Proxy(this, {
       // Handle chaining labels
       get(target, property) {
-        if (property in target) {
+        if (isBuilderProperty(property)) {
           return target[property];
         }
 
@@ -250,22 +444,34 @@ export class TerraformBlock extends CallableObject {
    * Creates a TerraformBlock instance.
    *
    * @param {string} type - Top level block type
+   * @param {...string} labels - Labels preceding the chained labels, such as a resource type
    * @returns {Proxy} Proxy object that handles dynamic property access
    */
-  constructor(type) {
+  constructor(type, ...labels) {
     super();
 
     this[TYPE] = type;
+    this[LABELS] = labels;
 
     return new Proxy(this, {
       // Handle dynamic property access
       get(target, property) {
-        if (property in target) {
+        if (isBuilderProperty(property)) {
           return target[property];
         }
 
+        // The terraform block has no labels, its properties are the
+        // references to the terraform object such as terraform.workspace
+        if (target[TYPE] === 'terraform') {
+          return new Interpolation(`terraform.${property.toString()}`);
+        }
+
         // Return an object that handles creating a new Block instance
-        return new BlockContent(target[TYPE], property.toString());
+        return new BlockContent(
+          target[TYPE],
+          ...target[LABELS],
+          property.toString()
+        );
       }
     });
   }
@@ -277,7 +483,7 @@ export class TerraformBlock extends CallableObject {
    * @returns {Block} Block object
    */
   __call__(body = {}) {
-    // Pass an empty labels array
-    return new Block(this[TYPE], [], body);
+    // Pass a copy of the preset labels, an empty array for most blocks
+    return new Block(this[TYPE], [...this[LABELS]], body);
   }
 }
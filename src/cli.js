@@ -3,51 +3,256 @@
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
-import child_process from 'child_process';
-import { getFiles, generateJSON } from './utils.js';
+import { findFiles, getOutputFiles, renderExports, FORMATS } from './utils.js';
+import { parseArgs } from './args.js';
+import { loadConfig, resolveSettings } from './config.js';
+import { addAspect } from './aspects.js';
+import { trackBlocks } from './base.js';
+import { importModule, SOURCE_PATTERN } from './loader.js';
+import { createError, formatError } from './errors.js';
+import { loadContext } from './context.js';
+import { isSecret, getSecretBlocks, getSecretEnv, redact } from './secrets.js';
+import {
+  renderVariables,
+  getDeclaredVariables,
+  TFVARS_SUFFIX
+} from './tfvars.js';
+import {
+  registerBlocks,
+  findUnexportedBlocks,
+  unexportedWarning
+} from './registry.js';
+import { importConfig } from './importer.js';
+import { createProject, lint, RULES, REPORTERS } from './lint.js';
+import { loadSchema, createSchemaRule, generateTypes } from './schema.js';
+import { createGraph, GRAPH_FORMATS } from './graph.js';
+import { watch } from './watch.js';
+import { runTerraform, trapSignals, exitCode } from './terraform.js';
+import {
+  readManifest,
+  writeManifest,
+  trackFile,
+  checkOverwrite,
+  removeGeneratedFiles
+} from './manifest.js';
 
 /**
- * Generates Terraform JSON files from tf.js files in a directory.
+ * Imports the tf.js files of a directory.
+ *
+ * All the files are imported first to apply the aspects added by any module to all the blocks,
+ * the blocks created by each module are tracked to find the referenced blocks that are not exported.
  *
  * @param {string} dir - Directory path
- * @returns {string[]} Array of generated JSON files
+ * @param {string[]} files - Array of tf.js file paths relative to the directory
+ * @returns {object} Object of the maps of the file paths to the module namespace objects and to the created blocks and the import errors
  */
-async function generateFiles(dir) {
-  const generatedFiles = [];
-
-  const files = await getFiles(dir, '.tf.js');
+async function importModules(dir, files) {
+  const modules = new Map();
+  const created = new Map();
+  const errors = [];
 
   for (const file of files) {
-    const fullPath = path.join(dir, file);
+    try {
+      const { result, blocks } = await trackBlocks(() =>
+        importModule(path.join(dir, file))
+      );
+
+      modules.set(file, result);
+      created.set(file, blocks);
+    } catch (err) {
+      errors.push(createError(err, file));
+    }
+  }
+
+  return { modules, created, errors };
+}
+
+/**
+ * Generates Terraform configuration files from tf.js files in a directory.
+ *
+ * The variable values exported using tfvars are written to the .auto.tfvars.json files.
+ *
+ * The errors of all the files and their exports are collected before writing any file,
+ * no file is written if any error is found.
+ *
+ * The generated files are tracked in the manifest file of the output directory.
+ *
+ * @param {string} dir - Directory path
+ * @param {object} options - Generation options
+ * @param {bool} options.force - Overwrite the files that were not generated by TerraformJS
+ * @param {string} options.format - Output format "json" or "hcl"
+ * @param {string[]} options.sources - Glob patterns of the source files
+ * @param {string} options.outDir - Directory of the generated files relative to the directory
+ * @param {function[]} options.aspects - Aspects of the configuration applied to all the blocks
+ * @param {bool} options.includeUnexported - Include the referenced blocks that are not exported
+ * @returns {object} Object of the generated files, the warnings and the error objects
+ */
+async function generateFiles(
+  dir,
+  {
+    force = false,
+    format = 'json',
+    sources = [SOURCE_PATTERN],
+    outDir = '.',
+    aspects = [],
+    includeUnexported = false
+  } = {}
+) {
+  const { suffix } = FORMATS[format];
+  const outputDir = path.resolve(dir, outDir);
+
+  const files = await findFiles(dir, sources);
+  const outputs = getOutputFiles(files, suffix);
+  const tfvarsOutputs = getOutputFiles(files, TFVARS_SUFFIX);
+
+  aspects.forEach(addAspect);
+
+  const { modules, created, errors } = await importModules(dir, [
+    ...outputs.keys()
+  ]);
+
+  // Detect the blocks defined more than once before writing any file
+  const registry = new Map();
+
+  for (const [file, exports] of modules) {
+    try {
+      await registerBlocks(registry, file, exports);
+    } catch (err) {
+      errors.push(createError(err, file));
+    }
+  }
+
+  const warnings = [];
+  let unexported = await findUnexportedBlocks(modules, created);
 
-    const blocks = await import(fullPath);
+  if (!includeUnexported) {
+    for (const [file, blocks] of unexported) {
+      for (const block of blocks) {
+        if (!isSecret(block)) {
+          warnings.push(unexportedWarning(file, block));
+        }
+      }
+    }
+
+    // The variables of the secrets are always declared
+    unexported = getSecretBlocks(unexported);
+  }
 
-    await generateJSON(
-      fullPath.replace('.tf.js', '.tf.json'),
-      // Array of the exported Block instances
-      Object.values(blocks)
+  // Map of the generated file names to their source files and contents
+  const contents = new Map();
+
+  for (const [file, exports] of modules) {
+    const { content, errors: renderErrors } = await renderExports(
+      exports,
+      file,
+      format,
+      unexported.get(file)
+    );
+
+    if (renderErrors) {
+      errors.push(...renderErrors);
+    } else {
+      contents.set(outputs.get(file), { file, content });
+    }
+  }
+
+  // The variable values are validated against the variables declared by all the files
+  const declared = getDeclaredVariables(registry);
+
+  for (const [file, exports] of modules) {
+    const { content, errors: variablesErrors } = await renderVariables(
+      exports,
+      file,
+      declared
     );
 
-    generatedFiles.push(file.replace('.tf.js', '.tf.json'));
+    if (variablesErrors) {
+      errors.push(...variablesErrors);
+    } else if (content !== null) {
+      contents.set(tfvarsOutputs.get(file), { file, content });
+    }
+  }
+
+  const manifest = await readManifest(outputDir);
+
+  for (const [outputFile, { file }] of contents) {
+    try {
+      await checkOverwrite(outputDir, manifest, outputFile, force);
+    } catch (err) {
+      errors.push(createError(err, file));
+    }
+  }
+
+  if (errors.length > 0) {
+    return { generated: [], warnings, errors };
   }
 
-  return generatedFiles;
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const written = [];
+
+  try {
+    for (const [outputFile, { content }] of contents) {
+      await fs.promises.writeFile(
+        path.join(outputDir, outputFile),
+        content,
+        'utf8'
+      );
+
+      written.push(outputFile);
+    }
+  } catch (err) {
+    // Never leave a partially generated configuration
+    for (const outputFile of written) {
+      await fs.promises.unlink(path.join(outputDir, outputFile));
+    }
+
+    throw err;
+  }
+
+  for (const [outputFile, { file, content }] of contents) {
+    trackFile(manifest, outputFile, file, content);
+  }
+
+  await writeManifest(outputDir, manifest);
+
+  return { generated: written, warnings, errors };
 }
 
 /**
- * Removes all the tf.json files from a directory.
+ * Removes the previously generated files from a directory.
+ *
+ * Only the files tracked in the manifest are removed, the generated files
+ * that were modified afterwards are kept unless forced.
  *
  * @param {string} dir - Directory path
- * @returns {string[]} Array of removed JSON files
+ * @param {bool} force - Remove the modified files too
+ * @returns {object} Object of the removed and modified file names
  */
-async function removeFiles(dir) {
-  const files = await getFiles(dir, '.tf.json');
+async function removeFiles(dir, force = false) {
+  const manifest = await readManifest(dir);
 
-  for (const file of files) {
-    await fs.promises.unlink(path.join(dir, file));
-  }
+  const result = await removeGeneratedFiles(dir, manifest, force);
 
-  return files;
+  await writeManifest(dir, manifest);
+
+  return result;
+}
+
+/**
+ * Logs a warning for the generated files that were modified manually.
+ *
+ * @param {string[]} files - Array of modified file names
+ * @param {bool} force - Whether the files were removed
+ */
+function warnModified(files, force = false) {
+  if (files.length > 0) {
+    console.warn(
+      colorize('Generated files modified manually:', '33;1'),
+      files.join(', '),
+      force ? '(removed)' : '(kept)'
+    );
+  }
 }
 
 /**
@@ -62,23 +267,321 @@ function colorize(text, code = '31;1') {
   return `\x1b[${code}m${text}\x1b[0m`;
 }
 
+/**
+ * Logs the error objects of the source files and their exports.
+ *
+ * @param {string} title - Title of the errors
+ * @param {object[]} errors - Array of error objects
+ * @param {bool} verbose - Log the stack traces
+ */
+function printErrors(title, errors, verbose = false) {
+  console.error(colorize(title));
+
+  for (const error of errors) {
+    console.error(`  ${formatError(error, verbose)}`);
+  }
+}
+
+/**
+ * Watches the tf.js files and regenerates the affected files on changes.
+ *
+ * @param {string} dir - Directory path
+ * @param {object} options - TerraformJS options
+ */
+async function watchFiles(dir, options = {}) {
+  const workerPath = path.join(
+    path.dirname(fileURLToPath(import.meta.url)),
+    'worker.js'
+  );
+
+  await watch(dir, {
+    ...options,
+    workerPath,
+    onUpdate({ generated, removed, modified, warnings, errors }) {
+      if (removed.length > 0) {
+        console.log(colorize('Removed files:'), removed.join(', '));
+      }
+
+      warnModified(modified, options.force);
+
+      for (const warning of warnings) {
+        console.warn(colorize(warning, '33;1'));
+      }
+
+      if (generated.length > 0) {
+        console.log(colorize('Generated files:', '36;1'), generated.join(', '));
+      }
+
+      for (const error of errors) {
+        console.error(colorize('Error:'), formatError(error, options.verbose));
+      }
+    }
+  });
+
+  console.log(colorize('Watching for changes...', '36;1'));
+}
+
+/**
+ * Converts the existing Terraform configuration files to tf.js files.
+ *
+ * @param {string} input - Configuration file or directory path
+ * @param {object} options - TerraformJS options
+ */
+async function importFiles(input = '.', options = {}) {
+  try {
+    const { modules, sources, warnings } = await importConfig(input, options);
+
+    for (const warning of warnings) {
+      console.warn(colorize(warning, '33;1'));
+    }
+
+    if (modules.length === 0) {
+      console.log(colorize('No configuration files were found', '36;1'));
+      return;
+    }
+
+    console.log(colorize('Created files:', '36;1'), modules.join(', '));
+    console.log(
+      colorize('Remove the original files before generating:', '33;1'),
+      sources.join(', ')
+    );
+  } catch (err) {
+    console.error(colorize('Error importing the configuration:'), err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Runs the lint rules over the blocks of the tf.js files and reports the issues.
+ *
+ * The blocks are validated against the provider schema file if it exists.
+ *
+ * Exits with the code 1 if any error is found or 2 if the files cannot be linted.
+ *
+ * @param {string} dir - Directory path
+ * @param {object} settings - Settings resolved from the configuration and the options
+ * @param {string} reporter - Report format "text", "json" or "sarif"
+ * @param {bool} schemaOnly - Only validate the blocks against the provider schema file
+ */
+async function lintFiles(dir, settings, reporter = 'text', schemaOnly = false) {
+  let result;
+
+  try {
+    settings.aspects.forEach(addAspect);
+
+    await loadContext(path.resolve(dir, settings.outDir), args);
+
+    const schemaPath = path.resolve(dir, settings.schema);
+    const { rules = {}, customRules = [] } = schemaOnly
+      ? { rules: Object.fromEntries(RULES.map(rule => [rule.name, 'off'])) }
+      : settings.lint;
+
+    // The schema file is required only for the schema validation
+    const schemaRules =
+      schemaOnly || fs.existsSync(schemaPath)
+        ? [createSchemaRule(await loadSchema(schemaPath))]
+        : [];
+
+    const files = await findFiles(dir, settings.sources);
+    const { modules, created, errors } = await importModules(dir, files);
+
+    if (errors.length > 0) {
+      printErrors('Error importing the files:', errors, settings.verbose);
+      process.exit(2);
+    }
+
+    const project = await createProject(
+      modules,
+      getSecretBlocks(await findUnexportedBlocks(modules, created))
+    );
+
+    result = lint(project, {
+      rules,
+      customRules: [...customRules, ...schemaRules]
+    });
+  } catch (err) {
+    console.error(colorize('Error linting the files:'), redact(err.message));
+    process.exit(2);
+  }
+
+  const { rules, issues } = result;
+
+  if (reporter === 'text' && issues.length === 0) {
+    console.log(colorize('No problems were found', '36;1'));
+  } else {
+    console.log(REPORTERS[reporter](issues, rules));
+  }
+
+  process.exit(issues.some(issue => issue.severity === 'error') ? 1 : 0);
+}
+
+/**
+ * Prints the dependency graph of the blocks of the tf.js files.
+ *
+ * @param {string} dir - Directory path
+ * @param {object} settings - Settings resolved from the configuration and the options
+ * @param {string} format - Graph format "dot", "mermaid" or "json"
+ */
+async function graphFiles(dir, settings, format = 'dot') {
+  if (!GRAPH_FORMATS[format]) {
+    console.error(
+      colorize('Invalid arguments:'),
+      `Invalid graph format "${format}", expected one of: ${Object.keys(
+        GRAPH_FORMATS
+      ).join(', ')}`
+    );
+    process.exit(1);
+  }
+
+  try {
+    settings.aspects.forEach(addAspect);
+
+    await loadContext(path.resolve(dir, settings.outDir), args);
+
+    const files = await findFiles(dir, settings.sources);
+    const { modules, created, errors } = await importModules(dir, files);
+
+    if (errors.length > 0) {
+      printErrors('Error importing the files:', errors, settings.verbose);
+      process.exit(1);
+    }
+
+    const graph = createGraph(
+      await createProject(
+        modules,
+        getSecretBlocks(await findUnexportedBlocks(modules, created))
+      )
+    );
+
+    console.log(GRAPH_FORMATS[format](graph));
+  } catch (err) {
+    console.error(colorize('Error creating the graph:'), redact(err.message));
+    process.exit(1);
+  }
+}
+
+/**
+ * Validates the blocks against the provider schema file or generates its TypeScript declarations.
+ *
+ * @param {string} dir - Directory path
+ * @param {object} settings - Settings resolved from the configuration and the options
+ * @param {string} subcommand - Schema command "validate" or "types"
+ * @param {string} file - Path of the generated declarations file relative to the directory
+ * @param {string} reporter - Report format of the validation "text", "json" or "sarif"
+ */
+async function schemaFiles(
+  dir,
+  settings,
+  subcommand,
+  file = 'providers.d.ts',
+  reporter = 'text'
+) {
+  if (subcommand === 'validate') {
+    await lintFiles(dir, settings, reporter, true);
+    return;
+  }
+
+  if (subcommand !== 'types') {
+    console.error(
+      colorize('Invalid arguments:'),
+      'Expected a schema command of: validate, types'
+    );
+    process.exit(1);
+  }
+
+  try {
+    const schema = await loadSchema(path.resolve(dir, settings.schema));
+
+    await fs.promises.writeFile(
+      path.resolve(dir, file),
+      generateTypes(schema),
+      'utf8'
+    );
+
+    console.log(colorize('Generated file:', '36;1'), file);
+  } catch (err) {
+    console.error(colorize('Error generating the types:'), err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Promise of the removal of the files generated for the Terraform execution.
+ */
+let cleanup = null;
+
+/**
+ * Removes the generated files after the Terraform execution.
+ *
+ * The files are removed only once even if called from multiple exit paths.
+ *
+ * @param {string} dir - Directory path
+ * @returns {Promise}
+ */
+function removeGenerated(dir) {
+  if (!cleanup) {
+    cleanup = (async () => {
+      try {
+        const { modified } = await removeFiles(dir);
+
+        warnModified(modified);
+      } catch (err) {
+        console.error(
+          colorize('Error removing the generated files:'),
+          err.message
+        );
+      }
+    })();
+  }
+
+  return cleanup;
+}
+
 /**
  * Generate the JSON files and execute Terraform afterwards.
  *
  * @param {bool} generate - Generate the JSON files
  * @param {bool} execute - Execute Terraform
  * @param {string[]} args - Array of command line arguments
+ * @param {object} settings - Settings resolved from the configuration and the options
  */
-async function run(generate = true, execute = true, args = []) {
+async function run(generate = true, execute = true, args = [], settings = {}) {
+  const { force = false, keepGenerated = false } = settings;
   const cwd = process.cwd();
+  const outDir = path.resolve(cwd, settings.outDir || '.');
+
+  // The generated files are kept when Terraform is not executed
+  const exit = async code => {
+    if (execute && !keepGenerated) {
+      await removeGenerated(outDir);
+    }
+
+    process.exit(code);
+  };
+
+  // Signal received before executing Terraform
+  let interrupted = null;
+
+  // Finish generating the files before exiting unless interrupted again
+  const release = execute
+    ? trapSignals((signal, count) => {
+        interrupted = signal;
+
+        if (count > 1) {
+          exit(exitCode(null, signal));
+        }
+      })
+    : () => {};
 
   if (generate) {
     try {
-      const files = await removeFiles(cwd);
+      const { removed, modified } = await removeFiles(outDir, force);
 
-      if (files.length > 0) {
-        console.log(colorize('Removed files:'), files.join(', '));
+      if (removed.length > 0) {
+        console.log(colorize('Removed files:'), removed.join(', '));
       }
+
+      warnModified(modified, force);
     } catch (err) {
       console.error(
         colorize('Error removing the previously generated files:'),
@@ -89,7 +592,40 @@ async function run(generate = true, execute = true, args = []) {
     }
 
     try {
-      const files = await generateFiles(cwd);
+      // The modules can use the context when imported, the previously
+      // generated .auto.tfvars.json files are removed before loading the variables
+      await loadContext(outDir, args);
+    } catch (err) {
+      console.error(colorize('Error loading the context:'), err.message);
+      process.exit(1);
+    }
+
+    if (settings.watch) {
+      await watchFiles(cwd, settings);
+      return;
+    }
+
+    try {
+      const {
+        generated: files,
+        warnings,
+        errors
+      } = await generateFiles(cwd, settings);
+
+      for (const warning of warnings) {
+        console.warn(colorize(warning, '33;1'));
+      }
+
+      if (errors.length > 0) {
+        printErrors(
+          `Error generating the files, no file was written (${errors.length} ${
+            errors.length === 1 ? 'error' : 'errors'
+          }):`,
+          errors,
+          settings.verbose
+        );
+        await exit(1);
+      }
 
       if (files.length > 0) {
         console.log(colorize('Generated files:', '36;1'), files.join(', '));
@@ -97,46 +633,49 @@ async function run(generate = true, execute = true, args = []) {
         console.log(colorize('No files were generated', '36;1'));
       }
     } catch (err) {
-      console.error(colorize('Error generating the JSON files:'), err.message);
-      process.exit(1);
+      console.error(
+        colorize('Error generating the files:'),
+        redact(settings.verbose ? err.stack : err.message)
+      );
+      await exit(1);
     }
   }
 
+  release();
+
+  if (interrupted) {
+    await exit(exitCode(null, interrupted));
+  }
+
   if (execute) {
-    const terraform = child_process.spawn('terraform', args, {
-      // Pass through the corresponding stdio stream to the parent process
-      stdio: 'inherit'
-    });
+    let result;
 
-    terraform.on('error', err => {
-      console.log(colorize('Failed to execute terraform:'), err.message);
+    try {
+      result = await runTerraform(args, {
+        command: settings.terraform,
+        cwd: outDir,
+        // The secret values are only passed using the environment variables
+        env: { ...process.env, ...getSecretEnv() }
+      });
+    } catch (err) {
+      console.log(
+        colorize(`Failed to execute ${settings.terraform || 'terraform'}:`),
+        err.message
+      );
       console.log(
         colorize(
           'Make sure Terraform is already installed and available in the $PATH'
         )
       );
-    });
 
-    terraform.on('close', async code => {
-      try {
-        await removeFiles(cwd);
-      } catch (err) {
-        console.error(
-          colorize('Error removing the generated files:'),
-          err.message
-        );
-      }
+      result = { code: 1, signal: null };
+    }
 
-      // Exit with the same code
-      process.exit(code);
-    });
+    // Exit with the same code
+    await exit(exitCode(result.code, result.signal));
   }
 }
 
-// The first 2 arguments are the paths of node and terraformjs
-const args = process.argv.slice(2);
-const cmd = args[0];
-
 const versionArgs = ['-v', '-version', '--version', 'version'];
 
 // Skip generating the JSON files for these command line arguments
@@ -150,26 +689,95 @@ const skipGenerateArgs = [
   'fmt'
 ];
 
-// Flag to generate the JSON files
-let generate = true;
-// Flag to execute Terraform
-let execute = true;
+/**
+ * Parses the command line arguments, loads the configuration and runs the command.
+ *
+ * A top-level await is not used to support the Node.js versions without it.
+ */
+async function main() {
+  let options, args;
 
-if (versionArgs.includes(cmd)) {
-  generate = false;
+  try {
+    // The first 2 arguments are the paths of node and terraformjs
+    ({ options, args } = parseArgs(process.argv.slice(2)));
+  } catch (err) {
+    console.error(colorize('Invalid arguments:'), err.message);
+    process.exit(1);
+  }
 
-  const dirname = path.dirname(fileURLToPath(import.meta.url));
+  const cmd = args[0];
 
-  const pkg = JSON.parse(
-    fs.readFileSync(path.join(dirname, '../package.json'), 'utf8')
+  if (options.watch && cmd !== 'generate') {
+    console.error(
+      colorize('Invalid arguments:'),
+      'The --watch option can only be used with the generate command'
+    );
+    process.exit(1);
+  }
+
+  let config;
+
+  try {
+    config = await loadConfig(process.cwd(), options.config);
+  } catch (err) {
+    console.error(colorize('Invalid configuration:'), err.message);
+    process.exit(1);
+  }
+
+  // The command rules of the configuration override the defaults
+  const settings = resolveSettings(
+    config,
+    options,
+    cmd,
+    !skipGenerateArgs.includes(cmd)
   );
 
-  console.log(`TerraformJS v${pkg.version}`);
-} else if (skipGenerateArgs.includes(cmd)) {
-  generate = false;
-} else if (cmd === 'generate') {
-  // Generate the JSON files without executing Terraform
-  execute = false;
+  // Flag to generate the JSON files
+  let generate = true;
+  // Flag to execute Terraform
+  let execute = true;
+
+  if (versionArgs.includes(cmd)) {
+    generate = false;
+
+    const dirname = path.dirname(fileURLToPath(import.meta.url));
+
+    const pkg = JSON.parse(
+      fs.readFileSync(path.join(dirname, '../package.json'), 'utf8')
+    );
+
+    console.log(`TerraformJS v${pkg.version}`);
+  } else if (cmd === 'generate') {
+    // Generate the JSON files without executing Terraform
+    execute = false;
+  } else if (cmd === 'import-config') {
+    generate = false;
+    execute = false;
+
+    importFiles(args[1], options);
+  } else if (cmd === 'lint') {
+    generate = false;
+    execute = false;
+
+    lintFiles(process.cwd(), settings, options.reporter);
+  } else if (cmd === 'graph') {
+    generate = false;
+    execute = false;
+
+    graphFiles(process.cwd(), settings, args[1]);
+  } else if (cmd === 'schema') {
+    generate = false;
+    execute = false;
+
+    schemaFiles(process.cwd(), settings, args[1], args[2], options.reporter);
+  } else {
+    generate = settings.generate;
+  }
+
+  return run(generate, execute, args, settings);
 }
 
-run(generate, execute, args);
+main().catch(err => {
+  console.error(colorize('Error:'), err.message);
+  process.exit(1);
+});
@@ -0,0 +1,341 @@
+import {
+  Block,
+  Interpolation,
+  CallableObject,
+  COMPONENT,
+  TYPE,
+  LABELS,
+  isBlock,
+  isInterpolation,
+  isTemplate,
+  isBuilderProperty
+} from './base.js';
+import { LABELS_COUNT } from './hcl.js';
+
+/**
+ * Regular expression matching the valid component ids.
+ */
+const IDENTIFIER = /^[a-zA-Z_][\w-]*$/;
+
+/**
+ * Block types whose name label is prefixed with the component scope.
+ *
+ * The provider labels are provider names and are never prefixed.
+ */
+const NAMED_BLOCKS = [
+  'resource',
+  'data',
+  'module',
+  'variable',
+  'output',
+  'check'
+];
+
+/**
+ * Builders available on the Component instances, as [name, type, ...labels].
+ */
+const SCOPED_BUILDERS = [
+  ['terraform', 'terraform'],
+  ['provider', 'provider'],
+  ['resource', 'resource'],
+  ['variable', 'variable'],
+  ['module', 'module'],
+  ['data', 'data'],
+  ['locals', 'locals'],
+  ['output', 'output'],
+  ['moved', 'moved'],
+  ['importBlock', 'import'],
+  ['removed', 'removed'],
+  ['check', 'check'],
+  ['terraformData', 'resource', 'terraform_data']
+];
+
+/**
+ * Symbol of the component of a scoped builder, a symbol is used to support any label name.
+ */
+const OWNER = Symbol('owner');
+
+/**
+ * Symbol of the component scope of a locals block.
+ */
+const SCOPE = Symbol('scope');
+
+/**
+ * Checks of the input types, the references are accepted for any type.
+ */
+const INPUT_TYPES = {
+  any: () => true,
+  string: value => typeof value === 'string' || isTemplate(value),
+  number: value => typeof value === 'number',
+  bool: value => typeof value === 'boolean',
+  list: value => Array.isArray(value),
+  map: value =>
+    value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+/**
+ * Checks if a value is a Component instance.
+ *
+ * @param {*} value - Any value
+ * @returns {bool}
+ */
+export function isComponent(value) {
+  return value !== null && typeof value === 'object' && COMPONENT in value;
+}
+
+/**
+ * Prefixes the names of the values of a locals body with the component scope.
+ *
+ * @param {string} scope - Component scope
+ * @param {(object|function)} body - Block body object or a function that returns an object
+ * @returns {(object|function)} Block body object or a function that returns an object
+ */
+function scopeLocals(scope, body) {
+  if (typeof body === 'function') {
+    return async () => scopeLocals(scope, await body());
+  }
+
+  if (body === null || typeof body !== 'object') {
+    return body;
+  }
+
+  return Object.fromEntries(
+    Object.entries(body).map(([name, value]) => [`${scope}_${name}`, value])
+  );
+}
+
+/**
+ * Class representing a locals block of a component.
+ *
+ * The names of the values are prefixed with the component scope,
+ * the references use the prefixed names.
+ */
+class ScopedLocals extends Block {
+  /**
+   * Creates a ScopedLocals instance.
+   *
+   * @param {string} scope - Component scope
+   * @param {(object|function)} body - Block body object or a function that returns an object
+   * @returns {Proxy} Proxy object that handles dynamic property access
+   */
+  constructor(scope, body) {
+    super('locals', [], scopeLocals(scope, body));
+
+    this[SCOPE] = scope;
+  }
+
+  /**
+   * Returns the Terraform reference expression of a local value of the component.
+   *
+   * @param {string} prop - Dynamic property accessed on the Block instance
+   * @returns {string} Expression string
+   */
+  getExpression(prop) {
+    return super.getExpression(prop ? `${this[SCOPE]}_${prop}` : prop);
+  }
+}
+
+/**
+ * Class representing a block builder of a component.
+ *
+ * The blocks created by these builders are added to the component
+ * and their name label is prefixed with the component scope,
+ * the names of the local values are prefixed as well.
+ */
+class ScopedBuilder extends CallableObject {
+  /**
+   * Creates a ScopedBuilder instance.
+   *
+   * @param {Component} component - Component of the created blocks
+   * @param {string} type - Block type
+   * @param {string[]} labels - Chained block labels
+   * @returns {Proxy} Proxy object that handles dynamic property access
+   */
+  constructor(component, type, labels = []) {
+    super();
+
+    this[OWNER] = component;
+    this[TYPE] = type;
+    this[LABELS] = labels;
+
+    return new Proxy(this, {
+      get(target, property) {
+        if (isBuilderProperty(property)) {
+          return target[property];
+        }
+
+        // The references to the terraform object are not scoped, like the global terraform builder
+        if (target[TYPE] === 'terraform') {
+          return new Interpolation(`terraform.${property.toString()}`);
+        }
+
+        // Return a new builder to never share the labels of another chain
+        return new ScopedBuilder(target[OWNER], target[TYPE], [
+          ...target[LABELS],
+          property.toString()
+        ]);
+      }
+    });
+  }
+
+  /**
+   * Handles calling the builder to create a Block instance added to the component.
+   *
+   * @param {(object|function)} body - Block body object or a function that returns an object
+   * @returns {Block} Block object
+   */
+  __call__(body = {}) {
+    const type = this[TYPE];
+    const labels = [...this[LABELS]];
+    const index = (LABELS_COUNT[type] || 0) - 1;
+
+    if (NAMED_BLOCKS.includes(type) && labels.length > index) {
+      labels[index] = `${this[OWNER].scope}_${labels[index]}`;
+    }
+
+    const block =
+      type === 'locals'
+        ? new ScopedLocals(this[OWNER].scope, body)
+        : new Block(type, labels, body);
+
+    this[OWNER][COMPONENT].push(block);
+
+    return block;
+  }
+}
+
+/**
+ * Class representing a reusable group of blocks.
+ *
+ * Subclasses define a build method that creates the blocks using
+ * the builders of the instance such as this.resource, the names of the
+ * blocks are prefixed with the component id to use the same component
+ * multiple times, the values returned by build are the component outputs.
+ *
+ * The instances can be exported like the Block instances.
+ *
+ * @example
+ * class Bucket extends Component {
+ *   build({ name }) {
+ *     const bucket = this.resource.aws_s3_bucket.bucket({ bucket: name });
+ *
+ *     return { arn: bucket.arn };
+ *   }
+ * }
+ *
+ * // Creates the aws_s3_bucket.logs_bucket resource
+ * export const logs = new Bucket('logs', { name: 'my-logs' });
+ *
+ * logs.outputs.arn; // ${aws_s3_bucket.logs_bucket.arn}
+ */
+export class Component {
+  /**
+   * Creates a Component instance and builds its blocks.
+   *
+   * @param {string} id - Component id used to prefix the block names
+   * @param {object} inputs - Component inputs passed to the build method
+   * @param {Component} [parent] - Parent component, its scope prefixes the id
+   * @throws {Error} If the id or an input is invalid
+   */
+  constructor(id, inputs = {}, parent) {
+    if (typeof id !== 'string' || !IDENTIFIER.test(id)) {
+      throw new Error(`Invalid component id "${id}"`);
+    }
+
+    this.id = id;
+    this.scope = parent ? `${parent.scope}_${id}` : id;
+    this[COMPONENT] = [];
+    this.inputs = this.resolveInputs(inputs);
+    this.outputs = this.build(this.inputs) || {};
+  }
+
+  /**
+   * Returns the inputs with the default values of the declared inputs.
+   *
+   * The inputs are declared using a static inputs object of the subclass
+   * with the type ("string", "number", "bool", "list", "map" or "any"),
+   * the default value and whether the input is required.
+   *
+   * @param {object} inputs - Component inputs
+   * @returns {object} Resolved inputs
+   * @throws {Error} If a required input is missing or an input has an invalid type
+   */
+  resolveInputs(inputs) {
+    const declared = this.constructor.inputs || {};
+    const resolved = { ...inputs };
+
+    for (const [name, input] of Object.entries(declared)) {
+      const { type = 'any', required = false } = input;
+
+      if (resolved[name] === undefined) {
+        if (required) {
+          throw new Error(
+            `Missing the "${name}" input of the "${this.scope}" component`
+          );
+        }
+
+        resolved[name] = input.default;
+      }
+
+      const value = resolved[name];
+      const reference =
+        isBlock(value) ||
+        isInterpolation(value) ||
+        (typeof value === 'string' && value.includes('${'));
+
+      if (value !== undefined && !reference && !INPUT_TYPES[type](value)) {
+        throw new Error(
+          `The "${name}" input of the "${this.scope}" component must be a ${type}`
+        );
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Creates the blocks of the component.
+   *
+   * @param {object} inputs - Component inputs
+   * @returns {object} Component outputs
+   */
+  build(inputs) {
+    return {};
+  }
+
+  /**
+   * Creates a nested component scoped to this component.
+   *
+   * @param {function} ComponentClass - Component subclass
+   * @param {string} id - Nested component id
+   * @param {object} inputs - Nested component inputs
+   * @returns {Component} Nested component instance
+   */
+  component(ComponentClass, id, inputs = {}) {
+    const child = new ComponentClass(id, inputs, this);
+
+    this[COMPONENT].push(child);
+
+    return child;
+  }
+
+  /**
+   * Returns the blocks of the component and its nested components.
+   *
+   * @returns {Block[]} Array of Block instances
+   */
+  get blocks() {
+    return this[COMPONENT].flatMap(child =>
+      isComponent(child) ? child.blocks : [child]
+    );
+  }
+}
+
+// Define the scoped builders as getters to create a new builder on each access
+for (const [name, type, ...labels] of SCOPED_BUILDERS) {
+  Object.defineProperty(Component.prototype, name, {
+    get() {
+      return new ScopedBuilder(this, type, labels);
+    }
+  });
+}
@@ -0,0 +1,221 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { FORMATS } from './utils.js';
+import { SEVERITIES } from './lint.js';
+import { SCHEMA_FILE } from './schema.js';
+import { SOURCE_PATTERN } from './loader.js';
+
+/**
+ * Name of the project configuration file.
+ *
+ * @type {string}
+ */
+export const CONFIG_FILE = 'terraformjs.config.js';
+
+/**
+ * Default project configuration.
+ */
+export const DEFAULT_CONFIG = {
+  // Terraform executable name or path (e.g. "tofu" for OpenTofu)
+  terraform: 'terraform',
+  // Glob patterns of the source files relative to the project root
+  sources: [SOURCE_PATTERN],
+  // Directory of the generated files, Terraform is executed in this directory
+  outDir: '.',
+  // Keep the generated files after executing Terraform
+  keepGenerated: false,
+  // Output format "json" or "hcl"
+  format: 'json',
+  // Overwrite the files that were not generated by TerraformJS
+  force: false,
+  // Rules of the Terraform commands, e.g. { validate: { generate: false } }
+  commands: {},
+  // Functions applied to all the blocks before generating the files (See addAspect)
+  aspects: [],
+  // Include the referenced blocks that are not exported instead of warning about them
+  includeUnexported: false,
+  // Severities of the lint rules and the custom rules, e.g. { rules: { 'unused-variable': 'off' } }
+  lint: {},
+  // Provider schema file produced by "terraform providers schema -json"
+  schema: SCHEMA_FILE
+};
+
+/**
+ * Validators of the configuration options returning an error message for the invalid values.
+ */
+const VALIDATORS = {
+  terraform: value =>
+    typeof value !== 'string' || value === '' ? 'a non empty string' : null,
+  sources: value =>
+    !Array.isArray(value) ||
+    value.length === 0 ||
+    value.some(item => typeof item !== 'string')
+      ? 'a non empty array of glob patterns'
+      : null,
+  outDir: value => (typeof value !== 'string' ? 'a string' : null),
+  keepGenerated: value => (typeof value !== 'boolean' ? 'a boolean' : null),
+  format: value =>
+    !Object.keys(FORMATS).includes(value)
+      ? `one of: ${Object.keys(FORMATS).join(', ')}`
+      : null,
+  force: value => (typeof value !== 'boolean' ? 'a boolean' : null),
+  includeUnexported: value => (typeof value !== 'boolean' ? 'a boolean' : null),
+  schema: value =>
+    typeof value !== 'string' || value === '' ? 'a non empty string' : null,
+  aspects: value =>
+    !Array.isArray(value) || value.some(item => typeof item !== 'function')
+      ? 'an array of functions'
+      : null,
+  lint: value => {
+    const expected =
+      'an object of { rules, customRules } where rules is an object of severities ' +
+      'and customRules is an array of { name, check } objects';
+
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return expected;
+    }
+
+    const { rules = {}, customRules = [], ...others } = value;
+
+    const valid =
+      Object.keys(others).length === 0 &&
+      rules !== null &&
+      typeof rules === 'object' &&
+      Object.values(rules).every(severity => SEVERITIES.includes(severity)) &&
+      Array.isArray(customRules) &&
+      customRules.every(
+        rule =>
+          rule !== null &&
+          typeof rule === 'object' &&
+          typeof rule.name === 'string' &&
+          typeof rule.check === 'function' &&
+          (rule.severity === undefined || SEVERITIES.includes(rule.severity))
+      );
+
+    return valid ? null : expected;
+  },
+  commands: value => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return 'an object';
+    }
+
+    for (const rule of Object.values(value)) {
+      const valid =
+        rule !== null &&
+        typeof rule === 'object' &&
+        Object.entries(rule).every(
+          ([key, val]) =>
+            ['generate', 'keepGenerated'].includes(key) &&
+            typeof val === 'boolean'
+        );
+
+      if (!valid) {
+        return 'an object of { generate, keepGenerated } objects with boolean values';
+      }
+    }
+
+    return null;
+  }
+};
+
+/**
+ * Validates a project configuration object.
+ *
+ * @param {object} config - Configuration object
+ * @throws {Error} If an option is unknown or has an invalid value
+ */
+export function validateConfig(config) {
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('The configuration must be an object');
+  }
+
+  for (const [key, value] of Object.entries(config)) {
+    if (!VALIDATORS[key]) {
+      throw new Error(`Unknown configuration option "${key}"`);
+    }
+
+    const expected = VALIDATORS[key](value);
+
+    if (expected) {
+      throw new Error(`The "${key}" option must be ${expected}`);
+    }
+  }
+}
+
+/**
+ * Loads the project configuration file merged with the default configuration.
+ *
+ * The configuration file must have a default export of an object
+ * or a function that returns an object or a promise.
+ *
+ * @param {string} dir - Project root directory
+ * @param {string} [file] - Configuration file path, the file must exist if specified
+ * @returns {object} Configuration object
+ * @throws {Error} If the configuration file is invalid
+ */
+export async function loadConfig(dir, file) {
+  const configPath = path.resolve(dir, file || CONFIG_FILE);
+
+  try {
+    await fs.access(configPath);
+  } catch (err) {
+    if (file) {
+      throw new Error(`Configuration file "${file}" not found`);
+    }
+
+    return { ...DEFAULT_CONFIG };
+  }
+
+  const { default: exported } = await import(configPath);
+  const config = typeof exported === 'function' ? await exported() : exported;
+
+  try {
+    validateConfig(config);
+  } catch (err) {
+    err.message = `${path.basename(configPath)}: ${err.message}`;
+    throw err;
+  }
+
+  return { ...DEFAULT_CONFIG, ...config };
+}
+
+/**
+ * Returns the settings of a command using the configuration and the command line options.
+ *
+ * The command line options override the configuration, the command rules
+ * override the global configuration.
+ *
+ * @param {object} config - Configuration object
+ * @param {object} options - TerraformJS command line options
+ * @param {string} command - Terraform command
+ * @param {bool} generate - Whether the files are generated by default for the command
+ * @returns {object} Settings object
+ */
+export function resolveSettings(config, options, command, generate = true) {
+  const rule = config.commands[command] || {};
+
+  const settings = {
+    ...config,
+    generate: rule.generate !== undefined ? rule.generate : generate,
+    keepGenerated:
+      rule.keepGenerated !== undefined
+        ? rule.keepGenerated
+        : config.keepGenerated
+  };
+
+  for (const [option, key] of [
+    ['force', 'force'],
+    ['format', 'format'],
+    ['out', 'outDir'],
+    ['keep', 'keepGenerated'],
+    ['config', 'configFile'],
+    ['watch', 'watch'],
+    ['verbose', 'verbose']
+  ]) {
+    if (options[option] !== undefined) {
+      settings[key] = options[option];
+    }
+  }
+
+  return settings;
+}
@@ -0,0 +1,222 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseVariables, parseVariableValue } from './parser.js';
+
+/**
+ * Global symbol of the execution context.
+ *
+ * The context is stored on the global object to be shared with the
+ * other copies of the package, such as a local and a global installation.
+ *
+ * @type {symbol}
+ */
+const CONTEXT = Symbol.for('terraformjs.context');
+
+/**
+ * Prefix of the environment variables of the Terraform variables.
+ */
+const ENV_PREFIX = 'TF_VAR_';
+
+/**
+ * Regular expression matching the -var and -var-file options and their inline values.
+ */
+const VAR_OPTION = /^--?(var|var-file)(?:=(.*))?$/s;
+
+/**
+ * Returns the context object, created on first use.
+ *
+ * @returns {object} Context object
+ */
+function getContext() {
+  if (!globalThis[CONTEXT]) {
+    globalThis[CONTEXT] = {
+      command: undefined,
+      args: [],
+      workspace: 'default',
+      vars: {}
+    };
+  }
+
+  return globalThis[CONTEXT];
+}
+
+/**
+ * Context of the Terraform execution, populated before importing the modules.
+ *
+ * - command: Terraform or TerraformJS command, e.g. "plan" (undefined without a command)
+ * - args: Array of the command line arguments passed to Terraform
+ * - workspace: Name of the current Terraform workspace
+ * - vars: Object of the variable values in the precedence order of Terraform
+ *
+ * @type {object}
+ *
+ * @example
+ * import { context, resource } from '@mdawar/terraformjs';
+ *
+ * export const web = resource.aws_instance.web({
+ *   instance_type: context.workspace === 'production' ? 'm5.large' : 't3.micro'
+ * });
+ */
+export const context = getContext();
+
+/**
+ * Returns the name of the current workspace of a Terraform working directory.
+ *
+ * The TF_WORKSPACE environment variable overrides the selected workspace.
+ *
+ * @param {string} dir - Terraform working directory
+ * @param {object} env - Environment variables
+ * @returns {string} Workspace name
+ */
+export async function getWorkspace(dir, env = process.env) {
+  if (env.TF_WORKSPACE) {
+    return env.TF_WORKSPACE;
+  }
+
+  try {
+    const name = await fs.readFile(
+      path.join(dir, '.terraform', 'environment'),
+      'utf8'
+    );
+
+    return name.trim() || 'default';
+  } catch (err) {
+    return 'default';
+  }
+}
+
+/**
+ * Returns the -var and -var-file options of the command line arguments.
+ *
+ * @param {string[]} args - Array of command line arguments
+ * @returns {object[]} Array of objects of the option name "var" or "var-file" and its value
+ * @throws {Error} If an option value is missing
+ */
+export function getVariableOptions(args) {
+  const options = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(VAR_OPTION);
+
+    if (!match) {
+      continue;
+    }
+
+    const value = match[2] !== undefined ? match[2] : args[++i];
+
+    if (value === undefined) {
+      throw new Error(`Missing value for the -${match[1]} option`);
+    }
+
+    options.push({ name: match[1], value });
+  }
+
+  return options;
+}
+
+/**
+ * Reads a variable definitions file.
+ *
+ * @param {string} file - File path
+ * @returns {object} Object of the variable values
+ * @throws {Error} If the file cannot be read or parsed, the message is prefixed with the file name
+ */
+async function readVariablesFile(file) {
+  try {
+    return parseVariables(file, await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    err.message = `${path.basename(file)}: ${err.message}`;
+    throw err;
+  }
+}
+
+/**
+ * Returns the variable values of a Terraform working directory and the command line arguments.
+ *
+ * The values are loaded in the precedence order of Terraform, the later sources override
+ * the earlier ones: the TF_VAR_ environment variables, terraform.tfvars, terraform.tfvars.json,
+ * the *.auto.tfvars and *.auto.tfvars.json files in the lexical order of their names,
+ * then the -var and -var-file options in their order on the command line.
+ *
+ * @param {string} dir - Terraform working directory
+ * @param {string[]} args - Array of command line arguments
+ * @param {object} env - Environment variables
+ * @returns {object} Object of the variable values
+ * @throws {Error} If a variable definitions file or a value is invalid
+ */
+export async function loadVariables(dir, args = [], env = process.env) {
+  const vars = {};
+
+  for (const [key, value] of Object.entries(env)) {
+    if (key.startsWith(ENV_PREFIX) && key.length > ENV_PREFIX.length) {
+      vars[key.slice(ENV_PREFIX.length)] = parseVariableValue(value);
+    }
+  }
+
+  let entries = [];
+
+  try {
+    entries = await fs.readdir(dir);
+  } catch (err) {
+    // The working directory is created when generating the files
+  }
+
+  const files = [
+    ...['terraform.tfvars', 'terraform.tfvars.json'].filter(file =>
+      entries.includes(file)
+    ),
+    ...entries.filter(file => /\.auto\.tfvars(\.json)?$/.test(file)).sort()
+  ];
+
+  for (const file of files) {
+    Object.assign(vars, await readVariablesFile(path.join(dir, file)));
+  }
+
+  for (const { name, value } of getVariableOptions(args)) {
+    if (name === 'var-file') {
+      Object.assign(vars, await readVariablesFile(path.resolve(dir, value)));
+      continue;
+    }
+
+    const index = value.indexOf('=');
+
+    if (index < 1) {
+      throw new Error(
+        `Invalid -var option "${value}", expected a variable name and a value: -var "name=value"`
+      );
+    }
+
+    vars[value.slice(0, index).trim()] = parseVariableValue(
+      value.slice(index + 1)
+    );
+  }
+
+  return vars;
+}
+
+/**
+ * Populates the context of the Terraform execution.
+ *
+ * @param {string} dir - Terraform working directory
+ * @param {string[]} args - Array of the command line arguments passed to Terraform
+ * @param {object} env - Environment variables
+ * @returns {object} Context object
+ */
+export async function loadContext(dir, args = [], env = process.env) {
+  return setContext({
+    command: args.find(arg => !arg.startsWith('-')),
+    args: [...args],
+    workspace: await getWorkspace(dir, env),
+    vars: await loadVariables(dir, args, env)
+  });
+}
+
+/**
+ * Sets the values of the context, such as the context loaded by another thread.
+ *
+ * @param {object} values - Object of the context values
+ * @returns {object} Context object
+ */
+export function setContext(values) {
+  return Object.assign(getContext(), values);
+}
@@ -0,0 +1,75 @@
+import { redact } from './secrets.js';
+
+/**
+ * Returns the location of the first stack frame of an error in a source file.
+ *
+ * The syntax errors of the modules start with the location instead of a stack frame.
+ *
+ * @param {Error} err - Error object
+ * @param {string} file - Source file path relative to the project root using "/" separators
+ * @returns {(string|null)} Location such as "main.tf.js:12:5" or null if not found
+ */
+export function getLocation(err, file) {
+  const stack = err && typeof err.stack === 'string' ? err.stack : '';
+
+  for (const line of stack.split('\n')) {
+    const index = line.indexOf(`/${file}:`);
+
+    if (index === -1) {
+      continue;
+    }
+
+    const match = line
+      .slice(index + file.length + 1)
+      .match(/^:(\d+)(?::(\d+))?/);
+
+    if (match) {
+      return [file, match[1], match[2]].filter(Boolean).join(':');
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Creates an error object of a source file or one of its exports.
+ *
+ * The error objects are plain objects to be passed from the worker threads,
+ * the secret values are redacted from the message and the stack trace.
+ *
+ * @param {Error} err - Error thrown while importing or rendering the source file
+ * @param {string} [file] - Source file path relative to the project root
+ * @param {string} [exportName] - Name of the export, null for the whole file
+ * @returns {object} Object of the file and export names, the location, the message and the stack trace
+ */
+export function createError(err, file = null, exportName = null) {
+  const isError = err instanceof Error;
+
+  return {
+    file,
+    exportName,
+    location: file ? getLocation(err, file) : null,
+    message: redact(isError ? err.message : String(err)),
+    stack: isError && err.stack ? redact(err.stack) : null
+  };
+}
+
+/**
+ * Returns the message of an error object prefixed with its location and its export name.
+ *
+ * @param {object} error - Error object returned by createError
+ * @param {bool} verbose - Use the stack trace instead of the message
+ * @returns {string} Error message
+ */
+export function formatError(
+  { file, exportName, location, message, stack },
+  verbose = false
+) {
+  const prefix = [
+    location || file,
+    exportName ? `export "${exportName}"` : null
+  ].filter(Boolean);
+
+  // The stack trace starts with the error name and the message
+  return [...prefix, verbose && stack ? stack : message].join(': ');
+}
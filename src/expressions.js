@@ -0,0 +1,536 @@
+import {
+  Interpolation,
+  COMPOUND,
+  accessExpression,
+  isInterpolation,
+  isTemplate,
+  isBlock,
+  TEMPLATE
+} from './base.js';
+
+/**
+ * Regular expression matching the expressions that never need parentheses,
+ * such as references, literals and attribute or index access.
+ */
+const SIMPLE_EXPRESSION = /^[\w.\-[\]"*:]+$/;
+
+/**
+ * Returns the content of a string made of a single interpolation.
+ *
+ * @param {string} str - String that may be wrapped in ${}
+ * @returns {(string|null)} Expression inside ${} or null if the string is not a single interpolation
+ */
+export function unwrapInterpolation(str) {
+  if (!str.startsWith('${') || !str.endsWith('}')) {
+    return null;
+  }
+
+  let depth = 0;
+  let quote = false;
+
+  for (let i = 1; i < str.length; i++) {
+    const char = str[i];
+
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        quote = false;
+      }
+    } else if (char === '"') {
+      quote = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+
+      // The first interpolation is closed before the end of the string
+      if (depth === 0) {
+        return i === str.length - 1 ? str.slice(2, -1) : null;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Returns the Terraform expression of any value.
+ *
+ * Interpolations and Blocks are unwrapped to their bare expressions,
+ * the other values are converted to Terraform literals.
+ *
+ * @param {*} value - Block, Interpolation or any literal value
+ * @returns {string} Terraform expression
+ */
+export function toExpression(value) {
+  if (isTemplate(value)) {
+    return JSON.stringify(String(value));
+  }
+
+  if (isInterpolation(value)) {
+    return value.expression;
+  }
+
+  if (isBlock(value)) {
+    return value.getExpression();
+  }
+
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(toExpression).join(', ')}]`;
+  }
+
+  switch (typeof value) {
+    case 'string':
+      return unwrapInterpolation(value) || JSON.stringify(value);
+
+    case 'number':
+    case 'boolean':
+      return String(value);
+
+    case 'object': {
+      const items = Object.entries(value).map(
+        ([key, val]) => `${JSON.stringify(key)} = ${toExpression(val)}`
+      );
+
+      return `{${items.join(', ')}}`;
+    }
+
+    default:
+      throw new TypeError(`Unsupported expression value: ${String(value)}`);
+  }
+}
+
+/**
+ * Returns the expression of an operand wrapped in parentheses if needed.
+ *
+ * @param {*} value - Block, Interpolation or any literal value
+ * @returns {string} Terraform expression
+ */
+function toOperand(value) {
+  const expression = toExpression(value);
+
+  if (
+    isInterpolation(value)
+      ? value[COMPOUND]
+      : !SIMPLE_EXPRESSION.test(expression)
+  ) {
+    return `(${expression})`;
+  }
+
+  return expression;
+}
+
+/**
+ * Creates an index expression using any key.
+ *
+ * Strings are always quoted even if they are valid identifiers or numbers.
+ *
+ * @param {*} value - Block, Interpolation or expression string of a list or a map
+ * @param {*} key - Number, string or an expression
+ * @returns {Interpolation} Interpolation of the index expression
+ *
+ * @example
+ * index(tags, 'Name'); // ${var.tags["Name"]}
+ * index(tags, key); // ${var.tags[var.key]}
+ */
+export function index(value, key) {
+  return new Interpolation(`${toOperand(value)}[${toExpression(key)}]`);
+}
+
+/**
+ * Creates an attribute access expression.
+ *
+ * Names that are not valid identifiers are accessed using a quoted key.
+ *
+ * @param {*} value - Block, Interpolation or expression string of an object
+ * @param {string} name - Attribute name
+ * @returns {Interpolation} Interpolation of the attribute access expression
+ *
+ * @example
+ * attr(instance, 'tags.Name'); // ${aws_instance.web["tags.Name"]}
+ */
+export function attr(value, name) {
+  return new Interpolation(accessExpression(toOperand(value), String(name)));
+}
+
+/**
+ * Creates a full splat expression, the attributes accessed on the result
+ * are applied to each element of the list.
+ *
+ * @param {*} value - Block, Interpolation or expression string of a list
+ * @returns {Interpolation} Interpolation of the splat expression
+ *
+ * @example
+ * splat(instance).id; // ${aws_instance.web[*].id}
+ *
+ * @see {@link https://www.terraform.io/docs/configuration/expressions.html#splat-expressions|Splat Expressions}
+ */
+export function splat(value) {
+  return new Interpolation(`${toOperand(value)}[*]`);
+}
+
+/**
+ * Creates a legacy attribute-only splat expression.
+ *
+ * Only the attributes accessed on the result are applied to each element,
+ * any index access is applied to the resulting list.
+ *
+ * @param {*} value - Block, Interpolation or expression string of a list
+ * @returns {Interpolation} Interpolation of the splat expression
+ *
+ * @example
+ * legacySplat(instance).id; // ${aws_instance.web.*.id}
+ */
+export function legacySplat(value) {
+  return new Interpolation(`${toOperand(value)}.*`);
+}
+
+/**
+ * Returns a function that creates a binary operator expression.
+ *
+ * The operator is repeated between the operands when more than 2 are passed.
+ *
+ * @param {string} operator - Terraform operator
+ * @returns {function} Function that returns an Interpolation
+ */
+function binary(operator) {
+  return (...operands) =>
+    new Interpolation(operands.map(toOperand).join(` ${operator} `), true);
+}
+
+/**
+ * Returns a function that creates a unary operator expression.
+ *
+ * @param {string} operator - Terraform operator
+ * @returns {function} Function that returns an Interpolation
+ */
+function unary(operator) {
+  return operand => new Interpolation(`${operator}${toOperand(operand)}`, true);
+}
+
+/**
+ * Terraform built-in functions.
+ *
+ * Any accessed property is a function that returns an Interpolation
+ * of the function call with the passed arguments.
+ *
+ * @example
+ * fn.join(',', instance.id); // ${join(",", aws_instance.web.id)}
+ *
+ * @see {@link https://www.terraform.io/docs/configuration/functions.html|Built-in Functions}
+ */
+export const fn = new Proxy(
+  {},
+  {
+    get(target, property) {
+      const name = property.toString();
+
+      return (...args) =>
+        new Interpolation(`${name}(${args.map(toExpression).join(', ')})`);
+    }
+  }
+);
+
+/**
+ * Terraform arithmetic, comparison and logical operators.
+ *
+ * @see {@link https://www.terraform.io/docs/configuration/expressions.html#arithmetic-and-logical-operators|Operators}
+ */
+export const op = {
+  add: binary('+'),
+  sub: binary('-'),
+  mul: binary('*'),
+  div: binary('/'),
+  mod: binary('%'),
+  neg: unary('-'),
+  eq: binary('=='),
+  ne: binary('!='),
+  lt: binary('<'),
+  lte: binary('<='),
+  gt: binary('>'),
+  gte: binary('>='),
+  and: binary('&&'),
+  or: binary('||'),
+  not: unary('!')
+};
+
+/**
+ * Creates a conditional expression.
+ *
+ * @param {*} condition - Condition expression
+ * @param {*} trueValue - Value of the expression if the condition is true
+ * @param {*} falseValue - Value of the expression if the condition is false
+ * @returns {Interpolation} Interpolation of the conditional expression
+ *
+ * @see {@link https://www.terraform.io/docs/configuration/expressions.html#conditional-expressions|Conditional Expressions}
+ */
+export function cond(condition, trueValue, falseValue) {
+  return new Interpolation(
+    `${toOperand(condition)} ? ${toOperand(trueValue)} : ${toOperand(
+      falseValue
+    )}`,
+    true
+  );
+}
+
+/**
+ * Current nesting level of the for expressions, used to name the temporary symbols.
+ */
+let forDepth = 0;
+
+/**
+ * Creates the parts of a for expression.
+ *
+ * The key symbol is only declared if one of the callbacks accepts a second argument.
+ *
+ * @param {*} collection - List, set, tuple, map or object value
+ * @param {function[]} callbacks - Functions receiving the value and key Interpolations
+ * @returns {object} Object of the "for" clause and the callbacks results
+ */
+function forClause(collection, callbacks) {
+  const suffix = forDepth > 0 ? forDepth : '';
+  const key = `key${suffix}`;
+  const value = `value${suffix}`;
+
+  const withKey = callbacks.some(callback => callback && callback.length > 1);
+  const symbols = withKey ? `${key}, ${value}` : value;
+
+  forDepth++;
+
+  try {
+    const results = callbacks.map(callback =>
+      callback
+        ? callback(new Interpolation(value), new Interpolation(key))
+        : undefined
+    );
+
+    return {
+      clause: `for ${symbols} in ${toExpression(collection)}`,
+      results
+    };
+  } finally {
+    forDepth--;
+  }
+}
+
+/**
+ * Creates a for expression that produces a tuple.
+ *
+ * @param {*} collection - List, set, tuple, map or object value
+ * @param {function} body - Function that receives the value and key and returns the element
+ * @param {function} [filter] - Function that receives the value and key and returns the condition
+ * @returns {Interpolation} Interpolation of the for expression
+ *
+ * @example
+ * forList(var.names, name => fn.upper(name)); // ${[for value in var.names : upper(value)]}
+ *
+ * @see {@link https://www.terraform.io/docs/configuration/expressions.html#for-expressions|for Expressions}
+ */
+export function forList(collection, body, filter) {
+  const {
+    clause,
+    results: [element, condition]
+  } = forClause(collection, [body, filter]);
+
+  const ifClause = filter ? ` if ${toExpression(condition)}` : '';
+
+  return new Interpolation(`[${clause} : ${toExpression(element)}${ifClause}]`);
+}
+
+/**
+ * Creates a for expression that produces an object.
+ *
+ * @param {*} collection - List, set, tuple, map or object value
+ * @param {function} body - Function that receives the value and key and returns a [key, value] array
+ * @param {function} [filter] - Function that receives the value and key and returns the condition
+ * @returns {Interpolation} Interpolation of the for expression
+ *
+ * @example
+ * forMap(var.users, user => [user.name, user.role]); // ${{for value in var.users : value.name => value.role}}
+ */
+export function forMap(collection, body, filter) {
+  const {
+    clause,
+    results: [[key, value], condition]
+  } = forClause(collection, [body, filter]);
+
+  const ifClause = filter ? ` if ${toExpression(condition)}` : '';
+
+  return new Interpolation(
+    `{${clause} : ${toExpression(key)} => ${toExpression(value)}${ifClause}}`
+  );
+}
+
+/**
+ * Creates a template string that is inserted in the other templates without escaping.
+ *
+ * @param {string} str - Template string
+ * @returns {String} String object marked as a template string
+ */
+function createTemplate(str) {
+  const value = new String(str);
+
+  value[TEMPLATE] = true;
+
+  return value;
+}
+
+/**
+ * Escapes the template sequences of a string to be used literally.
+ *
+ * The ${ and %{ sequences are escaped as $${ and %%{ in the strings of the JSON and native syntaxes.
+ *
+ * @param {string} str - Literal string such as a shell script or a JSON policy
+ * @returns {String} Escaped template string
+ *
+ * @example
+ * literal('echo ${HOME}'); // echo $${HOME}
+ */
+export function literal(str) {
+  return createTemplate(String(str).replace(/([$%])\{/g, '$1$1{'));
+}
+
+/**
+ * Alias of literal().
+ */
+export const raw = literal;
+
+/**
+ * Returns the template string of a value inserted in a template.
+ *
+ * The template strings returned by template(), literal() and the directives are
+ * inserted as they are, the other strings are escaped using literal().
+ *
+ * @param {*} value - Block, Interpolation, template string, string, number or boolean
+ * @returns {string} Template string
+ */
+function toTemplate(value) {
+  if (isTemplate(value)) {
+    return String(value);
+  }
+
+  if (isInterpolation(value) || isBlock(value)) {
+    return `\${${toExpression(value)}}`;
+  }
+
+  switch (typeof value) {
+    case 'string':
+      return String(literal(value));
+
+    case 'number':
+    case 'boolean':
+      return String(value);
+
+    default:
+      throw new TypeError(`Unsupported template value: ${String(value)}`);
+  }
+}
+
+/**
+ * Tagged template creating a string template.
+ *
+ * The literal text is escaped and the inserted values are interpolated,
+ * the directives are created using templateIf() and templateFor().
+ *
+ * @param {string[]} strings - Literal parts of the tagged template
+ * @param {...*} values - Inserted Blocks, Interpolations, template strings, escaped strings, numbers or booleans
+ * @returns {String} Template string
+ *
+ * @example
+ * template`echo \${HOME} ${instance.id}`; // echo $${HOME} ${aws_instance.web.id}
+ */
+export function template(strings, ...values) {
+  return createTemplate(
+    strings
+      .map((str, i) =>
+        i < values.length ? literal(str) + toTemplate(values[i]) : literal(str)
+      )
+      .join('')
+  );
+}
+
+/**
+ * Creates an if directive of a template.
+ *
+ * @param {*} condition - Condition expression
+ * @param {*} trueValue - Template string, escaped string, Block or Interpolation used if the condition is true
+ * @param {*} [falseValue] - Template string, escaped string, Block or Interpolation used if the condition is false
+ * @returns {String} Template string
+ *
+ * @example
+ * templateIf(var.enabled, 'on', 'off'); // %{ if var.enabled }on%{ else }off%{ endif }
+ *
+ * @see {@link https://www.terraform.io/docs/language/expressions/strings.html#directives|Directives}
+ */
+export function templateIf(condition, trueValue, falseValue) {
+  const elseClause =
+    falseValue !== undefined ? `%{ else }${toTemplate(falseValue)}` : '';
+
+  return createTemplate(
+    `%{ if ${toExpression(condition)} }${toTemplate(
+      trueValue
+    )}${elseClause}%{ endif }`
+  );
+}
+
+/**
+ * Creates a for directive of a template.
+ *
+ * @param {*} collection - List, set, tuple, map or object value
+ * @param {function} body - Function that receives the value and key and returns the repeated template string
+ * @returns {String} Template string
+ *
+ * @example
+ * templateFor(var.names, name => template`- ${name}\n`); // %{ for value in var.names }- ${value}\n%{ endfor }
+ */
+export function templateFor(collection, body) {
+  const {
+    clause,
+    results: [content]
+  } = forClause(collection, [body]);
+
+  return createTemplate(`%{ ${clause} }${toTemplate(content)}%{ endfor }`);
+}
+
+/**
+ * References to the built-in objects of the blocks.
+ *
+ * - count: Index of the instances of the blocks using count, e.g. count.index
+ * - each: Key and value of the instances of the blocks using for_each, e.g. each.value.name
+ * - self: Attributes of the resource in its provisioners and connection blocks, e.g. self.private_ip
+ * - path: Filesystem paths, e.g. path.module
+ *
+ * The terraform.workspace reference is accessed on the terraform block builder.
+ *
+ * @type {Interpolation}
+ *
+ * @see {@link https://www.terraform.io/docs/language/expressions/references.html|References to Values}
+ */
+export const count = new Interpolation('count');
+export const each = new Interpolation('each');
+export const self = new Interpolation('self');
+export const path = new Interpolation('path');
+
+/**
+ * Creates the body of a block repeated for each element of a map or a set of strings.
+ *
+ * The arrays are converted to sets using the toset() function.
+ *
+ * @param {*} collection - Map, set of strings, array or an expression
+ * @param {function} body - Function that receives the each reference and returns the block body
+ * @returns {object} Block body with the for_each meta-argument
+ *
+ * @example
+ * resource.aws_iam_user.users(forEach(['alice', 'bob'], each => ({ name: each.key })));
+ */
+export function forEach(collection, body) {
+  return {
+    for_each: Array.isArray(collection) ? fn.toset(collection) : collection,
+    ...body(each)
+  };
+}
@@ -0,0 +1,219 @@
+import { getReferences } from './references.js';
+
+/**
+ * Block types that are not nodes of the graph.
+ *
+ * The terraform blocks have no references and the moved, import
+ * and removed blocks do not declare any address.
+ */
+const IGNORED_TYPES = ['terraform', 'moved', 'import', 'removed'];
+
+/**
+ * Returns the nodes of a block of a lint project.
+ *
+ * Each local value of the locals blocks is a separate node with its own references.
+ *
+ * @param {object} block - Block object of the project
+ * @returns {object[]} Array of the nodes and their references
+ */
+function createNodes(block) {
+  const { file, exportName, type, labels, body, references } = block;
+
+  if (type === 'locals') {
+    return Object.entries(body).map(([name, value]) => ({
+      id: `local.${name}`,
+      type,
+      file,
+      exportName,
+      references: getReferences({ [name]: value }, type)
+    }));
+  }
+
+  // The providers are identified by their aliases
+  const node = { id: block.declares[0], type, file, exportName, references };
+
+  // The resources and the data sources use the default provider of their type prefix
+  if (['resource', 'data'].includes(type) && !body.provider) {
+    node.provider = `provider.${labels[0].split('_')[0]}`;
+  }
+
+  return [node];
+}
+
+/**
+ * Creates the dependency graph of the blocks of a lint project.
+ *
+ * The edges are directed from the blocks to the blocks they reference,
+ * the references to the blocks that are not declared are ignored.
+ *
+ * @param {object} project - Project object returned by createProject
+ * @returns {object} Graph object of the nodes and the edges
+ */
+export function createGraph(project) {
+  const nodes = project.blocks
+    .filter(block => !IGNORED_TYPES.includes(block.type))
+    .flatMap(createNodes);
+
+  // The declared addresses of the nodes, such as the scoped data sources of the checks
+  const owners = new Map();
+
+  for (const block of project.blocks) {
+    for (const address of block.declares) {
+      if (!owners.has(address)) {
+        owners.set(
+          address,
+          address.startsWith('local.') ? address : block.declares[0]
+        );
+      }
+    }
+  }
+
+  const edges = [];
+  const keys = new Set();
+
+  for (const node of nodes) {
+    const references =
+      node.provider && owners.has(node.provider)
+        ? [...node.references, node.provider]
+        : node.references;
+
+    for (const address of references) {
+      const to = owners.get(address);
+      const key = `${node.id} ${to}`;
+
+      if (to && to !== node.id && !keys.has(key)) {
+        keys.add(key);
+        edges.push({ from: node.id, to });
+      }
+    }
+  }
+
+  return {
+    nodes: nodes.map(({ id, type, file, exportName }) => ({
+      id,
+      type,
+      file,
+      exportName
+    })),
+    edges
+  };
+}
+
+/**
+ * Returns the nodes of a graph grouped by their source files.
+ *
+ * @param {object[]} nodes - Array of nodes
+ * @returns {Map} Map of the file names to the arrays of their nodes
+ */
+function groupByFile(nodes) {
+  const groups = new Map();
+
+  for (const node of nodes) {
+    groups.set(node.file, [...(groups.get(node.file) || []), node]);
+  }
+
+  return groups;
+}
+
+/**
+ * Returns the graph in the DOT language of Graphviz.
+ *
+ * The nodes are grouped in clusters by their source files.
+ *
+ * @see {@link https://graphviz.org/doc/info/lang.html}
+ *
+ * @param {object} graph - Graph object
+ * @returns {string} DOT graph
+ */
+export function formatDOT({ nodes, edges }) {
+  const lines = ['digraph {', '  node [shape = "box"]'];
+
+  let index = 0;
+
+  for (const [file, fileNodes] of groupByFile(nodes)) {
+    lines.push(
+      `  subgraph "cluster_${index++}" {`,
+      `    label = ${JSON.stringify(file)}`
+    );
+
+    // The blocks that are not exported, such as the secret variables, have no export name
+    for (const { id, exportName } of fileNodes) {
+      const label = exportName ? `${id}\n(${exportName})` : id;
+
+      lines.push(
+        `    ${JSON.stringify(id)} [label = ${JSON.stringify(label)}]`
+      );
+    }
+
+    lines.push('  }');
+  }
+
+  for (const { from, to } of edges) {
+    lines.push(`  ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+  }
+
+  lines.push('}');
+
+  return lines.join('\n');
+}
+
+/**
+ * Returns the graph as a Mermaid flowchart.
+ *
+ * The nodes are grouped in subgraphs by their source files.
+ *
+ * @see {@link https://mermaid.js.org/syntax/flowchart.html}
+ *
+ * @param {object} graph - Graph object
+ * @returns {string} Mermaid flowchart
+ */
+export function formatMermaid({ nodes, edges }) {
+  const lines = ['flowchart LR'];
+
+  // The addresses are not valid Mermaid identifiers
+  const ids = new Map(nodes.map((node, i) => [node.id, `n${i}`]));
+
+  // Escapes the quotes in the Mermaid labels
+  const escape = text => text.replace(/"/g, '#quot;');
+
+  let index = 0;
+
+  for (const [file, fileNodes] of groupByFile(nodes)) {
+    lines.push(`  subgraph f${index++} ["${escape(file)}"]`);
+
+    for (const { id, exportName } of fileNodes) {
+      const label = exportName
+        ? `${escape(id)}<br/>(${escape(exportName)})`
+        : escape(id);
+
+      lines.push(`    ${ids.get(id)}["${label}"]`);
+    }
+
+    lines.push('  end');
+  }
+
+  for (const { from, to } of edges) {
+    lines.push(`  ${ids.get(from)} --> ${ids.get(to)}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Returns the graph as JSON.
+ *
+ * @param {object} graph - Graph object
+ * @returns {string} JSON object of the nodes and the edges
+ */
+export function formatGraphJSON(graph) {
+  return JSON.stringify(graph, null, 2);
+}
+
+/**
+ * Output formats of the graph command.
+ */
+export const GRAPH_FORMATS = {
+  dot: formatDOT,
+  mermaid: formatMermaid,
+  json: formatGraphJSON
+};
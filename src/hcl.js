@@ -0,0 +1,486 @@
+import { isBlock, isInterpolation, isTemplate } from './base.js';
+import { toExpression, unwrapInterpolation } from './expressions.js';
+
+/**
+ * Global symbol used to force rendering an object as an attribute or a nested block.
+ *
+ * @type {symbol}
+ */
+export const HCL_TYPE = Symbol.for('hcl_type');
+
+/**
+ * Number of labels of the top-level blocks, the other blocks have no labels.
+ */
+export const LABELS_COUNT = {
+  resource: 2,
+  data: 2,
+  provider: 1,
+  variable: 1,
+  output: 1,
+  module: 1,
+  check: 1
+};
+
+/**
+ * Nested block types that require a label.
+ */
+const LABELED_BLOCKS = ['backend', 'provisioner', 'dynamic', 'provider_meta'];
+
+/**
+ * Number of labels of the nested blocks by their paths, such as the scoped data sources.
+ */
+const NESTED_LABELS_COUNT = {
+  'check.data': 2
+};
+
+/**
+ * Nested block types of the blocks that have mostly attributes.
+ *
+ * The objects of the other blocks are rendered as nested blocks
+ * unless their names are in MAP_ATTRIBUTES.
+ */
+const NESTED_BLOCKS = {
+  locals: [],
+  module: [],
+  variable: ['validation'],
+  output: ['precondition'],
+  moved: [],
+  import: [],
+  removed: ['lifecycle', 'provisioner'],
+  'removed.lifecycle': [],
+  check: ['data', 'assert'],
+  'check.assert': [],
+  terraform: ['backend', 'cloud', 'required_providers', 'provider_meta'],
+  'terraform.backend': [],
+  'terraform.cloud': ['workspaces'],
+  'terraform.required_providers': [],
+  'terraform.provider_meta': []
+};
+
+/**
+ * Common map arguments of the resources, data sources and providers.
+ */
+const MAP_ATTRIBUTES = [
+  'tags',
+  'tags_all',
+  'labels',
+  'annotations',
+  'metadata',
+  'triggers',
+  'triggers_replace',
+  'input',
+  'variables'
+];
+
+/**
+ * Arguments whose values are bare references or type expressions by the paths of their blocks.
+ *
+ * The meta-arguments such as depends_on are only matched in the blocks
+ * that support them to keep the arguments of the same names in the other
+ * blocks (e.g. a local value named "provider") as they are.
+ */
+const BARE_ATTRIBUTES = {
+  resource: ['depends_on', 'provider'],
+  'resource.lifecycle': ['ignore_changes', 'replace_triggered_by'],
+  data: ['depends_on', 'provider'],
+  'check.data': ['depends_on', 'provider'],
+  module: ['depends_on', 'providers'],
+  output: ['depends_on'],
+  variable: ['type'],
+  moved: ['from', 'to'],
+  import: ['to', 'provider'],
+  removed: ['from']
+};
+
+/**
+ * Regular expression matching the valid Terraform identifiers.
+ */
+const IDENTIFIER = /^[a-zA-Z_][\w-]*$/;
+
+/**
+ * Indentation string.
+ */
+const INDENT = '  ';
+
+/**
+ * Marks an object to be rendered as an attribute in HCL.
+ *
+ * @param {object} value - Object value
+ * @returns {object} The same object
+ *
+ * @example
+ * resource.aws_instance.web({ tags: asAttribute({ Name: 'web' }) });
+ */
+export function asAttribute(value) {
+  Object.defineProperty(value, HCL_TYPE, { value: 'attribute' });
+
+  return value;
+}
+
+/**
+ * Marks an object or an array of objects to be rendered as nested blocks in HCL.
+ *
+ * @param {(object|object[])} value - Object or array of objects
+ * @returns {(object|object[])} The same value
+ */
+export function asBlock(value) {
+  Object.defineProperty(value, HCL_TYPE, { value: 'block' });
+
+  return value;
+}
+
+/**
+ * Checks if a value is a plain object and not a Block or an Interpolation.
+ *
+ * @param {*} value - Any value
+ * @returns {bool}
+ */
+function isObject(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !isBlock(value) &&
+    !isInterpolation(value) &&
+    !isTemplate(value)
+  );
+}
+
+/**
+ * Checks if an argument of a block must be rendered as nested blocks.
+ *
+ * @param {string} path - Path of the parent block types separated by dots
+ * @param {string} key - Argument name
+ * @param {*} value - Argument value
+ * @returns {bool}
+ */
+function isNestedBlock(path, key, value) {
+  if ((isObject(value) || Array.isArray(value)) && value[HCL_TYPE]) {
+    return value[HCL_TYPE] === 'block';
+  }
+
+  const isObjectValue =
+    isObject(value) ||
+    (Array.isArray(value) && value.length > 0 && value.every(isObject));
+
+  if (!isObjectValue) {
+    return false;
+  }
+
+  if (path in NESTED_BLOCKS) {
+    return NESTED_BLOCKS[path].includes(key);
+  }
+
+  return !MAP_ATTRIBUTES.includes(key);
+}
+
+/**
+ * Checks if the values of an argument must be bare expressions.
+ *
+ * @param {string} path - Path of the parent block types separated by dots
+ * @param {string} key - Argument name
+ * @returns {bool}
+ */
+export function isBareAttribute(path, key) {
+  return (BARE_ATTRIBUTES[path] || []).includes(key);
+}
+
+/**
+ * Escapes a string to be used in a quoted HCL string.
+ *
+ * The template sequences ${ and %{ are kept as they are in the JSON syntax.
+ *
+ * @param {string} str - String to escape
+ * @returns {string} Quoted string
+ */
+export function quote(str) {
+  const escaped = str.replace(/["\\\u0000-\u001f]/g, char => {
+    switch (char) {
+      case '"':
+        return '\\"';
+      case '\\':
+        return '\\\\';
+      case '\n':
+        return '\\n';
+      case '\r':
+        return '\\r';
+      case '\t':
+        return '\\t';
+      default:
+        return `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+    }
+  });
+
+  return `"${escaped}"`;
+}
+
+/**
+ * Returns a heredoc string of a multiline string.
+ *
+ * The heredoc strings always end with a newline, chomp() is used to remove it
+ * if the string does not end with a newline.
+ *
+ * @param {string} str - Multiline string
+ * @returns {string} Heredoc string
+ */
+function heredoc(str) {
+  const lines = str.split('\n');
+
+  let delimiter = 'EOT';
+
+  for (let n = 1; lines.some(line => line.trim() === delimiter); n++) {
+    delimiter = `EOT${n}`;
+  }
+
+  if (str.endsWith('\n')) {
+    return `<<${delimiter}\n${str}${delimiter}`;
+  }
+
+  return `chomp(<<${delimiter}\n${str}\n${delimiter}\n)`;
+}
+
+/**
+ * Returns an object key, quoted if it's not a valid identifier.
+ *
+ * @param {string} key - Object key
+ * @returns {string}
+ */
+function renderKey(key) {
+  return IDENTIFIER.test(key) && !['true', 'false', 'null'].includes(key)
+    ? key
+    : quote(key);
+}
+
+/**
+ * Renders an attribute value.
+ *
+ * @param {*} value - Any value
+ * @param {number} level - Indentation level
+ * @param {bool} bare - Render the strings as bare expressions
+ * @returns {string} HCL expression
+ */
+function renderValue(value, level = 0, bare = false) {
+  if (isBlock(value) || isInterpolation(value)) {
+    return toExpression(value);
+  }
+
+  if (isTemplate(value)) {
+    return renderValue(String(value), level, bare);
+  }
+
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+
+  if (typeof value === 'string') {
+    const expression = unwrapInterpolation(value);
+
+    if (expression !== null) {
+      return expression;
+    }
+
+    if (bare) {
+      return value;
+    }
+
+    return value.includes('\n') ? heredoc(value) : quote(value);
+  }
+
+  if (typeof value !== 'object') {
+    return String(value);
+  }
+
+  const indent = INDENT.repeat(level + 1);
+  const closingIndent = INDENT.repeat(level);
+
+  if (Array.isArray(value)) {
+    const items = value.map(item => renderValue(item, level + 1, bare));
+    const inline = `[${items.join(', ')}]`;
+
+    if (!inline.includes('\n') && inline.length <= 80) {
+      return inline;
+    }
+
+    return `[\n${items
+      .map(item => `${indent}${item},`)
+      .join('\n')}\n${closingIndent}]`;
+  }
+
+  const entries = Object.entries(value);
+
+  if (entries.length === 0) {
+    return '{}';
+  }
+
+  const lines = alignAttributes(
+    entries.map(([key, val]) => [
+      bare ? key : renderKey(key),
+      renderValue(val, level + 1, bare)
+    ])
+  );
+
+  return `{\n${lines
+    .map(line => `${indent}${line}`)
+    .join('\n')}\n${closingIndent}}`;
+}
+
+/**
+ * Returns the attribute lines with the equal signs aligned like "terraform fmt".
+ *
+ * The alignment is reset after the attributes with multiline values.
+ *
+ * @param {Array[]} attributes - Array of [key, value] arrays
+ * @returns {string[]} Array of lines
+ */
+function alignAttributes(attributes) {
+  const lines = [];
+
+  let group = [];
+
+  const flush = () => {
+    const width = Math.max(...group.map(([key]) => key.length));
+
+    for (const [key, value] of group) {
+      lines.push(`${key.padEnd(width)} = ${value}`);
+    }
+
+    group = [];
+  };
+
+  for (const [key, value] of attributes) {
+    group.push([key, value]);
+
+    if (value.includes('\n')) {
+      flush();
+    }
+  }
+
+  if (group.length > 0) {
+    flush();
+  }
+
+  return lines;
+}
+
+/**
+ * Renders a block with its labels and body.
+ *
+ * @param {string} type - Block type
+ * @param {string[]} labels - Block labels
+ * @param {object} body - Block body
+ * @param {string} path - Path of the parent block types separated by dots
+ * @param {number} level - Indentation level
+ * @returns {string} HCL block
+ */
+function renderBlock(type, labels, body, path, level = 0) {
+  const indent = INDENT.repeat(level);
+  const header = [type, ...labels.map(quote)].join(' ');
+  const content = renderBody(body, path, level + 1);
+
+  if (content === '') {
+    return `${indent}${header} {}`;
+  }
+
+  return `${indent}${header} {\n${content}\n${indent}}`;
+}
+
+/**
+ * Renders the attributes and nested blocks of a block body.
+ *
+ * @param {object} body - Block body
+ * @param {string} path - Path of the block types separated by dots
+ * @param {number} level - Indentation level
+ * @returns {string} HCL body
+ */
+function renderBody(body, path, level) {
+  const indent = INDENT.repeat(level);
+
+  // Array of sections, each section is an array of lines
+  const sections = [];
+
+  let attributes = [];
+
+  const flushAttributes = () => {
+    if (attributes.length > 0) {
+      sections.push(
+        alignAttributes(attributes).map(line => `${indent}${line}`)
+      );
+    }
+
+    attributes = [];
+  };
+
+  for (const [key, value] of Object.entries(body || {})) {
+    if (key === '//') {
+      flushAttributes();
+      sections.push([`${indent}# ${value}`]);
+    } else if (isNestedBlock(path, key, value)) {
+      flushAttributes();
+
+      const nestedPath = `${path}.${key}`;
+      const count =
+        NESTED_LABELS_COUNT[nestedPath] ||
+        (LABELED_BLOCKS.includes(key) ? 1 : 0);
+
+      for (const block of renderBlocks(key, value, count, nestedPath, level)) {
+        sections.push([block]);
+      }
+    } else {
+      attributes.push([
+        renderKey(key),
+        renderValue(value, level, isBareAttribute(path, key))
+      ]);
+    }
+  }
+
+  flushAttributes();
+
+  return sections.map(lines => lines.join('\n')).join('\n\n');
+}
+
+/**
+ * Renders the blocks of a type from a nested object of their labels and bodies.
+ *
+ * @param {string} type - Block type
+ * @param {*} value - Nested object of the block labels and body or an array of these objects
+ * @param {number} count - Number of the labels of the blocks
+ * @param {string} path - Path of the block types separated by dots
+ * @param {number} level - Indentation level
+ * @param {string[]} labels - Labels of the parent objects
+ * @returns {string[]} Array of HCL blocks
+ */
+function renderBlocks(type, value, count, path, level = 0, labels = []) {
+  if (Array.isArray(value)) {
+    return value.flatMap(item =>
+      renderBlocks(type, item, count, path, level, labels)
+    );
+  }
+
+  if (labels.length < count) {
+    return Object.entries(value).flatMap(([label, nested]) =>
+      renderBlocks(type, nested, count, path, level, [...labels, label])
+    );
+  }
+
+  return [renderBlock(type, labels, value, path, level)];
+}
+
+/**
+ * Returns a string of the native Terraform syntax (HCL) of the block objects.
+ *
+ * @param {object[]} objects - Array of objects created by createBlockObject
+ * @returns {string} HCL configuration
+ *
+ * @see {@link https://www.terraform.io/docs/configuration/syntax.html|Configuration Syntax}
+ */
+export function toHCL(objects) {
+  const blocks = [];
+
+  for (const object of objects) {
+    for (const [type, value] of Object.entries(object)) {
+      blocks.push(...renderBlocks(type, value, LABELS_COUNT[type] || 0, type));
+    }
+  }
+
+  return blocks.length > 0 ? `${blocks.join('\n\n')}\n` : '';
+}
@@ -0,0 +1,114 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import Module, { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { TYPESCRIPT_FILE, getCandidates } from './loader.js';
+
+/**
+ * Regular expression matching the relative module specifiers.
+ */
+const RELATIVE_SPECIFIER = /^\.{1,2}\//;
+
+/**
+ * Checks if a module URL is a TypeScript file.
+ *
+ * @param {string} url - Module URL
+ * @returns {bool}
+ */
+function isTypeScript(url) {
+  return url.startsWith('file:') && TYPESCRIPT_FILE.test(new URL(url).pathname);
+}
+
+/**
+ * Transpiles the source code of a TypeScript module to JavaScript.
+ *
+ * The typescript package of the project is used if installed,
+ * otherwise the types are stripped by Node.js (Version 22.13 or later).
+ *
+ * @param {string} source - TypeScript source code
+ * @param {string} file - Absolute module path
+ * @returns {string} JavaScript source code
+ * @throws {Error} If no TypeScript transpiler is available
+ */
+export function transpile(source, file) {
+  let ts;
+
+  try {
+    ts = createRequire(file)('typescript');
+  } catch (err) {
+    // The function is not available in the older versions
+    if (typeof Module.stripTypeScriptTypes === 'function') {
+      return Module.stripTypeScriptTypes(source, {
+        mode: 'transform',
+        sourceMap: true,
+        sourceUrl: file
+      });
+    }
+
+    throw new Error(
+      `Transpiling ${path.basename(file)} requires the "typescript" package or Node.js 22.13 or later`
+    );
+  }
+
+  const { outputText } = ts.transpileModule(source, {
+    fileName: file,
+    compilerOptions: {
+      module: ts.ModuleKind.ESNext,
+      target: ts.ScriptTarget.ES2022,
+      inlineSourceMap: true,
+      inlineSources: true
+    }
+  });
+
+  return outputText;
+}
+
+/**
+ * Resolves the imports of the TypeScript files using the .js extensions or no extensions.
+ *
+ * @see {@link https://nodejs.org/api/module.html#resolvespecifier-context-nextresolve}
+ */
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    if (
+      err.code !== 'ERR_MODULE_NOT_FOUND' ||
+      !RELATIVE_SPECIFIER.test(specifier) ||
+      !context.parentURL ||
+      !isTypeScript(context.parentURL)
+    ) {
+      throw err;
+    }
+
+    for (const candidate of getCandidates(specifier)) {
+      try {
+        return await nextResolve(candidate, context);
+      } catch (candidateErr) {
+        // Try the next candidate
+      }
+    }
+
+    throw err;
+  }
+}
+
+/**
+ * Loads the TypeScript files as transpiled ES modules.
+ *
+ * @see {@link https://nodejs.org/api/module.html#loadurl-context-nextload}
+ */
+export async function load(url, context, nextLoad) {
+  if (!isTypeScript(url)) {
+    return nextLoad(url, context);
+  }
+
+  const file = fileURLToPath(url);
+  const source = await fs.readFile(file, 'utf8');
+
+  return {
+    format: 'module',
+    source: transpile(source, file),
+    shortCircuit: true
+  };
+}
@@ -0,0 +1,947 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseConfig } from './parser.js';
+import { unwrapInterpolation } from './expressions.js';
+import { isBareAttribute } from './hcl.js';
+import { readManifest } from './manifest.js';
+
+/**
+ * Block types that have a builder exported by the package and the builder names.
+ */
+const BUILDERS = {
+  terraform: 'terraform',
+  provider: 'provider',
+  resource: 'resource',
+  variable: 'variable',
+  module: 'module',
+  data: 'data',
+  locals: 'locals',
+  output: 'output',
+  moved: 'moved',
+  import: 'importBlock',
+  removed: 'removed',
+  check: 'check'
+};
+
+/**
+ * Builders of the resource types exported by the package.
+ */
+const RESOURCE_BUILDERS = {
+  terraform_data: 'terraformData'
+};
+
+/**
+ * Names that cannot be used for the exported constants.
+ */
+const RESERVED_NAMES = [
+  ...Object.values(BUILDERS),
+  ...Object.values(RESOURCE_BUILDERS),
+  'attr',
+  'index',
+  'arguments',
+  'await',
+  'break',
+  'case',
+  'catch',
+  'class',
+  'const',
+  'continue',
+  'debugger',
+  'default',
+  'delete',
+  'do',
+  'else',
+  'enum',
+  'eval',
+  'export',
+  'extends',
+  'false',
+  'finally',
+  'for',
+  'function',
+  'if',
+  'implements',
+  'import',
+  'in',
+  'instanceof',
+  'interface',
+  'let',
+  'new',
+  'null',
+  'package',
+  'private',
+  'protected',
+  'public',
+  'return',
+  'static',
+  'super',
+  'switch',
+  'this',
+  'throw',
+  'true',
+  'try',
+  'typeof',
+  'undefined',
+  'var',
+  'void',
+  'while',
+  'with',
+  'yield'
+];
+
+/**
+ * Root names of the references that are not blocks.
+ */
+const SPECIAL_ROOTS = ['count', 'each', 'self', 'path', 'terraform'];
+
+/**
+ * Properties that are handled by the Block and Interpolation objects
+ * and must be accessed using the attr() helper.
+ */
+const MEMBER_NAMES = [
+  'expression',
+  'getExpression',
+  'getInterpolation',
+  'toJSON'
+];
+
+/**
+ * Regular expressions of the JavaScript identifiers and the traversal steps.
+ */
+const JS_IDENTIFIER = /^[a-zA-Z_$][\w$]*$/;
+const ROOT = /^[a-zA-Z_][\w-]*/;
+const STEP =
+  /\.([a-zA-Z_][\w-]*)|\.(\d+)|\[(\d+)\]|\["((?:[^"\\]|\\.)*)"\]|(\[\*\])|(\.\*)/y;
+
+/**
+ * Indentation string.
+ */
+const INDENT = '  ';
+
+/**
+ * Returns the name of the .tf.js file of a configuration file.
+ *
+ * @param {string} file - Configuration file name
+ * @returns {string} JavaScript module file name
+ */
+export function moduleFileName(file) {
+  return path.basename(file).replace(/\.tf(\.json)?$/, '') + '.tf.js';
+}
+
+/**
+ * Converts a string to a camel case JavaScript identifier.
+ *
+ * @param {string} str - Any string
+ * @returns {string} JavaScript identifier
+ */
+export function toIdentifier(str) {
+  const name = str
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((word, i) =>
+      i === 0
+        ? word[0].toLowerCase() + word.slice(1)
+        : word[0].toUpperCase() + word.slice(1)
+    )
+    .join('');
+
+  if (!name) {
+    return '_';
+  }
+
+  return /^\d/.test(name) ? `_${name}` : name;
+}
+
+/**
+ * Returns a JavaScript string literal.
+ *
+ * Multiline strings are converted to template literals.
+ *
+ * @param {string} str - Any string
+ * @returns {string} JavaScript string literal
+ */
+export function stringLiteral(str) {
+  if (str.includes('\n')) {
+    return `\`${escapeTemplate(str)}\``;
+  }
+
+  const escaped = str.replace(/[\\'\u0000-\u001f]/g, char => {
+    switch (char) {
+      case '\\':
+        return '\\\\';
+      case "'":
+        return "\\'";
+      case '\r':
+        return '\\r';
+      case '\t':
+        return '\\t';
+      default:
+        return `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+    }
+  });
+
+  return `'${escaped}'`;
+}
+
+/**
+ * Escapes a string to be used in a template literal.
+ *
+ * @param {string} str - Any string
+ * @returns {string} Escaped string
+ */
+function escapeTemplate(str) {
+  return str.replace(/\\|`|\$\{/g, match => `\\${match}`);
+}
+
+/**
+ * Returns a JavaScript object key.
+ *
+ * @param {string} key - Object key
+ * @returns {string} Identifier or string literal
+ */
+function objectKey(key) {
+  return JS_IDENTIFIER.test(key) ? key : stringLiteral(key);
+}
+
+/**
+ * Splits a template string into literal parts and template sequences.
+ *
+ * @param {string} str - String that may contain ${} and %{} sequences
+ * @returns {object[]} Array of parts with type "literal", "interpolation" or "directive"
+ */
+export function splitTemplate(str) {
+  const parts = [];
+
+  let literal = '';
+
+  for (let i = 0; i < str.length; i++) {
+    if (str.startsWith('$${', i) || str.startsWith('%%{', i)) {
+      literal += str.substr(i, 3);
+      i += 2;
+    } else if (str.startsWith('${', i) || str.startsWith('%{', i)) {
+      let depth = 0;
+      let end = i + 1;
+
+      for (; end < str.length; end++) {
+        if (str[end] === '{') {
+          depth++;
+        } else if (str[end] === '}' && --depth === 0) {
+          break;
+        }
+      }
+
+      if (literal) {
+        parts.push({ type: 'literal', value: literal });
+        literal = '';
+      }
+
+      parts.push({
+        type: str[i] === '$' ? 'interpolation' : 'directive',
+        value: str.slice(i, end + 1)
+      });
+
+      i = end;
+    } else {
+      literal += str[i];
+    }
+  }
+
+  if (literal) {
+    parts.push({ type: 'literal', value: literal });
+  }
+
+  return parts;
+}
+
+/**
+ * Splits a reference expression into its root name and traversal steps.
+ *
+ * @param {string} expression - Terraform expression
+ * @returns {(object|null)} Object of the root and steps or null if not a reference
+ */
+export function parseTraversal(expression) {
+  const root = ROOT.exec(expression);
+
+  if (!root) {
+    return null;
+  }
+
+  const steps = [];
+
+  STEP.lastIndex = root[0].length;
+
+  while (STEP.lastIndex < expression.length) {
+    const match = STEP.exec(expression);
+
+    if (!match) {
+      return null;
+    }
+
+    const [, attrName, legacyIndex, index, key, splat, legacySplat] = match;
+
+    if (attrName !== undefined) {
+      steps.push({ type: 'attr', name: attrName });
+    } else if (legacyIndex !== undefined || index !== undefined) {
+      steps.push({ type: 'index', value: legacyIndex || index });
+    } else if (key !== undefined) {
+      steps.push({ type: 'attr', name: JSON.parse(`"${key}"`) });
+    } else if (splat) {
+      steps.push({ type: 'splat' });
+    } else if (legacySplat) {
+      steps.push({ type: 'legacySplat' });
+    }
+  }
+
+  return { root: root[0], steps };
+}
+
+/**
+ * Returns the address used to lookup the block of a reference and the
+ * number of traversal steps that are part of the address.
+ *
+ * @param {string} root - Root name of the reference
+ * @param {object[]} steps - Traversal steps
+ * @returns {(object|null)} Object of the address and the number of consumed steps
+ */
+function referenceAddress(root, steps) {
+  const names = steps.map(step => (step.type === 'attr' ? step.name : null));
+
+  if (SPECIAL_ROOTS.includes(root)) {
+    return null;
+  }
+
+  switch (root) {
+    case 'var':
+    case 'module':
+      return names[0] ? { address: `${root}.${names[0]}`, consumed: 1 } : null;
+
+    case 'local':
+      // The local value name is accessed on the locals block
+      return names[0] ? { address: `local.${names[0]}`, consumed: 0 } : null;
+
+    case 'data':
+      return names[0] && names[1]
+        ? { address: `data.${names[0]}.${names[1]}`, consumed: 2 }
+        : null;
+
+    default:
+      return names[0]
+        ? { address: `resource.${root}.${names[0]}`, consumed: 1 }
+        : null;
+  }
+}
+
+/**
+ * Returns the addresses that can be used to reference a block.
+ *
+ * @param {object} block - Parsed block with type, labels and body
+ * @returns {string[]} Array of addresses
+ */
+function blockAddresses({ type, labels, body }) {
+  switch (type) {
+    case 'resource':
+    case 'data':
+      return [`${type}.${labels.join('.')}`];
+
+    case 'variable':
+      return [`var.${labels[0]}`];
+
+    case 'module':
+      return [`module.${labels[0]}`];
+
+    case 'locals':
+      return Object.keys(body || {}).map(name => `local.${name}`);
+
+    case 'provider':
+      return [
+        body && body.alias
+          ? `provider.${labels[0]}.${body.alias}`
+          : `provider.${labels[0]}`
+      ];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Returns the candidate constant names of a block.
+ *
+ * @param {object} block - Parsed block with type, labels and body
+ * @returns {string[]} Array of names ordered by preference
+ */
+function candidateNames({ type, labels, body }) {
+  switch (type) {
+    case 'terraform':
+      return ['tf'];
+
+    case 'locals':
+      return ['local'];
+
+    case 'provider':
+      return body && body.alias
+        ? [toIdentifier(`${labels[0]}_${body.alias}`)]
+        : [toIdentifier(labels[0])];
+
+    case 'moved':
+    case 'import':
+    case 'removed': {
+      // Named after the last part of the address, such as movedWeb for aws_instance.web
+      const address = String((body && (body.to || body.from)) || '');
+      const name = address
+        .replace(/\[[^\]]*\]|[${}]/g, '')
+        .split('.')
+        .pop();
+
+      return [toIdentifier(`${type}_${name}`)];
+    }
+
+    default:
+      return [
+        toIdentifier(labels[labels.length - 1] || type),
+        toIdentifier([type, ...labels].join('_'))
+      ];
+  }
+}
+
+/**
+ * Returns the name of the builder of a block and the labels that must be chained to it.
+ *
+ * @param {object} block - Parsed block with type and labels
+ * @returns {object} Object of the builder name and the labels
+ */
+function builderOf({ type, labels }) {
+  if (type === 'resource' && labels[0] in RESOURCE_BUILDERS) {
+    return { name: RESOURCE_BUILDERS[labels[0]], labels: labels.slice(1) };
+  }
+
+  return { name: BUILDERS[type], labels };
+}
+
+/**
+ * Class that converts the parsed configuration files to JavaScript modules.
+ */
+class Converter {
+  /**
+   * Creates a Converter instance.
+   *
+   * @param {object[]} files - Array of objects with the file name and the parsed blocks
+   * @param {string} packageName - Name of the package to import the builders from
+   */
+  constructor(files, packageName) {
+    this.packageName = packageName;
+    this.entries = [];
+    this.addresses = {};
+    this.names = new Set(RESERVED_NAMES);
+    this.warnings = [];
+    this.modules = [];
+
+    for (const { name, blocks } of files) {
+      const module = moduleFileName(name);
+
+      if (this.modules.includes(module)) {
+        throw new Error(
+          `Multiple configuration files would be converted to "${module}"`
+        );
+      }
+
+      this.modules.push(module);
+
+      for (const block of blocks) {
+        if (!(block.type in BUILDERS)) {
+          this.warnings.push(
+            `Skipped the unsupported "${block.type}" block in "${name}"`
+          );
+          continue;
+        }
+
+        const entry = {
+          block,
+          module,
+          name: this.uniqueName(candidateNames(block)),
+          deps: new Set(),
+          helpers: new Set()
+        };
+
+        for (const address of blockAddresses(block)) {
+          this.addresses[address] = entry;
+        }
+
+        this.entries.push(entry);
+      }
+    }
+  }
+
+  /**
+   * Returns the first available name, a number is appended to the last
+   * candidate if all the names are used.
+   *
+   * @param {string[]} candidates - Array of names ordered by preference
+   * @returns {string} Unique name
+   */
+  uniqueName(candidates) {
+    let name = candidates.find(candidate => !this.names.has(candidate));
+
+    for (let n = 2; !name; n++) {
+      const candidate = `${candidates[candidates.length - 1]}${n}`;
+
+      if (!this.names.has(candidate)) {
+        name = candidate;
+      }
+    }
+
+    this.names.add(name);
+
+    return name;
+  }
+
+  /**
+   * Returns the JavaScript code of a reference expression.
+   *
+   * @param {object} entry - Entry of the block containing the reference
+   * @param {string} expression - Terraform expression
+   * @returns {(string|null)} JavaScript code or null if the expression is not a known reference
+   */
+  resolve(entry, expression) {
+    const traversal = parseTraversal(expression.trim());
+
+    if (!traversal) {
+      return null;
+    }
+
+    const reference = referenceAddress(traversal.root, traversal.steps);
+    const target = reference && this.addresses[reference.address];
+
+    if (!target) {
+      return null;
+    }
+
+    const steps = traversal.steps.slice(reference.consumed);
+
+    if (steps.some(step => step.type === 'legacySplat')) {
+      return null;
+    }
+
+    entry.deps.add(target);
+
+    let code = target.name;
+
+    for (const step of steps) {
+      if (step.type === 'splat') {
+        code += "['*']";
+      } else if (step.type === 'index') {
+        code += `[${step.value}]`;
+      } else if (
+        MEMBER_NAMES.includes(step.name) ||
+        step.name in Object.prototype
+      ) {
+        entry.helpers.add('attr');
+        code = `attr(${code}, ${stringLiteral(step.name)})`;
+      } else if (JS_IDENTIFIER.test(step.name)) {
+        code += `.${step.name}`;
+      } else {
+        code += `[${stringLiteral(step.name)}]`;
+      }
+    }
+
+    return code;
+  }
+
+  /**
+   * Returns the JavaScript code of a provider reference.
+   *
+   * @param {object} entry - Entry of the block containing the reference
+   * @param {string} reference - Provider reference such as aws.west
+   * @returns {string} JavaScript code
+   */
+  resolveProvider(entry, reference) {
+    const target = this.addresses[`provider.${reference}`];
+
+    if (!target) {
+      return stringLiteral(reference);
+    }
+
+    entry.deps.add(target);
+
+    return target.name;
+  }
+
+  /**
+   * Returns the JavaScript code of a string that may contain interpolations.
+   *
+   * @param {object} entry - Entry of the block containing the string
+   * @param {string} str - String value
+   * @returns {string} JavaScript code
+   */
+  printString(entry, str) {
+    const expression = unwrapInterpolation(str);
+
+    if (expression !== null) {
+      return this.resolve(entry, expression) || stringLiteral(str);
+    }
+
+    const parts = splitTemplate(str);
+
+    const resolved = parts.map(part =>
+      part.type === 'interpolation'
+        ? this.resolve(entry, part.value.slice(2, -1))
+        : null
+    );
+
+    if (resolved.every(code => code === null)) {
+      return stringLiteral(str);
+    }
+
+    const content = parts
+      .map((part, i) =>
+        resolved[i] !== null ? `\${${resolved[i]}}` : escapeTemplate(part.value)
+      )
+      .join('');
+
+    return `\`${content}\``;
+  }
+
+  /**
+   * Returns the JavaScript code of any value.
+   *
+   * @param {object} entry - Entry of the block containing the value
+   * @param {*} value - Value of the JSON syntax
+   * @param {number} level - Indentation level
+   * @param {bool} bare - The strings are bare references such as the items of depends_on
+   * @returns {string} JavaScript code
+   */
+  printValue(entry, value, level, bare = false) {
+    if (value === null || typeof value !== 'object') {
+      if (typeof value !== 'string') {
+        return String(value);
+      }
+
+      return bare
+        ? this.resolve(entry, unwrapInterpolation(value) || value) ||
+            stringLiteral(value)
+        : this.printString(entry, value);
+    }
+
+    const indent = INDENT.repeat(level + 1);
+    const closingIndent = INDENT.repeat(level);
+
+    if (Array.isArray(value)) {
+      const items = value.map(item =>
+        this.printValue(entry, item, level + 1, bare)
+      );
+      const inline = `[${items.join(', ')}]`;
+
+      if (!inline.includes('\n') && inline.length <= 60) {
+        return inline;
+      }
+
+      return `[\n${items
+        .map(item => `${indent}${item}`)
+        .join(',\n')}\n${closingIndent}]`;
+    }
+
+    return this.printObject(value, level, (key, val) =>
+      this.printValue(entry, val, level + 1, bare)
+    );
+  }
+
+  /**
+   * Returns the JavaScript code of an object.
+   *
+   * @param {object} object - Object value
+   * @param {number} level - Indentation level
+   * @param {function} print - Function that returns the code of a property value
+   * @returns {string} JavaScript code
+   */
+  printObject(object, level, print) {
+    const entries = Object.entries(object);
+
+    if (entries.length === 0) {
+      return '{}';
+    }
+
+    const indent = INDENT.repeat(level + 1);
+    const closingIndent = INDENT.repeat(level);
+
+    const lines = entries.map(
+      ([key, val]) => `${indent}${objectKey(key)}: ${print(key, val)}`
+    );
+
+    return `{\n${lines.join(',\n')}\n${closingIndent}}`;
+  }
+
+  /**
+   * Returns the JavaScript code of a block body.
+   *
+   * @param {object} entry - Entry of the block
+   * @returns {string} JavaScript code
+   */
+  printBody(entry) {
+    const { type, body } = entry.block;
+
+    return this.printObject(body, 0, (key, value) => {
+      if (key === 'provider' && typeof value === 'string') {
+        return this.resolveProvider(entry, value);
+      }
+
+      if (
+        type === 'module' &&
+        key === 'providers' &&
+        value !== null &&
+        typeof value === 'object'
+      ) {
+        return this.printObject(value, 1, (name, reference) =>
+          typeof reference === 'string'
+            ? this.resolveProvider(entry, reference)
+            : this.printValue(entry, reference, 2)
+        );
+      }
+
+      if (
+        key === 'lifecycle' &&
+        value !== null &&
+        typeof value === 'object' &&
+        !Array.isArray(value)
+      ) {
+        return this.printObject(value, 1, (name, item) =>
+          this.printValue(
+            entry,
+            item,
+            2,
+            // The ignored changes are attribute names and not references
+            name !== 'ignore_changes' &&
+              isBareAttribute(`${type}.lifecycle`, name)
+          )
+        );
+      }
+
+      // The references of the meta-arguments such as depends_on
+      return this.printValue(entry, value, 1, isBareAttribute(type, key));
+    });
+  }
+
+  /**
+   * Returns the JavaScript code of the builder of a block.
+   *
+   * @param {object} block - Parsed block with type and labels
+   * @returns {string} JavaScript code such as resource.aws_instance.web
+   */
+  printBuilder(block) {
+    const { name, labels } = builderOf(block);
+
+    return labels.reduce(
+      (code, label) =>
+        JS_IDENTIFIER.test(label)
+          ? `${code}.${label}`
+          : `${code}[${stringLiteral(label)}]`,
+      name
+    );
+  }
+
+  /**
+   * Checks if a module imports another module directly or indirectly.
+   *
+   * @param {string} from - Module file name
+   * @param {string} to - Module file name
+   * @param {Set} visited - Set of the visited modules
+   * @returns {bool}
+   */
+  dependsOn(from, to, visited = new Set()) {
+    if (from === to) {
+      return true;
+    }
+
+    visited.add(from);
+
+    return this.entries
+      .filter(entry => entry.module === from)
+      .some(entry =>
+        [...entry.deps].some(
+          dep =>
+            !visited.has(dep.module) && this.dependsOn(dep.module, to, visited)
+        )
+      );
+  }
+
+  /**
+   * Returns the content of a JavaScript module.
+   *
+   * The blocks are sorted so the referenced blocks are defined first,
+   * a function body is used when the referenced blocks cannot be
+   * initialized before the block.
+   *
+   * @param {string} module - Module file name
+   * @param {object[]} entries - Entries of the blocks of the module
+   * @returns {string} Module content
+   */
+  printModule(module, entries) {
+    const builders = new Set();
+    const helpers = new Set();
+    const imports = {};
+    const defined = new Set();
+    const remaining = [...entries];
+    const statements = [];
+
+    while (remaining.length > 0) {
+      const ready = remaining.find(entry =>
+        [...entry.deps].every(
+          dep => dep.module !== module || dep === entry || defined.has(dep)
+        )
+      );
+
+      const entry = ready || remaining[0];
+
+      remaining.splice(remaining.indexOf(entry), 1);
+      defined.add(entry);
+
+      const lazy = [...entry.deps].some(dep =>
+        dep.module === module
+          ? !defined.has(dep) || dep === entry
+          : this.dependsOn(dep.module, module)
+      );
+
+      builders.add(builderOf(entry.block).name);
+      entry.helpers.forEach(helper => helpers.add(helper));
+
+      for (const dep of entry.deps) {
+        if (dep.module !== module) {
+          (imports[dep.module] = imports[dep.module] || new Set()).add(
+            dep.name
+          );
+        }
+      }
+
+      const builder = this.printBuilder(entry.block);
+      const hasBody = Object.keys(entry.block.body || {}).length > 0;
+
+      let args = '';
+
+      if (hasBody) {
+        args = lazy ? `() => (${entry.code})` : entry.code;
+      }
+
+      statements.push(`export const ${entry.name} = ${builder}(${args});`);
+    }
+
+    const names = [...builders, ...helpers].sort();
+    const lines = [
+      `import { ${names.join(', ')} } from '${this.packageName}';`
+    ];
+
+    for (const file of Object.keys(imports).sort()) {
+      lines.push(
+        `import { ${[...imports[file]].sort().join(', ')} } from './${file}';`
+      );
+    }
+
+    return `${lines.join('\n')}\n\n${statements.join('\n\n')}\n`;
+  }
+
+  /**
+   * Converts all the files.
+   *
+   * @returns {object[]} Array of objects with the module file name and content
+   */
+  convert() {
+    // Print the bodies first to collect the dependencies of all the blocks
+    for (const entry of this.entries) {
+      entry.code = this.printBody(entry);
+    }
+
+    return this.modules
+      .map(module => ({
+        name: module,
+        entries: this.entries.filter(entry => entry.module === module)
+      }))
+      .filter(({ entries }) => entries.length > 0)
+      .map(({ name, entries }) => ({
+        name,
+        content: this.printModule(name, entries)
+      }));
+  }
+}
+
+/**
+ * Converts parsed configuration files to JavaScript modules.
+ *
+ * @param {object[]} files - Array of objects with the file name and the parsed blocks
+ * @param {string} packageName - Name of the package to import the builders from
+ * @returns {object} Object of the modules with name and content and the warnings
+ */
+export function convertConfig(files, packageName = '@mdawar/terraformjs') {
+  const converter = new Converter(files, packageName);
+
+  const modules = converter.convert();
+
+  return { modules, warnings: converter.warnings };
+}
+
+/**
+ * Converts the .tf and .tf.json files of a directory or a single file to .tf.js modules.
+ *
+ * The files generated by TerraformJS are ignored.
+ *
+ * @param {string} input - Configuration file or directory path
+ * @param {object} options - Import options
+ * @param {string} options.out - Output directory, defaults to the input directory
+ * @param {bool} options.force - Overwrite the existing modules
+ * @returns {object} Object of the created module names, source file names and warnings
+ */
+export async function importConfig(input, { out, force = false } = {}) {
+  const stats = await fs.stat(input);
+
+  let dir = input;
+  let files = [path.basename(input)];
+
+  if (stats.isDirectory()) {
+    const manifest = await readManifest(input);
+    const entries = await fs.readdir(input, { withFileTypes: true });
+
+    files = entries
+      .filter(f => f.isFile() && /\.tf(\.json)?$/.test(f.name))
+      .map(f => f.name)
+      .filter(name => !manifest.files[name])
+      .sort();
+  } else {
+    dir = path.dirname(input);
+  }
+
+  const outDir = out || dir;
+
+  const parsed = [];
+
+  for (const name of files) {
+    const source = await fs.readFile(path.join(dir, name), 'utf8');
+
+    try {
+      parsed.push({ name, blocks: parseConfig(name, source) });
+    } catch (err) {
+      err.message = `${name}: ${err.message}`;
+      throw err;
+    }
+  }
+
+  const { modules, warnings } = convertConfig(parsed);
+
+  if (!force) {
+    for (const { name } of modules) {
+      try {
+        await fs.access(path.join(outDir, name));
+      } catch (err) {
+        continue;
+      }
+
+      throw new Error(
+        `Refusing to overwrite "${name}" (use --force to overwrite it)`
+      );
+    }
+  }
+
+  await fs.mkdir(outDir, { recursive: true });
+
+  for (const { name, content } of modules) {
+    await fs.writeFile(path.join(outDir, name), content, 'utf8');
+  }
+
+  return { modules: modules.map(({ name }) => name), sources: files, warnings };
+}
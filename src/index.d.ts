@@ -0,0 +1,295 @@
+// Type declarations of the public API of TerraformJS
+
+/**
+ * Terraform expression such as ${var.name}, the properties access the attributes of the expression.
+ */
+export interface Interpolation {
+  readonly expression: string;
+  readonly [attribute: string]: any;
+  toString(): string;
+  toJSON(): string;
+}
+
+/**
+ * Terraform block, the properties return the references to the block attributes.
+ */
+export interface Block {
+  readonly [attribute: string]: any;
+  getExpression(prop?: string): string;
+  toString(): string;
+  toJSON(): string;
+}
+
+/**
+ * Value of an argument, the literal values can be replaced with references or expressions.
+ */
+export type Value<T = any> = T | Interpolation | Block | Template | string;
+
+/**
+ * Block body or a function that returns the body.
+ */
+export type Body<T = Record<string, any>> = T | (() => T | Promise<T>);
+
+/**
+ * Types of the bodies of the resources by their types.
+ *
+ * Augmented by the declarations generated using "terraformjs schema types".
+ */
+export interface ResourceTypes {}
+
+/**
+ * Types of the bodies of the data sources by their types.
+ */
+export interface DataSourceTypes {}
+
+/**
+ * Types of the bodies of the providers by their names.
+ */
+export interface ProviderTypes {}
+
+/**
+ * Meta-arguments of the resources.
+ */
+export interface ResourceMetaArguments {
+  count?: Value<number>;
+  for_each?: Value;
+  provider?: Value<string>;
+  depends_on?: Value[];
+  lifecycle?: Record<string, any>;
+  provisioner?: Record<string, any> | Record<string, any>[];
+  connection?: Record<string, any>;
+  dynamic?: Record<string, any>;
+}
+
+/**
+ * Meta-arguments of the data sources.
+ */
+export interface DataSourceMetaArguments {
+  count?: Value<number>;
+  for_each?: Value;
+  provider?: Value<string>;
+  depends_on?: Value[];
+  lifecycle?: Record<string, any>;
+  dynamic?: Record<string, any>;
+}
+
+/**
+ * Builder of the blocks of a type, the properties are the block names.
+ */
+export type NamedBuilder<T> = {
+  readonly [name: string]: (body?: Body<T>) => Block;
+};
+
+/**
+ * Builders of the typed blocks, any type is accepted until the types are generated.
+ */
+type TypedBuilders<Types, Meta> = keyof Types extends never
+  ? { readonly [type: string]: NamedBuilder<Record<string, any>> }
+  : { readonly [K in keyof Types]: NamedBuilder<Types[K] & Meta> };
+
+/**
+ * Builder of the blocks with any number of labels.
+ */
+export interface BlockBuilder {
+  (body?: Body): Block;
+  readonly [label: string]: BlockBuilder;
+}
+
+type ProviderBuilders = keyof ProviderTypes extends never
+  ? { readonly [name: string]: (body?: Body) => Block }
+  : {
+      readonly [K in keyof ProviderTypes]: (
+        body?: Body<ProviderTypes[K] & { alias?: string }>
+      ) => Block;
+    };
+
+/**
+ * Builder of the terraform block, the properties are the references to the terraform object.
+ */
+export interface TerraformBuilder {
+  (body?: Body): Block;
+  readonly workspace: Interpolation;
+  readonly [name: string]: Interpolation;
+}
+
+// Top-level Terraform blocks
+export const terraform: TerraformBuilder;
+export const provider: ProviderBuilders;
+export const resource: TypedBuilders<ResourceTypes, ResourceMetaArguments>;
+export const variable: BlockBuilder;
+export const module: BlockBuilder;
+export const data: TypedBuilders<DataSourceTypes, DataSourceMetaArguments>;
+export const locals: BlockBuilder;
+export const output: BlockBuilder;
+
+// Refactoring, import and validation blocks
+export const moved: BlockBuilder;
+export const importBlock: BlockBuilder;
+export const removed: BlockBuilder;
+export const check: BlockBuilder;
+
+// Built-in resources
+export const terraformData: NamedBuilder<Record<string, any>>;
+
+// Reusable groups of blocks
+export class Component {
+  static inputs?: Record<
+    string,
+    { type?: string; default?: any; required?: boolean }
+  >;
+  constructor(id: string, inputs?: Record<string, any>, parent?: Component);
+  readonly id: string;
+  readonly scope: string;
+  readonly inputs: Record<string, any>;
+  readonly outputs: Record<string, any>;
+  readonly blocks: Block[];
+  readonly terraform: TerraformBuilder;
+  readonly resource: TypedBuilders<ResourceTypes, ResourceMetaArguments>;
+  readonly data: TypedBuilders<DataSourceTypes, DataSourceMetaArguments>;
+  readonly [builder: string]: any;
+  build(inputs: Record<string, any>): Record<string, any> | void;
+  component<T extends Component>(
+    ComponentClass: new (
+      id: string,
+      inputs?: Record<string, any>,
+      parent?: Component
+    ) => T,
+    id: string,
+    inputs?: Record<string, any>
+  ): T;
+}
+export function isComponent(value: any): value is Component;
+
+// Transforms applied to all the blocks
+export interface AspectBlock {
+  type: string;
+  labels: string[];
+  body: Record<string, any>;
+}
+export interface AspectContext {
+  file?: string;
+  add(...blocks: Block[]): void;
+  remove(): void;
+}
+export function addAspect(
+  aspect: (block: AspectBlock, context: AspectContext) => void | Promise<void>
+): () => void;
+
+// Context of the Terraform execution
+export interface Context {
+  readonly command: string | undefined;
+  readonly args: string[];
+  readonly workspace: string;
+  readonly vars: Record<string, any>;
+}
+export const context: Context;
+
+// Variable values written to the .auto.tfvars.json files
+export interface TFVars {
+  readonly __tfvars: never;
+}
+export function tfvars(
+  values:
+    | Record<string, any>
+    | (() => Record<string, any> | Promise<Record<string, any>>)
+): TFVars;
+
+// Sensitive values passed to Terraform using the environment variables
+export function secret(name: string, value: string): Block;
+
+// Expression builders
+export const fn: { readonly [name: string]: (...args: any[]) => Interpolation };
+export const op: { readonly [name: string]: (...args: any[]) => Interpolation };
+export function cond(
+  condition: any,
+  trueValue: any,
+  falseValue: any
+): Interpolation;
+export function forList(
+  collection: any,
+  body: (value: Interpolation, key: Interpolation) => any,
+  filter?: (value: Interpolation, key: Interpolation) => any
+): Interpolation;
+export function forMap(
+  collection: any,
+  body: (value: Interpolation, key: Interpolation) => [any, any],
+  filter?: (value: Interpolation, key: Interpolation) => any
+): Interpolation;
+export function index(value: any, key: any): Interpolation;
+export function attr(value: any, name: string): Interpolation;
+export function splat(value: any): Interpolation;
+export function legacySplat(value: any): Interpolation;
+export function toExpression(value: any): string;
+
+// Built-in references
+export interface Each extends Interpolation {
+  readonly key: Interpolation;
+  readonly value: Interpolation;
+}
+export const count: Interpolation & { readonly index: Interpolation };
+export const each: Each;
+export const self: Interpolation;
+export const path: Interpolation & {
+  readonly module: Interpolation;
+  readonly root: Interpolation;
+  readonly cwd: Interpolation;
+};
+export function forEach<T extends Record<string, any>>(
+  collection: any,
+  body: (each: Each) => T
+): T & { for_each: Value };
+
+// String templates, inserted in the other templates without escaping
+export interface Template extends String {}
+export function literal(str: string): Template;
+export const raw: typeof literal;
+export function template(
+  strings: TemplateStringsArray,
+  ...values: any[]
+): Template;
+export function templateIf(
+  condition: any,
+  trueValue: any,
+  falseValue?: any
+): Template;
+export function templateFor(
+  collection: any,
+  body: (value: Interpolation, key: Interpolation) => any
+): Template;
+
+// Configuration files generation
+export function generateJSON(
+  path: string,
+  blocks: any[],
+  file?: string
+): Promise<string>;
+export function generateHCL(
+  path: string,
+  blocks: any[],
+  file?: string
+): Promise<string>;
+export function toHCL(objects: object[]): string;
+export function asAttribute<T extends object>(value: T): T;
+export function asBlock<T extends object>(value: T): T;
+
+// In-memory synthesis and testing helpers
+export function synth(
+  input: string | object | any[]
+): Promise<Record<string, any>>;
+export function findBlock(
+  config: Record<string, any>,
+  type: string,
+  ...labels: string[]
+): any;
+export function findResource(
+  config: Record<string, any>,
+  type: string,
+  name: string
+): any;
+export function findData(
+  config: Record<string, any>,
+  type: string,
+  name: string
+): any;
+export function getAttribute(body: any, attribute: string | string[]): any;
+export const matchers: Record<string, (...args: any[]) => any>;
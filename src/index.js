@@ -1,6 +1,7 @@
 import { TerraformBlock } from './base.js';
 
 // Top-level Terraform blocks
+// The properties of terraform are references such as terraform.workspace
 export const terraform = new TerraformBlock('terraform');
 export const provider = new TerraformBlock('provider');
 export const resource = new TerraformBlock('resource');
@@ -9,3 +10,64 @@ export const module = new TerraformBlock('module');
 export const data = new TerraformBlock('data');
 export const locals = new TerraformBlock('locals');
 export const output = new TerraformBlock('output');
+
+// Refactoring, import and validation blocks
+// "import" is a reserved word so the builder is named importBlock
+export const moved = new TerraformBlock('moved');
+export const importBlock = new TerraformBlock('import');
+export const removed = new TerraformBlock('removed');
+export const check = new TerraformBlock('check');
+
+// Built-in resources
+export const terraformData = new TerraformBlock('resource', 'terraform_data');
+
+// Reusable groups of blocks
+export { Component, isComponent } from './component.js';
+
+// Transforms applied to all the blocks
+export { addAspect } from './aspects.js';
+
+// Context of the Terraform execution (Workspace, arguments and variables)
+export { context } from './context.js';
+
+// Variable values written to the .auto.tfvars.json files
+export { tfvars } from './tfvars.js';
+
+// Sensitive values passed to Terraform using the environment variables
+export { secret } from './secrets.js';
+
+// Expression builders
+export {
+  fn,
+  op,
+  cond,
+  forList,
+  forMap,
+  index,
+  attr,
+  splat,
+  legacySplat,
+  toExpression,
+  literal,
+  raw,
+  template,
+  templateIf,
+  templateFor
+} from './expressions.js';
+
+// Built-in references (count.index, each.value, self, path.module) and for_each bodies
+export { count, each, self, path, forEach } from './expressions.js';
+
+// Configuration files generation
+export { generateJSON, generateHCL } from './utils.js';
+export { toHCL, asAttribute, asBlock } from './hcl.js';
+
+// In-memory synthesis and testing helpers
+export { synth } from './synth.js';
+export {
+  findBlock,
+  findResource,
+  findData,
+  getAttribute,
+  matchers
+} from './testing.js';
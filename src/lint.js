@@ -0,0 +1,310 @@
+import { TYPE, LABELS } from './base.js';
+import { applyAspects } from './aspects.js';
+import { collectBlocks } from './utils.js';
+import { getAddresses } from './registry.js';
+import { resolveBlockBody, getReferences } from './references.js';
+
+/**
+ * Severities of the lint rules.
+ */
+export const SEVERITIES = ['error', 'warning', 'off'];
+
+/**
+ * Creates the lint project of the imported modules.
+ *
+ * The registered aspects are applied to the blocks of each export.
+ *
+ * @param {Map} modules - Map of the source file names to the module namespace objects
+ * @param {Map} [included] - Map of the source file names to the blocks that are not exported but included in the files
+ * @returns {object} Project object of the blocks and the maps of the declared and referenced addresses
+ */
+export async function createProject(modules, included = new Map()) {
+  const blocks = [];
+
+  for (const [file, exports] of modules) {
+    for (const [exportName, value] of [
+      ...Object.entries(exports),
+      [null, included.get(file) || []]
+    ]) {
+      for (const block of await applyAspects(collectBlocks(value), file)) {
+        const type = block[TYPE];
+        const labels = [...block[LABELS]];
+        const body = await resolveBlockBody(block);
+
+        blocks.push({
+          file,
+          exportName,
+          type,
+          labels,
+          address: [type, ...labels].join('.'),
+          body,
+          declares: getAddresses(type, labels, body),
+          references: getReferences(body, type)
+        });
+      }
+    }
+  }
+
+  const declarations = new Map();
+  const references = new Map();
+
+  for (const block of blocks) {
+    for (const address of block.declares) {
+      declarations.set(address, [...(declarations.get(address) || []), block]);
+    }
+
+    // The self references such as a variable in its validation are not usages
+    for (const address of new Set(block.references)) {
+      if (!block.declares.includes(address)) {
+        references.set(address, [...(references.get(address) || []), block]);
+      }
+    }
+  }
+
+  return { blocks, declarations, references };
+}
+
+/**
+ * Built-in lint rules.
+ *
+ * A rule has a default severity and a check function called with every
+ * block and a context object of the project and a report function.
+ */
+export const RULES = [
+  {
+    name: 'duplicate-address',
+    description: 'Blocks must not be defined more than once across the files',
+    severity: 'error',
+    check(block, { project, report }) {
+      for (const address of block.declares) {
+        const [first] = project.declarations.get(address);
+
+        if (first !== block) {
+          report(
+            `${address} is already defined by the "${first.exportName}" export of ${first.file}`
+          );
+        }
+      }
+    }
+  },
+  {
+    name: 'unexported-reference',
+    description:
+      'Referenced resources, data sources and modules must be exported',
+    severity: 'error',
+    check(block, { project, report }) {
+      for (const address of new Set(block.references)) {
+        const [type] = address.split('.');
+
+        if (
+          ['resource', 'data', 'module'].includes(type) &&
+          !project.declarations.has(address)
+        ) {
+          report(`${address} is referenced but not exported by any file`);
+        }
+      }
+    }
+  },
+  {
+    name: 'undeclared-variable',
+    description: 'Referenced variables must be declared',
+    severity: 'error',
+    check(block, { project, report }) {
+      for (const address of new Set(block.references)) {
+        if (
+          address.startsWith('variable.') &&
+          !project.declarations.has(address)
+        ) {
+          report(`The variable "${address.slice(9)}" is not declared`);
+        }
+      }
+    }
+  },
+  {
+    name: 'undeclared-local',
+    description: 'Referenced local values must be declared',
+    severity: 'error',
+    check(block, { project, report }) {
+      for (const address of new Set(block.references)) {
+        if (
+          address.startsWith('local.') &&
+          !project.declarations.has(address)
+        ) {
+          report(`The local value "${address.slice(6)}" is not declared`);
+        }
+      }
+    }
+  },
+  {
+    name: 'unused-variable',
+    description: 'Declared variables should be referenced',
+    severity: 'warning',
+    check(block, { project, report }) {
+      if (block.type === 'variable' && !project.references.has(block.address)) {
+        report(`The variable "${block.labels[0]}" is not used`);
+      }
+    }
+  }
+];
+
+/**
+ * Runs the lint rules over the blocks of a project.
+ *
+ * @param {object} project - Project object returned by createProject
+ * @param {object} options - Lint options
+ * @param {object} options.rules - Object of the rule names to their severities "error", "warning" or "off"
+ * @param {object[]} options.customRules - Array of custom rules of name, description, severity and check properties
+ * @returns {object} Object of the enabled rules and the array of the found issues
+ * @throws {Error} If a rule is unknown or fails
+ */
+export function lint(project, { rules = {}, customRules = [] } = {}) {
+  const allRules = [...RULES, ...customRules];
+
+  for (const name of Object.keys(rules)) {
+    if (!allRules.some(rule => rule.name === name)) {
+      throw new Error(`Unknown lint rule "${name}"`);
+    }
+  }
+
+  const enabled = allRules
+    .map(rule => ({
+      ...rule,
+      severity: rules[rule.name] || rule.severity || 'error'
+    }))
+    .filter(rule => rule.severity !== 'off');
+
+  const issues = [];
+
+  for (const block of project.blocks) {
+    for (const rule of enabled) {
+      const report = message =>
+        issues.push({
+          rule: rule.name,
+          severity: rule.severity,
+          message,
+          file: block.file,
+          exportName: block.exportName,
+          address: block.address
+        });
+
+      try {
+        rule.check(block, { project, report });
+      } catch (err) {
+        err.message = `${rule.name}: ${block.file}: ${block.address}: ${err.message}`;
+        throw err;
+      }
+    }
+  }
+
+  return { rules: enabled, issues };
+}
+
+/**
+ * Returns the text report of the issues grouped by file.
+ *
+ * @param {object[]} issues - Array of issues
+ * @returns {string} Text report, empty if there are no issues
+ */
+export function formatText(issues) {
+  if (issues.length === 0) {
+    return '';
+  }
+
+  const lines = [];
+
+  let file = null;
+
+  for (const issue of issues) {
+    if (issue.file !== file) {
+      file = issue.file;
+      lines.push(file);
+    }
+
+    lines.push(
+      `  ${issue.severity.padEnd(7)}  ${issue.address}  ${issue.message}  (${
+        issue.rule
+      })`
+    );
+  }
+
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  const warnings = issues.length - errors;
+
+  lines.push(
+    '',
+    `${issues.length} problem${issues.length === 1 ? '' : 's'} ` +
+      `(${errors} error${errors === 1 ? '' : 's'}, ` +
+      `${warnings} warning${warnings === 1 ? '' : 's'})`
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Returns the JSON report of the issues.
+ *
+ * @param {object[]} issues - Array of issues
+ * @returns {string} JSON array of the issues
+ */
+export function formatJSON(issues) {
+  return JSON.stringify(issues, null, 2);
+}
+
+/**
+ * Returns the SARIF report of the issues used by the code scanning tools.
+ *
+ * @see {@link https://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html}
+ *
+ * @param {object[]} issues - Array of issues
+ * @param {object[]} rules - Array of the enabled rules
+ * @returns {string} SARIF log
+ */
+export function formatSARIF(issues, rules) {
+  const log = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'TerraformJS',
+            informationUri: 'https://github.com/mdawar/terraformjs',
+            rules: rules.map(rule => ({
+              id: rule.name,
+              shortDescription: { text: rule.description || rule.name },
+              defaultConfiguration: { level: rule.severity }
+            }))
+          }
+        },
+        results: issues.map(issue => ({
+          ruleId: issue.rule,
+          level: issue.severity,
+          message: { text: issue.message },
+          locations: [
+            {
+              physicalLocation: { artifactLocation: { uri: issue.file } },
+              logicalLocations: [
+                {
+                  // The included blocks that are not exported have no export name
+                  name: issue.exportName || issue.address,
+                  fullyQualifiedName: issue.address
+                }
+              ]
+            }
+          ]
+        }))
+      }
+    ]
+  };
+
+  return JSON.stringify(log, null, 2);
+}
+
+/**
+ * Report formats of the lint command.
+ */
+export const REPORTERS = {
+  text: formatText,
+  json: formatJSON,
+  sarif: formatSARIF
+};
@@ -0,0 +1,151 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Extensions of the source files.
+ *
+ * The TypeScript files are transpiled when imported and the CommonJS
+ * modules are loaded using their module.exports object.
+ */
+export const SOURCE_EXTENSIONS = [
+  '.tf.js',
+  '.tf.mjs',
+  '.tf.cjs',
+  '.tf.ts',
+  '.tf.mts'
+];
+
+/**
+ * Default glob pattern of the source files.
+ *
+ * @type {string}
+ */
+export const SOURCE_PATTERN = '*.tf.{js,mjs,cjs,ts,mts}';
+
+/**
+ * Regular expression matching the extensions of the source files.
+ */
+export const SOURCE_FILE = /\.tf\.(?:js|mjs|cjs|ts|mts)$/;
+
+/**
+ * Regular expression matching the extensions of the TypeScript modules.
+ */
+export const TYPESCRIPT_FILE = /\.m?ts$/;
+
+/**
+ * Returns the TypeScript module specifiers of a missing module imported by a TypeScript file.
+ *
+ * The TypeScript files import the other files using their .js extensions or without extensions.
+ *
+ * @param {string} specifier - Relative module specifier
+ * @returns {string[]} Array of module specifiers
+ */
+export function getCandidates(specifier) {
+  if (specifier.endsWith('.js')) {
+    return [specifier.replace(/\.js$/, '.ts')];
+  }
+
+  if (specifier.endsWith('.mjs')) {
+    return [specifier.replace(/\.mjs$/, '.mts')];
+  }
+
+  return path.extname(specifier) ? [] : [`${specifier}.ts`];
+}
+
+/**
+ * Returns the "type" field of the nearest package.json file of a directory.
+ *
+ * @param {string} dir - Absolute directory path
+ * @returns {(string|undefined)} Package type "module" or "commonjs" or undefined if not set
+ */
+async function getPackageType(dir) {
+  let content;
+
+  try {
+    content = await fs.readFile(path.join(dir, 'package.json'), 'utf8');
+  } catch (err) {
+    const parent = path.dirname(dir);
+
+    return parent !== dir ? getPackageType(parent) : undefined;
+  }
+
+  return JSON.parse(content).type;
+}
+
+/**
+ * Checks if a module is loaded as a CommonJS module.
+ *
+ * The .js files are CommonJS modules unless the nearest package.json has "type": "module".
+ *
+ * @param {string} file - Absolute module path
+ * @returns {bool}
+ */
+export async function isCommonJS(file) {
+  if (file.endsWith('.cjs')) {
+    return true;
+  }
+
+  if (!file.endsWith('.js')) {
+    return false;
+  }
+
+  return (await getPackageType(path.dirname(file))) !== 'module';
+}
+
+/**
+ * Returns the exports object of the module.exports value of a CommonJS module.
+ *
+ * The properties of a plain object are handled as the named exports,
+ * any other value such as a Block or an array is handled as a default export.
+ *
+ * @param {*} value - Value of module.exports
+ * @returns {object} Exports object
+ */
+export function toExports(value) {
+  const proto =
+    value !== null && typeof value === 'object'
+      ? Object.getPrototypeOf(value)
+      : undefined;
+
+  if (proto === Object.prototype || proto === null) {
+    return value;
+  }
+
+  return { default: value };
+}
+
+/**
+ * Imports a source file.
+ *
+ * The module hooks transpiling the TypeScript files are registered before
+ * importing the first TypeScript file.
+ *
+ * @param {string} file - Absolute module path
+ * @returns {object} Module namespace object or the exports of a CommonJS module
+ * @throws {Error} If the module fails, the Node.js version is added to the errors of the ES modules required by a CommonJS module
+ */
+export async function importModule(file) {
+  if (TYPESCRIPT_FILE.test(file)) {
+    await import('./register.js');
+  }
+
+  let namespace;
+
+  try {
+    namespace = await import(file);
+  } catch (err) {
+    // The ES modules such as this package can only be required by Node.js 20.19 or later
+    if (err.code === 'ERR_REQUIRE_ESM') {
+      err.message = `${err.message}\nRequiring an ES module such as @mdawar/terraformjs requires Node.js 20.19 or later, use the .tf.mjs suffix on the older versions`;
+    }
+
+    throw err;
+  }
+
+  // The module.exports object is the default export of the CommonJS modules
+  if ((await isCommonJS(file)) && 'default' in namespace) {
+    return toExports(namespace.default);
+  }
+
+  return namespace;
+}
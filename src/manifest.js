@@ -0,0 +1,199 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Name of the file used to track the generated files.
+ *
+ * @type {string}
+ */
+export const MANIFEST_FILE = '.terraformjs-manifest.json';
+
+/**
+ * Returns the hash of a file content.
+ *
+ * @param {string} content - File content
+ * @returns {string} SHA-256 hash prefixed with the algorithm name
+ */
+export function hashContent(content) {
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+
+  return `sha256-${hash}`;
+}
+
+/**
+ * Reads the manifest of the generated files from a directory.
+ *
+ * An empty manifest is returned if the manifest file does not exist.
+ *
+ * @param {string} dir - Directory path
+ * @returns {object} Manifest object
+ */
+export async function readManifest(dir) {
+  let content;
+
+  try {
+    content = await fs.readFile(path.join(dir, MANIFEST_FILE), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { files: {} };
+    }
+
+    throw err;
+  }
+
+  const manifest = JSON.parse(content);
+
+  return { ...manifest, files: manifest.files || {} };
+}
+
+/**
+ * Writes the manifest of the generated files to a directory.
+ *
+ * The manifest file is removed when there are no tracked files.
+ *
+ * @param {string} dir - Directory path
+ * @param {object} manifest - Manifest object
+ * @returns {Promise}
+ */
+export async function writeManifest(dir, manifest) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+
+  if (Object.keys(manifest.files).length === 0) {
+    try {
+      await fs.unlink(manifestPath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+
+    return;
+  }
+
+  await fs.writeFile(
+    manifestPath,
+    JSON.stringify(manifest, null, 2) + '\n',
+    'utf8'
+  );
+}
+
+/**
+ * Records a generated file in the manifest.
+ *
+ * @param {object} manifest - Manifest object
+ * @param {string} file - Generated file name
+ * @param {string} source - Source file name of the generated file
+ * @param {string} content - Generated file content
+ */
+export function trackFile(manifest, file, source, content) {
+  manifest.files[file] = {
+    source,
+    hash: hashContent(content)
+  };
+}
+
+/**
+ * Returns the status of a file compared to the manifest.
+ *
+ * @param {string} dir - Directory path
+ * @param {object} manifest - Manifest object
+ * @param {string} file - File name
+ * @returns {string} One of "missing", "generated", "modified" or "untracked"
+ */
+export async function getFileStatus(dir, manifest, file) {
+  let content;
+
+  try {
+    content = await fs.readFile(path.join(dir, file), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return 'missing';
+    }
+
+    throw err;
+  }
+
+  const entry = manifest.files[file];
+
+  if (!entry) {
+    return 'untracked';
+  }
+
+  return entry.hash === hashContent(content) ? 'generated' : 'modified';
+}
+
+/**
+ * Checks that a file can be written without losing any changes.
+ *
+ * Only the files that do not exist or that were generated and not modified afterwards
+ * can be overwritten unless forced.
+ *
+ * @param {string} dir - Directory path
+ * @param {object} manifest - Manifest object
+ * @param {string} file - File name
+ * @param {bool} force - Allow overwriting any file
+ * @throws {Error} If the file cannot be overwritten
+ */
+export async function checkOverwrite(dir, manifest, file, force = false) {
+  if (force) {
+    return;
+  }
+
+  const status = await getFileStatus(dir, manifest, file);
+
+  if (status === 'untracked') {
+    throw new Error(
+      `Refusing to overwrite "${file}", it was not generated by TerraformJS (use --force to overwrite it)`
+    );
+  }
+
+  if (status === 'modified') {
+    throw new Error(
+      `Refusing to overwrite "${file}", it was modified after being generated (use --force to overwrite it)`
+    );
+  }
+}
+
+/**
+ * Removes the generated files tracked in the manifest.
+ *
+ * The modified files are kept unless forced, the removed and missing files
+ * are deleted from the manifest.
+ *
+ * @param {string} dir - Directory path
+ * @param {object} manifest - Manifest object
+ * @param {bool} force - Remove the modified files too
+ * @param {string[]} files - Names of the files to remove, defaults to all the tracked files
+ * @returns {object} Object of the removed and modified file names
+ */
+export async function removeGeneratedFiles(
+  dir,
+  manifest,
+  force = false,
+  files = Object.keys(manifest.files)
+) {
+  const removed = [];
+  const modified = [];
+
+  for (const file of files.filter(name => manifest.files[name])) {
+    const status = await getFileStatus(dir, manifest, file);
+
+    if (status === 'modified') {
+      modified.push(file);
+
+      if (!force) {
+        continue;
+      }
+    }
+
+    if (status !== 'missing') {
+      await fs.unlink(path.join(dir, file));
+      removed.push(file);
+    }
+
+    delete manifest.files[file];
+  }
+
+  return { removed, modified };
+}
@@ -0,0 +1,752 @@
+import { LABELS_COUNT, isBareAttribute } from './hcl.js';
+
+/**
+ * Multi-character punctuation tokens of the native syntax.
+ */
+const OPERATORS = ['...', '==', '!=', '<=', '>=', '&&', '||', '=>', '::'];
+
+/**
+ * Regular expressions of the identifier and number tokens.
+ */
+const IDENTIFIER = /[a-zA-Z_][\w-]*/y;
+const NUMBER = /\d+(\.\d+)?([eE][+-]?\d+)?/y;
+
+/**
+ * Escape sequences of the quoted strings.
+ */
+const ESCAPES = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' };
+
+/**
+ * Returns the line number of a position in the source.
+ *
+ * @param {string} source - Source code
+ * @param {number} pos - Character position
+ * @returns {number} Line number starting from 1
+ */
+function lineOf(source, pos) {
+  return source.slice(0, pos).split('\n').length;
+}
+
+/**
+ * Creates a syntax error with the line number of the position.
+ *
+ * @param {string} source - Source code
+ * @param {number} pos - Character position
+ * @param {string} message - Error message
+ * @returns {SyntaxError}
+ */
+function syntaxError(source, pos, message) {
+  return new SyntaxError(`${message} on line ${lineOf(source, pos)}`);
+}
+
+/**
+ * Returns the end position of a template sequence ${...} or %{...}.
+ *
+ * @param {string} source - Source code
+ * @param {number} pos - Position of the opening brace
+ * @returns {number} Position after the closing brace
+ */
+function scanTemplateSequence(source, pos) {
+  let depth = 0;
+
+  for (let i = pos; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '"') {
+      i = scanString(source, i) - 1;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+
+      if (depth === 0) {
+        return i + 1;
+      }
+    }
+  }
+
+  throw syntaxError(source, pos, 'Unterminated template sequence');
+}
+
+/**
+ * Returns the end position of a quoted string.
+ *
+ * @param {string} source - Source code
+ * @param {number} pos - Position of the opening quote
+ * @returns {number} Position after the closing quote
+ */
+function scanString(source, pos) {
+  for (let i = pos + 1; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '"') {
+      return i + 1;
+    } else if (char === '\n') {
+      break;
+    } else if (source.startsWith('$${', i) || source.startsWith('%%{', i)) {
+      // Escaped template sequence
+      i += 2;
+    } else if (source.startsWith('${', i) || source.startsWith('%{', i)) {
+      i = scanTemplateSequence(source, i + 1) - 1;
+    }
+  }
+
+  throw syntaxError(source, pos, 'Unterminated string');
+}
+
+/**
+ * Decodes the escape sequences of a quoted string content.
+ *
+ * The template sequences are kept as they are, the result is the same
+ * as the string in the JSON syntax.
+ *
+ * @param {string} content - Quoted string content without the quotes
+ * @returns {string} Decoded string
+ */
+function decodeString(content) {
+  let result = '';
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (char === '\\') {
+      const next = content[i + 1];
+
+      if (next === 'u' || next === 'U') {
+        const length = next === 'u' ? 4 : 8;
+        const code = parseInt(content.substr(i + 2, length), 16);
+
+        result += String.fromCodePoint(code);
+        i += length + 1;
+      } else {
+        result += ESCAPES[next] !== undefined ? ESCAPES[next] : next;
+        i++;
+      }
+    } else if (content.startsWith('$${', i) || content.startsWith('%%{', i)) {
+      result += content.substr(i, 3);
+      i += 2;
+    } else if (content.startsWith('${', i) || content.startsWith('%{', i)) {
+      const end = scanTemplateSequence(content, i + 1);
+
+      result += content.slice(i, end);
+      i = end - 1;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Scans a heredoc string.
+ *
+ * @param {string} source - Source code
+ * @param {number} pos - Position of the heredoc opening <<
+ * @returns {object} Object of the heredoc content and end position
+ */
+function scanHeredoc(source, pos) {
+  const match = /<<(-?)([a-zA-Z_][\w-]*)\r?\n/y;
+  match.lastIndex = pos;
+
+  const [opening, indented, delimiter] = match.exec(source) || [];
+
+  if (!opening) {
+    throw syntaxError(source, pos, 'Invalid heredoc');
+  }
+
+  const lines = [];
+
+  let i = pos + opening.length;
+
+  while (i < source.length) {
+    let lineEnd = source.indexOf('\n', i);
+
+    if (lineEnd === -1) {
+      lineEnd = source.length;
+    }
+
+    const line = source.slice(i, lineEnd).replace(/\r$/, '');
+
+    if (line.trim() === delimiter) {
+      let content = lines;
+
+      if (indented) {
+        const indents = lines
+          .filter(l => l.trim() !== '')
+          .map(l => l.match(/^\s*/)[0].length);
+        const minIndent = indents.length > 0 ? Math.min(...indents) : 0;
+
+        content = lines.map(l => l.slice(minIndent));
+      }
+
+      return {
+        value: content.map(l => `${l}\n`).join(''),
+        end: i + source.slice(i, lineEnd).length
+      };
+    }
+
+    lines.push(line);
+    i = lineEnd + 1;
+  }
+
+  throw syntaxError(source, pos, 'Unterminated heredoc');
+}
+
+/**
+ * Splits the native syntax source into tokens.
+ *
+ * @param {string} source - Source code
+ * @returns {object[]} Array of tokens with type, value, start and end properties
+ */
+export function tokenize(source) {
+  const tokens = [];
+
+  const push = (type, value, start, end) => {
+    tokens.push({ type, value, start, end });
+  };
+
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === '\n') {
+      const last = tokens[tokens.length - 1];
+
+      if (last && last.type !== 'newline') {
+        push('newline', '\n', i, i + 1);
+      }
+
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (char === '#' || source.startsWith('//', i)) {
+      while (i < source.length && source[i] !== '\n') {
+        i++;
+      }
+    } else if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2);
+
+      if (end === -1) {
+        throw syntaxError(source, i, 'Unterminated comment');
+      }
+
+      i = end + 2;
+    } else if (char === '"') {
+      const end = scanString(source, i);
+
+      push('string', decodeString(source.slice(i + 1, end - 1)), i, end);
+      i = end;
+    } else if (source.startsWith('<<', i) && /[-\w]/.test(source[i + 2])) {
+      const { value, end } = scanHeredoc(source, i);
+
+      push('string', value, i, end);
+      i = end;
+    } else {
+      IDENTIFIER.lastIndex = i;
+      NUMBER.lastIndex = i;
+
+      const identifier = IDENTIFIER.exec(source);
+      const number = !identifier && NUMBER.exec(source);
+      const operator = OPERATORS.find(op => source.startsWith(op, i));
+
+      if (identifier) {
+        push('ident', identifier[0], i, IDENTIFIER.lastIndex);
+        i = IDENTIFIER.lastIndex;
+      } else if (number) {
+        push('number', Number(number[0]), i, NUMBER.lastIndex);
+        i = NUMBER.lastIndex;
+      } else if (operator) {
+        push('punct', operator, i, i + operator.length);
+        i += operator.length;
+      } else if ('{}[]()=,.:?!<>+-*/%'.includes(char)) {
+        push('punct', char, i, i + 1);
+        i++;
+      } else {
+        throw syntaxError(source, i, `Unexpected character "${char}"`);
+      }
+    }
+  }
+
+  push('eof', null, source.length, source.length);
+
+  return tokens;
+}
+
+/**
+ * Class implementing a parser of the native syntax that produces objects
+ * equivalent to the JSON syntax.
+ *
+ * The expressions are converted to interpolation strings, except in the
+ * arguments that require bare references such as depends_on.
+ */
+class Parser {
+  /**
+   * Creates a Parser instance.
+   *
+   * @param {string} source - Source code
+   */
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  is(token, value) {
+    return token.type === 'punct' && token.value === value;
+  }
+
+  skipNewlines() {
+    while (this.peek().type === 'newline') {
+      this.pos++;
+    }
+  }
+
+  expect(value) {
+    const token = this.next();
+
+    if (!this.is(token, value)) {
+      throw this.error(token, `Expected "${value}"`);
+    }
+
+    return token;
+  }
+
+  error(token, message) {
+    return syntaxError(this.source, token.start, message);
+  }
+
+  /**
+   * Parses the top-level blocks of a file.
+   *
+   * @returns {object[]} Array of blocks with type, labels and body properties
+   */
+  parseFile() {
+    const { blocks } = this.parseBody('', 'eof');
+
+    return blocks;
+  }
+
+  /**
+   * Parses a body until the closing token.
+   *
+   * @param {string} path - Path of the block types separated by dots
+   * @param {string} closing - Type of the closing token "eof" or "}"
+   * @returns {object} Object of the attributes and the nested blocks
+   */
+  parseBody(path, closing) {
+    const attributes = {};
+    const blocks = [];
+
+    for (;;) {
+      this.skipNewlines();
+
+      const token = this.peek();
+
+      if (token.type === 'eof' || (closing === '}' && this.is(token, '}'))) {
+        if (token.type !== closing && !this.is(token, closing)) {
+          throw this.error(token, 'Unexpected end of file');
+        }
+
+        break;
+      }
+
+      if (token.type !== 'ident') {
+        throw this.error(token, 'Expected an argument or a block type');
+      }
+
+      this.pos++;
+
+      if (this.is(this.peek(), '=')) {
+        this.pos++;
+
+        const bare = isBareAttribute(path, token.value);
+
+        attributes[token.value] = this.parseExpression(bare);
+      } else {
+        const labels = [];
+
+        while (['string', 'ident'].includes(this.peek().type)) {
+          labels.push(this.next().value);
+        }
+
+        this.expect('{');
+
+        const nestedPath = path ? `${path}.${token.value}` : token.value;
+        const body = this.parseBody(nestedPath, '}');
+
+        this.expect('}');
+
+        blocks.push({ type: token.value, labels, body: body.value });
+      }
+
+      const end = this.peek();
+
+      if (!['newline', 'eof'].includes(end.type) && !this.is(end, '}')) {
+        throw this.error(end, 'Expected a newline');
+      }
+    }
+
+    return { blocks, value: mergeBlocks(attributes, blocks) };
+  }
+
+  /**
+   * Returns the end position of an expression starting at the current token.
+   *
+   * @returns {number} Index of the token after the expression
+   */
+  expressionEnd() {
+    let depth = 0;
+    let i = this.pos;
+
+    for (; ; i++) {
+      const token = this.tokens[i];
+
+      if (token.type === 'eof') {
+        break;
+      }
+
+      if (depth === 0 && token.type === 'newline') {
+        break;
+      }
+
+      if (token.type === 'punct') {
+        if ('([{'.includes(token.value)) {
+          depth++;
+        } else if (')]}'.includes(token.value)) {
+          if (depth === 0) {
+            break;
+          }
+
+          depth--;
+        } else if (depth === 0 && token.value === ',') {
+          break;
+        }
+      }
+    }
+
+    if (i === this.pos) {
+      throw this.error(this.tokens[i], 'Expected an expression');
+    }
+
+    return i;
+  }
+
+  /**
+   * Parses an expression, the literal values are converted to JavaScript values.
+   *
+   * @param {bool} bare - Keep the expressions as bare references
+   * @returns {*} Value of the expression
+   */
+  parseExpression(bare = false) {
+    const start = this.pos;
+    const end = this.expressionEnd();
+    const first = this.tokens[start];
+    const count = end - start;
+
+    let value;
+
+    if (count === 1 && ['string', 'number'].includes(first.type)) {
+      value = first.value;
+    } else if (
+      count === 1 &&
+      first.type === 'ident' &&
+      ['true', 'false', 'null'].includes(first.value)
+    ) {
+      value = JSON.parse(first.value);
+    } else if (
+      count === 2 &&
+      this.is(first, '-') &&
+      this.tokens[start + 1].type === 'number'
+    ) {
+      value = -this.tokens[start + 1].value;
+    } else if (
+      this.is(first, '{') &&
+      this.closingOf(start) === end - 1 &&
+      !this.isForExpression(start + 1)
+    ) {
+      this.pos++;
+      value = this.parseObject(bare);
+    } else if (
+      this.is(first, '[') &&
+      this.closingOf(start) === end - 1 &&
+      !this.isForExpression(start + 1)
+    ) {
+      this.pos++;
+      value = this.parseTuple(bare);
+    } else {
+      const expression = this.source
+        .slice(first.start, this.tokens[end - 1].end)
+        .trim();
+
+      value = bare ? expression : `\${${expression}}`;
+    }
+
+    this.pos = end;
+
+    return value;
+  }
+
+  /**
+   * Returns the index of the closing bracket of an opening bracket.
+   *
+   * @param {number} index - Index of the opening bracket token
+   * @returns {number} Index of the closing bracket token
+   */
+  closingOf(index) {
+    let depth = 0;
+
+    for (let i = index; i < this.tokens.length; i++) {
+      const token = this.tokens[i];
+
+      if (token.type === 'punct' && '([{'.includes(token.value)) {
+        depth++;
+      } else if (token.type === 'punct' && ')]}'.includes(token.value)) {
+        depth--;
+
+        if (depth === 0) {
+          return i;
+        }
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Checks if the tokens after an opening bracket start a for expression.
+   *
+   * @param {number} index - Index of the token after the opening bracket
+   * @returns {bool}
+   */
+  isForExpression(index) {
+    let i = index;
+
+    while (this.tokens[i].type === 'newline') {
+      i++;
+    }
+
+    return this.tokens[i].type === 'ident' && this.tokens[i].value === 'for';
+  }
+
+  /**
+   * Parses the elements of a tuple after the opening bracket.
+   *
+   * @param {bool} bare - Keep the expressions as bare references
+   * @returns {Array} Array of the elements
+   */
+  parseTuple(bare) {
+    const items = [];
+
+    for (;;) {
+      this.skipNewlines();
+
+      if (this.is(this.peek(), ']')) {
+        this.pos++;
+        return items;
+      }
+
+      items.push(this.parseExpression(bare));
+      this.skipNewlines();
+
+      if (this.is(this.peek(), ',')) {
+        this.pos++;
+      }
+    }
+  }
+
+  /**
+   * Parses the attributes of an object after the opening brace.
+   *
+   * @param {bool} bare - Keep the expressions as bare references
+   * @returns {object} Object of the attributes
+   */
+  parseObject(bare) {
+    const object = {};
+
+    for (;;) {
+      this.skipNewlines();
+
+      const token = this.peek();
+
+      if (this.is(token, '}')) {
+        this.pos++;
+        return object;
+      }
+
+      const keyStart = this.pos;
+
+      while (
+        !this.is(this.peek(), '=') &&
+        !this.is(this.peek(), ':') &&
+        this.peek().type !== 'eof'
+      ) {
+        this.pos++;
+      }
+
+      const keyTokens = this.tokens.slice(keyStart, this.pos);
+
+      if (keyTokens.length === 0) {
+        throw this.error(token, 'Expected an object key');
+      }
+
+      let key;
+
+      if (
+        keyTokens.length === 1 &&
+        ['ident', 'string'].includes(keyTokens[0].type)
+      ) {
+        key = keyTokens[0].value;
+      } else {
+        const expression = this.source
+          .slice(keyTokens[0].start, keyTokens[keyTokens.length - 1].end)
+          .replace(/^\((.*)\)$/s, '$1');
+
+        key = bare ? expression : `\${${expression}}`;
+      }
+
+      this.pos++;
+      object[key] = this.parseExpression(bare);
+
+      if (this.is(this.peek(), ',')) {
+        this.pos++;
+      }
+    }
+  }
+}
+
+/**
+ * Merges the nested blocks with the attributes of a body.
+ *
+ * The labels are nested as object keys like in the JSON syntax,
+ * an array is used for the blocks of the same type that are repeated.
+ *
+ * @param {object} attributes - Object of the attributes
+ * @param {object[]} blocks - Array of the nested blocks
+ * @returns {object} Body object
+ */
+function mergeBlocks(attributes, blocks) {
+  const body = { ...attributes };
+  const grouped = {};
+
+  for (const { type, labels, body: nestedBody } of blocks) {
+    const value = labels.reduceRight(
+      (nested, label) => ({ [label]: nested }),
+      nestedBody
+    );
+
+    (grouped[type] = grouped[type] || []).push(value);
+  }
+
+  for (const [type, values] of Object.entries(grouped)) {
+    body[type] = values.length === 1 ? values[0] : values;
+  }
+
+  return body;
+}
+
+/**
+ * Parses a configuration file written in the native syntax (HCL).
+ *
+ * @param {string} source - Content of a .tf file
+ * @returns {object[]} Array of blocks with type, labels and body properties
+ * @throws {SyntaxError} If the source is not valid
+ */
+export function parseHCL(source) {
+  return new Parser(source).parseFile();
+}
+
+/**
+ * Parses the top-level blocks of a JSON configuration object.
+ *
+ * @param {string} type - Block type
+ * @param {*} value - Nested object of the block labels and body
+ * @param {string[]} labels - Labels of the parent objects
+ * @returns {object[]} Array of blocks with type, labels and body properties
+ */
+function parseJSONBlocks(type, value, labels = []) {
+  if (Array.isArray(value)) {
+    return value.flatMap(item => parseJSONBlocks(type, item, labels));
+  }
+
+  if (labels.length < (LABELS_COUNT[type] || 0)) {
+    return Object.entries(value)
+      .filter(([label]) => label !== '//')
+      .flatMap(([label, nested]) =>
+        parseJSONBlocks(type, nested, [...labels, label])
+      );
+  }
+
+  return [{ type, labels, body: value }];
+}
+
+/**
+ * Parses a configuration file written in the JSON syntax.
+ *
+ * @param {string} source - Content of a .tf.json file
+ * @returns {object[]} Array of blocks with type, labels and body properties
+ * @throws {SyntaxError} If the source is not valid JSON
+ */
+export function parseJSON(source) {
+  const content = JSON.parse(source);
+  const objects = Array.isArray(content) ? content : [content];
+
+  return objects.flatMap(object =>
+    Object.entries(object)
+      .filter(([type]) => type !== '//')
+      .flatMap(([type, value]) => parseJSONBlocks(type, value))
+  );
+}
+
+/**
+ * Parses a configuration file in the JSON or the native syntax depending on its name.
+ *
+ * @param {string} file - File name
+ * @param {string} source - File content
+ * @returns {object[]} Array of blocks with type, labels and body properties
+ */
+export function parseConfig(file, source) {
+  return file.endsWith('.json') ? parseJSON(source) : parseHCL(source);
+}
+
+/**
+ * Parses a variable definitions file (.tfvars) in the JSON or the native syntax depending on its name.
+ *
+ * @param {string} file - File name
+ * @param {string} source - File content
+ * @returns {object} Object of the variable values
+ * @throws {SyntaxError} If the source is not valid
+ */
+export function parseVariables(file, source) {
+  return file.endsWith('.json')
+    ? JSON.parse(source)
+    : new Parser(source).parseBody('', 'eof').value;
+}
+
+/**
+ * Parses the value of a variable passed on the command line or in an environment variable.
+ *
+ * The values of the complex types are parsed as expressions, the other values are kept as strings.
+ *
+ * @param {string} value - Raw value
+ * @returns {*} Variable value
+ * @throws {SyntaxError} If a complex value is not valid
+ */
+export function parseVariableValue(value) {
+  if (!/^\s*[[{]/.test(value)) {
+    return value;
+  }
+
+  return new Parser(`value = ${value}`).parseBody('', 'eof').value.value;
+}
@@ -0,0 +1,239 @@
+import { TYPE, LABELS } from './base.js';
+import { createBlockObject } from './utils.js';
+import { isBareAttribute } from './hcl.js';
+
+/**
+ * Bare attributes that are not references to the existing blocks.
+ *
+ * The moved and removed blocks reference the blocks that are no longer defined.
+ */
+const IGNORED_ATTRIBUTES = {
+  moved: ['from'],
+  removed: ['from'],
+  'resource.lifecycle': ['ignore_changes']
+};
+
+/**
+ * Bare attributes whose values are provider references such as "aws.west".
+ */
+const PROVIDER_ATTRIBUTES = {
+  resource: ['provider'],
+  data: ['provider'],
+  import: ['provider'],
+  module: ['providers']
+};
+
+/**
+ * Regular expression matching the provider references.
+ */
+const PROVIDER_REFERENCE = /^[a-zA-Z_][\w-]*(\.[a-zA-Z_][\w-]*)?$/;
+
+/**
+ * Reference roots that are not blocks of the configuration.
+ */
+const SPECIAL_ROOTS = ['count', 'each', 'self', 'path', 'terraform'];
+
+/**
+ * Regular expression matching the start of the template interpolations and directives,
+ * the escaped sequences $${ and %%{ are not matched.
+ */
+const TEMPLATE_START = /(?<![$%])[$%]\{/g;
+
+/**
+ * Regular expression matching the quoted strings of an expression.
+ */
+const QUOTED_STRING = /"(?:[^"\\]|\\.)*"/g;
+
+/**
+ * Regular expression matching the variable names of the for expressions.
+ */
+const FOR_VARIABLES =
+  /\bfor\s+([a-zA-Z_][\w-]*)(?:\s*,\s*([a-zA-Z_][\w-]*))?\s+in\b/g;
+
+/**
+ * Regular expression matching the references of an expression, e.g. var.name or aws_instance.web.id
+ */
+const REFERENCE =
+  /(?<![\w.\]-])([a-zA-Z_][\w-]*)\.([a-zA-Z_][\w-]*)(?:\.([a-zA-Z_][\w-]*))?/g;
+
+/**
+ * Returns the expressions of a string value.
+ *
+ * @param {string} value - String value containing interpolations
+ * @returns {string[]} Array of the expressions of the interpolations and the directives
+ */
+function findExpressions(value) {
+  const expressions = [];
+
+  for (const match of value.matchAll(TEMPLATE_START)) {
+    let depth = 1;
+    let end = match.index + 2;
+
+    for (; end < value.length && depth > 0; end++) {
+      if (value[end] === '{') {
+        depth++;
+      } else if (value[end] === '}') {
+        depth--;
+      }
+    }
+
+    expressions.push(value.slice(match.index + 2, end - 1));
+  }
+
+  return expressions;
+}
+
+/**
+ * Returns the addresses of the blocks referenced in an expression.
+ *
+ * @param {string} expression - Terraform expression
+ * @param {string[]} scoped - Names of the iterators that are not resources
+ * @returns {string[]} Array of addresses such as "variable.name" and "resource.aws_instance.web"
+ */
+export function findReferences(expression, scoped = []) {
+  const code = expression.replace(QUOTED_STRING, '""');
+  const names = [...scoped];
+
+  for (const match of code.matchAll(FOR_VARIABLES)) {
+    names.push(...match.slice(1).filter(Boolean));
+  }
+
+  const references = [];
+
+  for (const [, root, name, attribute] of code.matchAll(REFERENCE)) {
+    if (root === 'var') {
+      references.push(`variable.${name}`);
+    } else if (root === 'local' || root === 'module') {
+      references.push(`${root}.${name}`);
+    } else if (root === 'data') {
+      if (attribute) {
+        references.push(`data.${name}.${attribute}`);
+      }
+    } else if (
+      root.includes('_') &&
+      !SPECIAL_ROOTS.includes(root) &&
+      !names.includes(root)
+    ) {
+      // The resource types are prefixed with the provider name
+      references.push(`resource.${root}.${name}`);
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Returns the names of the dynamic blocks and their iterators.
+ *
+ * @param {*} value - Block body or any nested value
+ * @param {string[]} names - Array of the found names
+ * @returns {string[]} Array of names
+ */
+function findIterators(value, names = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => findIterators(item, names));
+  } else if (value !== null && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      if (key === 'dynamic' && item !== null && typeof item === 'object') {
+        names.push(...Object.keys(item));
+      } else if (key === 'iterator' && typeof item === 'string') {
+        names.push(item);
+      }
+
+      findIterators(item, names);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Returns the addresses of the providers referenced by a provider meta-argument.
+ *
+ * @param {*} value - Provider reference or an object of provider references of a module
+ * @returns {string[]} Array of addresses such as "provider.aws.west"
+ */
+function findProviderReferences(value) {
+  if (typeof value === 'string') {
+    return PROVIDER_REFERENCE.test(value) ? [`provider.${value}`] : [];
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return Object.values(value).flatMap(findProviderReferences);
+  }
+
+  return [];
+}
+
+/**
+ * Returns the addresses of the blocks referenced in a nested value of a block body.
+ *
+ * @param {*} value - Any nested value of a block body in the JSON syntax
+ * @param {string} path - Path of the block types separated by dots
+ * @param {string[]} scoped - Names of the iterators that are not resources
+ * @param {bool} bare - Whether the strings are bare expressions
+ * @returns {string[]} Array of addresses
+ */
+function findBodyReferences(value, path, scoped, bare = false) {
+  if (typeof value === 'string') {
+    return (bare ? [value] : findExpressions(value)).flatMap(expression =>
+      findReferences(expression, scoped)
+    );
+  }
+
+  if (Array.isArray(value)) {
+    return value.flatMap(item => findBodyReferences(item, path, scoped, bare));
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => {
+      if ((IGNORED_ATTRIBUTES[path] || []).includes(key)) {
+        return [];
+      }
+
+      if ((PROVIDER_ATTRIBUTES[path] || []).includes(key)) {
+        return findProviderReferences(item);
+      }
+
+      return findBodyReferences(
+        item,
+        `${path}.${key}`,
+        scoped,
+        bare || isBareAttribute(path, key)
+      );
+    });
+  }
+
+  return [];
+}
+
+/**
+ * Returns the addresses of the blocks referenced in a block body.
+ *
+ * The for expressions variables and the iterators of the dynamic blocks are not references.
+ *
+ * @param {object} body - Block body in the JSON syntax
+ * @param {string} type - Block type
+ * @returns {string[]} Array of addresses such as "variable.name" and "resource.aws_instance.web"
+ */
+export function getReferences(body, type) {
+  return findBodyReferences(body, type, findIterators(body));
+}
+
+/**
+ * Returns the body of a Block instance in the JSON syntax.
+ *
+ * The interpolations are converted to strings as in the generated files.
+ *
+ * @param {Block} block - Block instance
+ * @returns {object} Block body
+ */
+export async function resolveBlockBody(block) {
+  const object = JSON.parse(JSON.stringify(await createBlockObject(block)));
+
+  // The repeated blocks are created as arrays
+  return block[LABELS].reduce(
+    (value, label) => value[label],
+    [].concat(object[block[TYPE]])[0]
+  );
+}
@@ -0,0 +1,9 @@
+import { register } from 'module';
+
+/**
+ * Registers the module hooks transpiling the TypeScript source files.
+ *
+ * Imported once before importing the first TypeScript file,
+ * can also be preloaded using: node --import @mdawar/terraformjs/src/register.js
+ */
+register('./hooks.js', import.meta.url);
@@ -0,0 +1,185 @@
+import { isBlock, TYPE, LABELS, getBlockBody } from './base.js';
+import { collectBlocks } from './utils.js';
+import { resolveBlockBody, getReferences } from './references.js';
+
+/**
+ * Types of the blocks whose addresses depend on their bodies.
+ */
+const BODY_ADDRESSES = ['locals', 'provider', 'terraform', 'check'];
+
+/**
+ * Returns the addresses declared by a block.
+ *
+ * The providers are identified by their aliases, the local values by their
+ * names and the terraform blocks by their backends, the moved, import
+ * and removed blocks can be repeated.
+ *
+ * @param {string} type - Block type
+ * @param {string[]} labels - Block labels
+ * @param {object} body - Block body
+ * @returns {string[]} Array of addresses
+ */
+export function getAddresses(type, labels, body) {
+  const object = body !== null && typeof body === 'object' ? body : {};
+
+  switch (type) {
+    case 'locals':
+      return Object.keys(object).map(name => `local.${name}`);
+    case 'provider':
+      return [['provider', ...labels, object.alias].filter(Boolean).join('.')];
+    case 'terraform':
+      return object.backend || object.cloud ? ['terraform.backend'] : [];
+    case 'check':
+      // The scoped data source of a check block might be a data Block instance
+      return [
+        ['check', ...labels].join('.'),
+        ...(isBlock(object.data)
+          ? [['data', ...object.data[LABELS]].join('.')]
+          : Object.entries(object.data || {}).flatMap(([dataType, sources]) =>
+              Object.keys(sources).map(name => `data.${dataType}.${name}`)
+            ))
+      ];
+    case 'moved':
+    case 'import':
+    case 'removed':
+      return [];
+    default:
+      return [[type, ...labels].join('.')];
+  }
+}
+
+/**
+ * Returns the addresses declared by a Block instance.
+ *
+ * @param {Block} block - Block instance
+ * @returns {string[]} Array of addresses
+ */
+async function getBlockAddresses(block) {
+  const type = block[TYPE];
+
+  const body = BODY_ADDRESSES.includes(type) ? await getBlockBody(block) : {};
+
+  return getAddresses(type, block[LABELS], body);
+}
+
+/**
+ * Registers the addresses of the blocks exported by a module.
+ *
+ * The registry is shared by all the modules of a project to detect the
+ * blocks defined more than once before generating any file.
+ *
+ * @param {Map} registry - Map of the addresses to the objects of the file and export names
+ * @param {string} file - Name of the source file
+ * @param {object} exports - Module namespace object
+ * @throws {Error} If an address is already registered
+ */
+export async function registerBlocks(registry, file, exports) {
+  for (const [exportName, value] of Object.entries(exports)) {
+    for (const block of collectBlocks(value)) {
+      for (const address of await getBlockAddresses(block)) {
+        const previous = registry.get(address);
+
+        if (previous) {
+          throw new Error(
+            `Duplicate ${address} defined by the "${previous.exportName}" export of ${previous.file} ` +
+              `and the "${exportName}" export of ${file}`
+          );
+        }
+
+        registry.set(address, { file, exportName });
+      }
+    }
+  }
+}
+
+/**
+ * Finds the blocks that are referenced by the exported blocks but not exported.
+ *
+ * The referenced blocks are searched in the blocks created by each module,
+ * the blocks referenced by the found blocks are found too.
+ *
+ * @param {Map} modules - Map of the source file names to the module namespace objects
+ * @param {Map} created - Map of the source file names to the arrays of the blocks created by their modules
+ * @returns {Map} Map of the source file names to the arrays of the found blocks
+ */
+export async function findUnexportedBlocks(modules, created) {
+  const exported = new Set();
+
+  for (const exports of modules.values()) {
+    collectBlocks(Object.values(exports)).forEach(block => exported.add(block));
+  }
+
+  const declared = new Set();
+
+  for (const block of exported) {
+    (await getBlockAddresses(block)).forEach(address => declared.add(address));
+  }
+
+  // The unexported blocks by the addresses that are not declared by the exported blocks
+  const candidates = new Map();
+
+  for (const blocks of created.values()) {
+    for (const block of blocks) {
+      if (exported.has(block)) {
+        continue;
+      }
+
+      for (const address of await getBlockAddresses(block)) {
+        if (!declared.has(address) && !candidates.has(address)) {
+          candidates.set(address, block);
+        }
+      }
+    }
+  }
+
+  const found = new Set();
+  const pending = [...exported];
+
+  while (candidates.size > 0 && pending.length > 0) {
+    const block = pending.shift();
+
+    let body;
+
+    try {
+      body = await resolveBlockBody(block);
+    } catch (err) {
+      // The errors of the bodies are reported when rendering the blocks
+      continue;
+    }
+
+    for (const address of getReferences(body, block[TYPE])) {
+      const candidate = candidates.get(address);
+
+      if (candidate && !found.has(candidate)) {
+        found.add(candidate);
+        pending.push(candidate);
+      }
+    }
+  }
+
+  const result = new Map();
+
+  // Keep the order of the creation of the blocks
+  for (const [file, blocks] of created) {
+    const referenced = blocks.filter(block => found.has(block));
+
+    if (referenced.length > 0) {
+      result.set(file, referenced);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Returns the warning message of a referenced block that is not exported.
+ *
+ * @param {string} file - Name of the source file that created the block
+ * @param {Block} block - Block instance
+ * @returns {string} Warning message
+ */
+export function unexportedWarning(file, block) {
+  const address = [block[TYPE], ...block[LABELS]].join('.');
+
+  return `${file}: ${address} is referenced but not exported, export it or enable the includeUnexported option`;
+}
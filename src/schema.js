@@ -0,0 +1,461 @@
+import { promises as fs } from 'fs';
+
+/**
+ * Default path of the provider schema file relative to the project root.
+ *
+ * @type {string}
+ */
+export const SCHEMA_FILE = 'providers.schema.json';
+
+/**
+ * Meta-arguments that are not defined in the provider schemas.
+ */
+const META_ARGUMENTS = {
+  resource: [
+    'count',
+    'for_each',
+    'provider',
+    'depends_on',
+    'lifecycle',
+    'provisioner',
+    'connection'
+  ],
+  data: ['count', 'for_each', 'provider', 'depends_on', 'lifecycle'],
+  provider: ['alias', 'version']
+};
+
+/**
+ * Properties of the schemas of each block type.
+ */
+const SCHEMA_PROPERTIES = {
+  resource: 'resource_schemas',
+  data: 'data_source_schemas'
+};
+
+/**
+ * Regular expression matching the valid TypeScript identifiers.
+ */
+const IDENTIFIER = /^[a-zA-Z_$][\w$]*$/;
+
+/**
+ * Loads a provider schema file produced by "terraform providers schema -json".
+ *
+ * @param {string} file - Schema file path
+ * @returns {object} Schema object
+ * @throws {Error} If the file is not found or is not a provider schema
+ */
+export async function loadSchema(file) {
+  let content;
+
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Provider schema file "${file}" not found`);
+  }
+
+  const schema = JSON.parse(content);
+
+  if (
+    schema === null ||
+    typeof schema !== 'object' ||
+    typeof schema.provider_schemas !== 'object'
+  ) {
+    throw new Error(
+      `Invalid provider schema file "${file}", use: terraform providers schema -json > ${file}`
+    );
+  }
+
+  return schema;
+}
+
+/**
+ * Returns the local name of a provider source address, e.g. "aws" for "registry.terraform.io/hashicorp/aws"
+ *
+ * @param {string} source - Provider source address
+ * @returns {string} Provider name
+ */
+function providerName(source) {
+  return source.split('/').pop();
+}
+
+/**
+ * Returns the schema of a resource, a data source or a provider.
+ *
+ * @param {object} schema - Schema object
+ * @param {string} type - Block type "resource", "data" or "provider"
+ * @param {string} name - Resource type, data source type or provider name
+ * @returns {(object|null)} Block schema or null if not found
+ */
+export function findSchema(schema, type, name) {
+  for (const [source, provider] of Object.entries(schema.provider_schemas)) {
+    if (type === 'provider') {
+      if (providerName(source) === name && provider.provider) {
+        return provider.provider.block;
+      }
+    } else {
+      const schemas = provider[SCHEMA_PROPERTIES[type]] || {};
+
+      if (schemas[name]) {
+        return schemas[name].block;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks if a provider of the schema has the prefix of a resource or data source type.
+ *
+ * @param {object} schema - Schema object
+ * @param {string} name - Resource or data source type
+ * @returns {bool}
+ */
+function hasProvider(schema, name) {
+  return Object.keys(schema.provider_schemas).some(
+    source => providerName(source) === name.split('_')[0]
+  );
+}
+
+/**
+ * Checks if a value is an object.
+ *
+ * @param {*} value - Any value
+ * @returns {bool}
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validates a block body in the JSON syntax against a block schema.
+ *
+ * @param {object} body - Block body
+ * @param {object} block - Block schema of the attributes and the nested block types
+ * @param {string[]} meta - Names of the meta-arguments
+ * @param {string} prefix - Path of the nested block used in the messages
+ * @returns {string[]} Array of error messages
+ */
+export function validateBody(body, block, meta = [], prefix = '') {
+  const attributes = block.attributes || {};
+  const blockTypes = block.block_types || {};
+  const dynamic = isObject(body.dynamic) ? body.dynamic : {};
+  const errors = [];
+
+  for (const [key, value] of Object.entries(body)) {
+    const name = `${prefix}${key}`;
+
+    if (meta.includes(key)) {
+      continue;
+    }
+
+    if (key === 'dynamic') {
+      for (const [blockName, dynamicBlock] of Object.entries(dynamic)) {
+        if (!blockTypes[blockName]) {
+          errors.push(`Unknown block type "${prefix}${blockName}"`);
+        } else if (isObject(dynamicBlock) && isObject(dynamicBlock.content)) {
+          errors.push(
+            ...validateBody(
+              dynamicBlock.content,
+              blockTypes[blockName].block,
+              [],
+              `${prefix}${blockName}.`
+            )
+          );
+        }
+      }
+    } else if (attributes[key]) {
+      const { required, optional, computed } = attributes[key];
+
+      if (computed && !required && !optional) {
+        errors.push(`The argument "${name}" is read-only`);
+      }
+    } else if (blockTypes[key]) {
+      errors.push(...validateNestedBlocks(value, blockTypes[key], name));
+    } else {
+      errors.push(`Unknown argument "${name}"`);
+    }
+  }
+
+  for (const [key, attribute] of Object.entries(attributes)) {
+    if (attribute.required && !(key in body)) {
+      errors.push(`Missing the required argument "${prefix}${key}"`);
+    }
+  }
+
+  for (const [key, blockType] of Object.entries(blockTypes)) {
+    if (blockType.min_items > 0 && !(key in body) && !(key in dynamic)) {
+      errors.push(`Missing the required block "${prefix}${key}"`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates the nested blocks of a block type.
+ *
+ * @param {*} value - Object or array of objects of the nested blocks
+ * @param {object} blockType - Schema of the block type of the nesting mode and the block schema
+ * @param {string} name - Path of the nested block used in the messages
+ * @returns {string[]} Array of error messages
+ */
+function validateNestedBlocks(value, blockType, name) {
+  const { nesting_mode: mode, block, max_items: max } = blockType;
+
+  let blocks;
+
+  if (mode === 'map') {
+    // The map blocks are objects of the block labels to the blocks
+    blocks = isObject(value) ? Object.values(value) : [value];
+  } else if (mode === 'list' || mode === 'set') {
+    blocks = Array.isArray(value) ? value : [value];
+  } else {
+    blocks = [value];
+  }
+
+  if (!blocks.every(isObject)) {
+    return [`The "${name}" argument must be a block`];
+  }
+
+  if (max > 0 && blocks.length > max) {
+    return [`Too many "${name}" blocks, expected at most ${max}`];
+  }
+
+  return blocks.flatMap(nested => validateBody(nested, block, [], `${name}.`));
+}
+
+/**
+ * Validates a block of a lint project against the provider schemas.
+ *
+ * Only the resources, the data sources and the providers are validated, the types
+ * that are not found are ignored unless their provider is in the schema.
+ *
+ * @param {object} schema - Schema object
+ * @param {string} type - Block type
+ * @param {string[]} labels - Block labels
+ * @param {object} body - Block body in the JSON syntax
+ * @returns {string[]} Array of error messages
+ */
+export function validateBlock(schema, type, labels, body) {
+  if (!META_ARGUMENTS[type] || !isObject(body)) {
+    return [];
+  }
+
+  const block = findSchema(schema, type, labels[0]);
+
+  if (!block) {
+    return type !== 'provider' && hasProvider(schema, labels[0])
+      ? [
+          `Unknown ${type === 'data' ? 'data source' : type} type "${labels[0]}"`
+        ]
+      : [];
+  }
+
+  return validateBody(body, block, META_ARGUMENTS[type]);
+}
+
+/**
+ * Creates the lint rule validating the blocks against the provider schemas.
+ *
+ * @param {object} schema - Schema object
+ * @returns {object} Lint rule
+ */
+export function createSchemaRule(schema) {
+  return {
+    name: 'provider-schema',
+    description:
+      'Resources, data sources and providers must match the provider schemas',
+    severity: 'error',
+    check({ type, labels, body }, { report }) {
+      validateBlock(schema, type, labels, body).forEach(report);
+    }
+  };
+}
+
+/**
+ * Returns the TypeScript type of a Terraform type constraint.
+ *
+ * @param {(string|Array)} type - Type constraint of the schema such as "string" or ["list", "string"]
+ * @returns {string} TypeScript type
+ */
+export function toTypeScript(type) {
+  if (type === 'string') {
+    return 'string';
+  }
+
+  if (type === 'number') {
+    return 'number';
+  }
+
+  if (type === 'bool') {
+    return 'boolean';
+  }
+
+  if (Array.isArray(type)) {
+    const [kind, inner] = type;
+
+    switch (kind) {
+      case 'list':
+      case 'set':
+        return `Value<${toTypeScript(inner)}>[]`;
+      case 'map':
+        return `Record<string, Value<${toTypeScript(inner)}>>`;
+      case 'object':
+        return `{ ${Object.entries(inner)
+          .map(
+            ([key, value]) => `${property(key)}?: Value<${toTypeScript(value)}>`
+          )
+          .join('; ')} }`;
+      case 'tuple':
+        return `[${inner.map(item => `Value<${toTypeScript(item)}>`).join(', ')}]`;
+    }
+  }
+
+  return 'any';
+}
+
+/**
+ * Returns a property name that is quoted if it's not a valid identifier.
+ *
+ * @param {string} name - Property name
+ * @returns {string} Property name
+ */
+function property(name) {
+  return IDENTIFIER.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Returns a JSDoc comment of a description.
+ *
+ * @param {string} description - Description of the schema
+ * @param {string} indent - Indentation
+ * @returns {string[]} Array of lines, empty if there is no description
+ */
+function comment(description, indent) {
+  if (!description) {
+    return [];
+  }
+
+  const lines = description.trim().replace(/\*\//g, '*\\/').split('\n');
+
+  return [
+    `${indent}/**`,
+    ...lines.map(line => `${indent} * ${line}`.trimEnd()),
+    `${indent} */`
+  ];
+}
+
+/**
+ * Returns the TypeScript type of a block schema.
+ *
+ * The read-only attributes are omitted and the required attributes are not optional.
+ *
+ * @param {object} block - Block schema
+ * @param {string} indent - Indentation of the properties
+ * @returns {string} TypeScript object type
+ */
+function blockType(block, indent) {
+  const lines = ['{'];
+
+  for (const [name, attribute] of Object.entries(block.attributes || {})) {
+    if (attribute.computed && !attribute.required && !attribute.optional) {
+      continue;
+    }
+
+    const type =
+      attribute.type !== undefined ? toTypeScript(attribute.type) : 'any';
+
+    lines.push(
+      ...comment(attribute.description, indent),
+      `${indent}${property(name)}${
+        attribute.required ? '' : '?'
+      }: Value<${type}>;`
+    );
+  }
+
+  for (const [name, nested] of Object.entries(block.block_types || {})) {
+    const type = blockType(nested.block, `${indent}  `);
+    const required = nested.min_items > 0 ? '' : '?';
+
+    let value;
+
+    if (nested.nesting_mode === 'map') {
+      value = `Record<string, ${type}>`;
+    } else if (
+      nested.nesting_mode === 'list' ||
+      nested.nesting_mode === 'set'
+    ) {
+      value = nested.max_items === 1 ? type : `${type} | ${type}[]`;
+    } else {
+      value = type;
+    }
+
+    lines.push(
+      ...comment(nested.block.description, indent),
+      `${indent}${property(name)}${required}: ${value};`
+    );
+  }
+
+  lines.push(`${indent.slice(2)}}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Generates the TypeScript declarations of the resources, the data sources
+ * and the providers of the schema.
+ *
+ * The declarations augment the types of the package to type the bodies of
+ * the blocks such as resource.aws_instance.web({ ... })
+ *
+ * @param {object} schema - Schema object
+ * @returns {string} Content of the .d.ts file
+ */
+export function generateTypes(schema) {
+  const interfaces = {
+    ResourceTypes: [],
+    DataSourceTypes: [],
+    ProviderTypes: []
+  };
+
+  const add = (name, key, block) => {
+    interfaces[name].push(
+      ...comment(block.description, '    '),
+      `    ${property(key)}: ${blockType(block, '      ')};`
+    );
+  };
+
+  for (const [source, provider] of Object.entries(schema.provider_schemas)) {
+    if (provider.provider) {
+      add('ProviderTypes', providerName(source), provider.provider.block);
+    }
+
+    for (const [type, { block }] of Object.entries(
+      provider.resource_schemas || {}
+    )) {
+      add('ResourceTypes', type, block);
+    }
+
+    for (const [type, { block }] of Object.entries(
+      provider.data_source_schemas || {}
+    )) {
+      add('DataSourceTypes', type, block);
+    }
+  }
+
+  const lines = [
+    '// Generated by TerraformJS from the provider schemas, do not edit this file',
+    "import type { Value } from '@mdawar/terraformjs';",
+    '',
+    "declare module '@mdawar/terraformjs' {"
+  ];
+
+  for (const [name, properties] of Object.entries(interfaces)) {
+    lines.push(`  interface ${name} {`, ...properties, '  }');
+  }
+
+  lines.push('}', '');
+
+  return lines.join('\n');
+}
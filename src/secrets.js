@@ -0,0 +1,157 @@
+import { Block } from './base.js';
+
+/**
+ * Global symbol of the map of the secret names to their values and variable blocks.
+ *
+ * The secrets are stored on the global object to be shared with the
+ * other copies of the package, such as a local and a global installation.
+ *
+ * @type {symbol}
+ */
+const SECRETS = Symbol.for('terraformjs.secrets');
+
+/**
+ * Global symbol used to identify the variable blocks of the secrets.
+ *
+ * @type {symbol}
+ */
+const SECRET = Symbol.for('terraformjs.secret');
+
+/**
+ * Text replacing the secret values in the messages.
+ */
+const REDACTED = '(sensitive value)';
+
+/**
+ * Regular expression matching the valid variable names.
+ */
+const VARIABLE_NAME = /^[a-zA-Z_][\w-]*$/;
+
+/**
+ * Returns the map of the secrets, created on first use.
+ *
+ * @returns {Map} Map of the secret names to the objects of the value and the variable block
+ */
+function getSecrets() {
+  if (!globalThis[SECRETS]) {
+    globalThis[SECRETS] = new Map();
+  }
+
+  return globalThis[SECRETS];
+}
+
+/**
+ * Creates a sensitive variable whose value is passed to Terraform using a TF_VAR_ environment variable.
+ *
+ * The returned variable block is declared automatically in the generated file
+ * of the module that creates it, the value is never written to the generated files.
+ *
+ * @param {string} name - Variable name
+ * @param {string} value - Secret value
+ * @returns {Block} Variable block
+ * @throws {Error} If the name is invalid, the value is not a string or the secret has another value
+ *
+ * @example
+ * import { secret, resource } from '@mdawar/terraformjs';
+ *
+ * const password = secret('db_password', await fetchPassword());
+ *
+ * export const db = resource.aws_db_instance.main({ password });
+ */
+export function secret(name, value) {
+  if (typeof name !== 'string' || !VARIABLE_NAME.test(name)) {
+    throw new Error(`Invalid secret name "${name}"`);
+  }
+
+  if (typeof value !== 'string') {
+    throw new Error(`The value of the secret "${name}" must be a string`);
+  }
+
+  const secrets = getSecrets();
+  const previous = secrets.get(name);
+
+  if (previous) {
+    if (previous.value !== value) {
+      throw new Error(
+        `The secret "${name}" is already defined with another value`
+      );
+    }
+
+    return previous.block;
+  }
+
+  const block = new Block('variable', [name], {
+    type: 'string',
+    sensitive: true
+  });
+
+  block[SECRET] = name;
+  secrets.set(name, { value, block });
+
+  return block;
+}
+
+/**
+ * Checks if a value is the variable block of a secret.
+ *
+ * @param {*} value - Any value
+ * @returns {bool}
+ */
+export function isSecret(value) {
+  return value !== null && typeof value === 'object' && SECRET in value;
+}
+
+/**
+ * Returns the variable blocks of the secrets found in the blocks that are not exported.
+ *
+ * @param {Map} unexported - Map of the source file names to the arrays of the blocks that are not exported
+ * @returns {Map} Map of the source file names to the arrays of the variable blocks of the secrets
+ */
+export function getSecretBlocks(unexported) {
+  const result = new Map();
+
+  for (const [file, blocks] of unexported) {
+    const secrets = blocks.filter(isSecret);
+
+    if (secrets.length > 0) {
+      result.set(file, secrets);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Returns the environment variables passing the secret values to Terraform.
+ *
+ * @returns {object} Object of the TF_VAR_ environment variables
+ */
+export function getSecretEnv() {
+  const env = {};
+
+  for (const [name, { value }] of getSecrets()) {
+    env[`TF_VAR_${name}`] = value;
+  }
+
+  return env;
+}
+
+/**
+ * Replaces the secret values in a text such as an error message.
+ *
+ * @param {string} text - Any text
+ * @returns {string} Text without the secret values
+ */
+export function redact(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  for (const { value } of getSecrets().values()) {
+    if (value) {
+      text = text.split(value).join(REDACTED);
+    }
+  }
+
+  return text;
+}
@@ -0,0 +1,98 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { isBlock } from './base.js';
+import { isComponent } from './component.js';
+import { getFiles, createObjects } from './utils.js';
+import { importModule, SOURCE_FILE } from './loader.js';
+import { LABELS_COUNT } from './hcl.js';
+
+/**
+ * Imports the source modules of a directory or a single module.
+ *
+ * @param {string} input - Module or directory path
+ * @returns {object[]} Array of the exported values of the modules
+ */
+async function importBlocks(input) {
+  const fullPath = path.resolve(input);
+  const stats = await fs.stat(fullPath);
+
+  const files = stats.isDirectory()
+    ? (await getFiles(fullPath))
+        .filter(file => SOURCE_FILE.test(file))
+        .sort()
+        .map(file => path.join(fullPath, file))
+    : [fullPath];
+
+  const blocks = [];
+
+  for (const file of files) {
+    const exports = await importModule(file);
+
+    blocks.push(Object.values(exports));
+  }
+
+  return blocks;
+}
+
+/**
+ * Merges a block object into the configuration object.
+ *
+ * The labels are merged as nested objects, multiple blocks having
+ * the same type and labels are merged into an array of bodies.
+ *
+ * @param {object} parent - Object containing the block
+ * @param {string} key - Block type or label
+ * @param {*} value - Nested object of the remaining labels and the body
+ * @param {number} depth - Number of the remaining labels
+ */
+function mergeBlock(parent, key, value, depth) {
+  if (depth === 0) {
+    parent[key] = key in parent ? [].concat(parent[key], value) : value;
+    return;
+  }
+
+  parent[key] = parent[key] || {};
+
+  for (const [label, nested] of Object.entries(value)) {
+    mergeBlock(parent[key], label, nested, depth - 1);
+  }
+}
+
+/**
+ * Creates the Terraform JSON configuration object of the blocks without writing any file.
+ *
+ * The interpolations are converted to strings as in the generated files.
+ *
+ * @param {(string|object|Block[])} input - Module or directory path, module namespace object, an array of Block instances or a Block or Component instance
+ * @returns {object} Terraform JSON configuration object
+ *
+ * @example
+ * import * as network from './network.tf.js';
+ *
+ * const config = await synth(network);
+ * config.resource.aws_vpc.main.cidr_block; // 10.0.0.0/16
+ */
+export async function synth(input) {
+  let blocks;
+
+  if (typeof input === 'string') {
+    blocks = await importBlocks(input);
+  } else if (Array.isArray(input)) {
+    blocks = input;
+  } else if (isBlock(input) || isComponent(input)) {
+    blocks = [input];
+  } else {
+    blocks = Object.values(input);
+  }
+
+  const objects = JSON.parse(JSON.stringify(await createObjects(blocks)));
+  const config = {};
+
+  for (const object of objects) {
+    for (const [type, value] of Object.entries(object)) {
+      mergeBlock(config, type, value, LABELS_COUNT[type] || 0);
+    }
+  }
+
+  return config;
+}
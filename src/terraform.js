@@ -0,0 +1,106 @@
+import os from 'os';
+import child_process from 'child_process';
+
+/**
+ * Termination signals handled while TerraformJS is running.
+ */
+export const SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+
+/**
+ * Returns the exit code of a process that exited with a code or was terminated by a signal.
+ *
+ * The signal exit codes follow the shell convention 128 + the signal number.
+ *
+ * @param {(number|null)} code - Exit code
+ * @param {(string|null)} signal - Signal name
+ * @returns {number} Exit code
+ */
+export function exitCode(code, signal) {
+  if (signal) {
+    return 128 + os.constants.signals[signal];
+  }
+
+  return typeof code === 'number' ? code : 1;
+}
+
+/**
+ * Handles the termination signals instead of exiting the process.
+ *
+ * @param {function} handler - Function receiving the signal name and the number of the received signals
+ * @returns {function} Function that removes the signal listeners
+ */
+export function trapSignals(handler) {
+  let count = 0;
+
+  const listeners = SIGNALS.map(signal => {
+    const listener = () => handler(signal, ++count);
+
+    process.on(signal, listener);
+
+    return [signal, listener];
+  });
+
+  return () => {
+    for (const [signal, listener] of listeners) {
+      process.removeListener(signal, listener);
+    }
+  };
+}
+
+/**
+ * Executes Terraform and forwards the termination signals to it.
+ *
+ * The first signal is forwarded to let Terraform stop gracefully and release
+ * the state locks, any other signal kills Terraform immediately.
+ *
+ * SIGINT is not forwarded when the input is a terminal because pressing Ctrl+C
+ * sends it to Terraform too, and a second SIGINT makes Terraform exit without
+ * cleaning up.
+ *
+ * @param {string[]} args - Terraform command line arguments
+ * @param {object} options - Execution options
+ * @param {string} options.command - Terraform executable
+ * @param {string} options.cwd - Working directory of Terraform
+ * @param {object} options.env - Environment variables of Terraform, defaults to the environment of the process
+ * @param {bool} options.forwardInterrupt - Forward the SIGINT signal
+ * @returns {Promise<object>} Resolves to an object of the exit code and signal, rejects if Terraform cannot be executed
+ */
+export function runTerraform(
+  args = [],
+  {
+    command = 'terraform',
+    cwd,
+    env = process.env,
+    forwardInterrupt = !process.stdin.isTTY
+  } = {}
+) {
+  return new Promise((resolve, reject) => {
+    const terraform = child_process.spawn(command, args, {
+      cwd,
+      env,
+      // Pass through the corresponding stdio stream to the parent process
+      stdio: 'inherit'
+    });
+
+    const release = trapSignals((signal, count) => {
+      if (count > 1) {
+        terraform.kill('SIGKILL');
+      } else if (signal !== 'SIGINT' || forwardInterrupt) {
+        terraform.kill(signal);
+      }
+    });
+
+    terraform.on('error', err => {
+      // The process was not spawned, the other errors are caused by kill()
+      if (terraform.pid === undefined) {
+        release();
+        reject(err);
+      }
+    });
+
+    terraform.on('close', (code, signal) => {
+      release();
+      resolve({ code, signal });
+    });
+  });
+}
@@ -0,0 +1,129 @@
+/**
+ * Returns the body of a block in a configuration object created by synth().
+ *
+ * @param {object} config - Terraform JSON configuration object
+ * @param {string} type - Block type
+ * @param {...string} labels - Block labels
+ * @returns {(object|object[]|undefined)} Block body, an array of bodies for the repeated blocks or undefined if not found
+ *
+ * @example
+ * findBlock(config, 'variable', 'region');
+ */
+export function findBlock(config, type, ...labels) {
+  return labels.reduce(
+    (value, label) =>
+      value !== null && typeof value === 'object' ? value[label] : undefined,
+    config[type]
+  );
+}
+
+/**
+ * Returns the body of a resource in a configuration object created by synth().
+ *
+ * @param {object} config - Terraform JSON configuration object
+ * @param {string} type - Resource type
+ * @param {string} name - Resource name
+ * @returns {(object|undefined)} Resource body or undefined if not found
+ */
+export function findResource(config, type, name) {
+  return findBlock(config, 'resource', type, name);
+}
+
+/**
+ * Returns the body of a data source in a configuration object created by synth().
+ *
+ * @param {object} config - Terraform JSON configuration object
+ * @param {string} type - Data source type
+ * @param {string} name - Data source name
+ * @returns {(object|undefined)} Data source body or undefined if not found
+ */
+export function findData(config, type, name) {
+  return findBlock(config, 'data', type, name);
+}
+
+/**
+ * Returns a nested attribute value.
+ *
+ * @param {object} body - Block body or any object
+ * @param {(string|string[])} attribute - Attribute path separated by dots or an array of keys
+ * @returns {*} Attribute value or undefined if not found
+ *
+ * @example
+ * getAttribute(findResource(config, 'aws_instance', 'web'), 'tags.Name');
+ * getAttribute(body, ['ingress', 0, 'from_port']);
+ */
+export function getAttribute(body, attribute) {
+  const keys = Array.isArray(attribute) ? attribute : attribute.split('.');
+
+  return keys.reduce(
+    (value, key) =>
+      value !== null && typeof value === 'object' ? value[key] : undefined,
+    body
+  );
+}
+
+/**
+ * Returns a Jest matcher checking a block and optionally its attributes.
+ *
+ * @param {string} type - Block type
+ * @param {string} kind - Block description used in the messages
+ * @returns {function} Jest matcher
+ */
+function blockMatcher(type, kind) {
+  return function(config, blockType, name, attributes) {
+    const address = `${blockType}.${name}`;
+    const found = findBlock(config, type, blockType, name);
+
+    if (found === undefined) {
+      return {
+        pass: false,
+        message: () =>
+          `Expected the configuration to have the ${kind} ${address}`
+      };
+    }
+
+    if (attributes === undefined) {
+      return {
+        pass: true,
+        message: () =>
+          `Expected the configuration not to have the ${kind} ${address}`
+      };
+    }
+
+    const bodies = [].concat(found);
+
+    const pass = bodies.some(body =>
+      Object.entries(attributes).every(([key, value]) =>
+        this.equals(getAttribute(body, key), value)
+      )
+    );
+
+    return {
+      pass,
+      message: () =>
+        `Expected the ${kind} ${address} ${
+          pass ? 'not ' : ''
+        }to have the attributes:\n` +
+        `  ${this.utils.printExpected(attributes)}\n` +
+        `Received:\n` +
+        `  ${this.utils.printReceived(found)}`
+    };
+  };
+}
+
+/**
+ * Jest matchers for the configuration objects created by synth().
+ *
+ * The attribute keys can be paths separated by dots.
+ *
+ * @example
+ * expect.extend(matchers);
+ *
+ * expect(config).toHaveResource('aws_instance', 'web');
+ * expect(config).toHaveResource('aws_instance', 'web', { 'tags.Name': 'web' });
+ * expect(config).toHaveDataSource('aws_ami', 'ubuntu', { most_recent: true });
+ */
+export const matchers = {
+  toHaveResource: blockMatcher('resource', 'resource'),
+  toHaveDataSource: blockMatcher('data', 'data source')
+};
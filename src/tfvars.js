@@ -0,0 +1,171 @@
+import { isBlock, isInterpolation } from './base.js';
+import { createError } from './errors.js';
+
+/**
+ * Global symbol used to identify the variable values objects.
+ *
+ * @type {symbol}
+ */
+const TFVARS = Symbol.for('terraformjs.tfvars');
+
+/**
+ * Suffix of the variable definitions files generated from the source files.
+ *
+ * The .auto.tfvars.json files are loaded automatically by Terraform.
+ *
+ * @type {string}
+ */
+export const TFVARS_SUFFIX = '.auto.tfvars.json';
+
+/**
+ * Creates the variable values written to the .auto.tfvars.json file of the source file.
+ *
+ * @param {(object|function)} values - Object of the variable values or a function that returns the object
+ * @returns {object} Variable values object
+ *
+ * @example
+ * import { tfvars } from '@mdawar/terraformjs';
+ *
+ * export const vars = tfvars(async () => ({
+ *   instance_count: (await fetchInventory()).length
+ * }));
+ */
+export function tfvars(values) {
+  if (
+    values === null ||
+    (typeof values !== 'object' && typeof values !== 'function')
+  ) {
+    throw new Error(
+      'The variable values must be an object or a function that returns an object'
+    );
+  }
+
+  return { [TFVARS]: values };
+}
+
+/**
+ * Checks if a value is a variable values object.
+ *
+ * @param {*} value - Any value
+ * @returns {bool}
+ */
+export function isTFVars(value) {
+  return value !== null && typeof value === 'object' && TFVARS in value;
+}
+
+/**
+ * Checks that a variable value does not contain any expression.
+ *
+ * @param {*} value - Variable value
+ * @param {string} name - Variable name used in the messages
+ * @throws {Error} If the value contains a block, an expression or a function
+ */
+function checkValue(value, name) {
+  if (isBlock(value) || isInterpolation(value) || typeof value === 'function') {
+    throw new Error(
+      `The value of the variable "${name}" must be a literal value, the expressions are not supported in the variable definitions files`
+    );
+  }
+
+  if (value !== null && typeof value === 'object') {
+    for (const inner of Object.values(value)) {
+      checkValue(inner, name);
+    }
+  }
+}
+
+/**
+ * Returns the values of a variable values object.
+ *
+ * @param {object} value - Variable values object
+ * @returns {object} Object of the variable values
+ * @throws {Error} If the values are not an object or a value is not a literal value
+ */
+export async function resolveVariables(value) {
+  const values =
+    typeof value[TFVARS] === 'function' ? await value[TFVARS]() : value[TFVARS];
+
+  if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error('The variable values must be an object');
+  }
+
+  for (const [name, inner] of Object.entries(values)) {
+    checkValue(inner, name);
+  }
+
+  return values;
+}
+
+/**
+ * Returns the names of the variables declared by the blocks of a registry.
+ *
+ * @param {Map} registry - Map of the block addresses to their source files
+ * @returns {Set} Set of the variable names
+ */
+export function getDeclaredVariables(registry) {
+  const names = new Set();
+
+  for (const address of registry.keys()) {
+    if (address.startsWith('variable.')) {
+      names.add(address.slice('variable.'.length));
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Renders the variable values of the exports of a source file.
+ *
+ * The values of all the tfvars exports are merged, a variable can only be assigned once per file.
+ *
+ * @param {object} exports - Module namespace object
+ * @param {string} file - Source file path
+ * @param {Set} [declared] - Names of the declared variables, the names are not validated if not passed
+ * @returns {object} Object of the JSON content, null if there are no variable values, or the array of error objects
+ */
+export async function renderVariables(exports, file, declared) {
+  const variables = {};
+  const assigned = {};
+  const errors = [];
+
+  for (const [exportName, value] of Object.entries(exports)) {
+    if (!isTFVars(value)) {
+      continue;
+    }
+
+    try {
+      for (const [name, inner] of Object.entries(
+        await resolveVariables(value)
+      )) {
+        if (assigned[name]) {
+          throw new Error(
+            `The variable "${name}" is already assigned by the export "${assigned[name]}"`
+          );
+        }
+
+        if (declared && !declared.has(name)) {
+          throw new Error(
+            `The variable "${name}" is not declared, add a variable block: variable.${name}({ ... })`
+          );
+        }
+
+        assigned[name] = exportName;
+        variables[name] = inner;
+      }
+    } catch (err) {
+      errors.push(createError(err, file, exportName));
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    content:
+      Object.keys(assigned).length > 0
+        ? JSON.stringify(variables, null, 2)
+        : null
+  };
+}
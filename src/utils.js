@@ -1,11 +1,24 @@
 import { promises as fs } from 'fs';
+import { join, basename } from 'path';
+import {
+  isBlock,
+  isInterpolation,
+  isTemplate,
+  getBlockBody,
+  COMPONENT
+} from './base.js';
+import { isComponent } from './component.js';
+import { applyAspects } from './aspects.js';
+import { toExpression, unwrapInterpolation } from './expressions.js';
+import { toHCL, isBareAttribute, HCL_TYPE } from './hcl.js';
+import { SOURCE_PATTERN, SOURCE_FILE } from './loader.js';
+import { createError } from './errors.js';
 
 /**
  * Global Terraform block symbols.
  */
 const TYPE = Symbol.for('type');
 const LABELS = Symbol.for('labels');
-const BODY = Symbol.for('body');
 
 /**
  * Returns an array of file names matching the extension.
@@ -27,19 +40,266 @@ export async function getFiles(dir, ext = '') {
   );
 }
 
+/**
+ * Directories that are never searched for source files.
+ */
+const IGNORED_DIRS = ['node_modules'];
+
+/**
+ * Converts a glob pattern to a regular expression matching relative paths.
+ *
+ * Supports "*" and "?" that do not match "/", "**" that matches any number
+ * of directories and "{a,b}" alternatives.
+ *
+ * @param {string} glob - Glob pattern such as "infra/**\/*.tf.js"
+ * @returns {RegExp} Regular expression
+ */
+export function globToRegExp(glob) {
+  let pattern = '';
+  let braces = 0;
+
+  const source = glob.replace(/^\.\//, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '*' && source[i + 1] === '*') {
+      i++;
+
+      if (source[i + 1] === '/') {
+        i++;
+        pattern += '(?:.*/)?';
+      } else {
+        pattern += '.*';
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else if (char === '{') {
+      braces++;
+      pattern += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      pattern += ')';
+    } else if (char === ',' && braces > 0) {
+      pattern += '|';
+    } else {
+      pattern += char.replace(/[.+^$()|[\]\\]/, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Returns the paths of the files matching any of the glob patterns.
+ *
+ * The sub directories are only searched if a pattern contains a "/",
+ * the hidden directories and node_modules are skipped.
+ *
+ * @param {string} dir - Directory path to search for the files
+ * @param {string[]} patterns - Array of glob patterns
+ * @returns {string[]} Array of sorted paths relative to the directory using "/" separators
+ */
+export async function findFiles(dir, patterns = [SOURCE_PATTERN]) {
+  const regexes = patterns.map(globToRegExp);
+  const recursive = patterns.some(pattern =>
+    pattern.replace(/^\.\//, '').includes('/')
+  );
+
+  const files = [];
+
+  await (async function search(subDir) {
+    const entries = await fs.readdir(join(dir, subDir), {
+      withFileTypes: true
+    });
+
+    for (const entry of entries) {
+      const file = subDir ? `${subDir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        if (
+          recursive &&
+          !entry.name.startsWith('.') &&
+          !IGNORED_DIRS.includes(entry.name)
+        ) {
+          await search(file);
+        }
+      } else if (entry.isFile() && regexes.some(regex => regex.test(file))) {
+        files.push(file);
+      }
+    }
+  })('');
+
+  return files.sort();
+}
+
+/**
+ * Returns the names of the files generated from the source files.
+ *
+ * The generated files are named after the source files without their directories.
+ *
+ * @param {string[]} files - Array of source file paths
+ * @param {string} suffix - Suffix of the generated files
+ * @returns {Map} Map of the source file paths to the generated file names
+ * @throws {Error} If multiple source files have the same generated file name
+ */
+export function getOutputFiles(files, suffix) {
+  const outputs = new Map();
+  const sources = {};
+
+  for (const file of files) {
+    const output = basename(file).replace(SOURCE_FILE, suffix);
+
+    if (sources[output]) {
+      throw new Error(
+        `The source files "${sources[output]}" and "${file}" generate the same file "${output}"`
+      );
+    }
+
+    sources[output] = file;
+    outputs.set(file, output);
+  }
+
+  return outputs;
+}
+
+/**
+ * Unlabeled top-level blocks that can be repeated, these blocks are created as arrays.
+ */
+const REPEATED_BLOCKS = ['moved', 'import', 'removed'];
+
+/**
+ * Returns the bare references of a value used as a meta-argument.
+ *
+ * The references are converted in the arrays and the objects such as
+ * the providers of the modules, the block builders are supported to
+ * reference the blocks that are no longer defined, such as resource.aws_instance.old.
+ *
+ * @param {*} value - Block, block builder, Interpolation, string wrapped in ${} or not, array or object of these values
+ * @returns {*} Reference expression, array or object of reference expressions
+ */
+function toReference(value) {
+  if (typeof value === 'string') {
+    return unwrapInterpolation(value) || value;
+  }
+
+  if (typeof value === 'function' && value[TYPE]) {
+    return toExpression(value());
+  }
+
+  if (isBlock(value) || isInterpolation(value)) {
+    return toExpression(value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toReference);
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toReference(item)])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Checks if a value is a plain object and not a Block or an Interpolation.
+ *
+ * @param {*} value - Any value
+ * @returns {bool}
+ */
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !isBlock(value) &&
+    !isInterpolation(value) &&
+    !isTemplate(value)
+  );
+}
+
+/**
+ * Converts the values of the meta-arguments such as depends_on to bare references.
+ *
+ * The objects are only copied if they contain a meta-argument, the
+ * other objects are kept to keep their HCL rendering options.
+ *
+ * @param {*} value - Block body or any nested value
+ * @param {string} path - Path of the block types separated by dots
+ * @returns {*} The same value or a copy with the converted references
+ */
+function resolveReferences(value, path) {
+  if (Array.isArray(value)) {
+    const items = value.map(item => resolveReferences(item, path));
+
+    return items.some((item, i) => item !== value[i]) ? items : value;
+  }
+
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  let resolved = value;
+
+  for (const [key, item] of Object.entries(value)) {
+    const result = isBareAttribute(path, key)
+      ? toReference(item)
+      : resolveReferences(item, `${path}.${key}`);
+
+    if (result !== item) {
+      if (resolved === value) {
+        resolved = { ...value };
+
+        if (value[HCL_TYPE]) {
+          Object.defineProperty(resolved, HCL_TYPE, { value: value[HCL_TYPE] });
+        }
+      }
+
+      resolved[key] = result;
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Returns the body of a block in the JSON syntax, the references of the
+ * meta-arguments are converted to bare references.
+ *
+ * @param {string} type - Block type
+ * @param {object} body - Block body
+ * @returns {object} Block body
+ */
+async function resolveBody(type, body) {
+  let resolved = resolveReferences(body, type);
+
+  // The scoped data source of a check block might be a data Block instance
+  if (type === 'check' && isPlainObject(resolved) && isBlock(resolved.data)) {
+    resolved = {
+      ...resolved,
+      data: (await createBlockObject(resolved.data)).data
+    };
+  }
+
+  return resolved;
+}
+
 /**
  * Creates an object from a Block instance.
  *
  * @param {Block} block - Block instance
  * @returns {object} Object representation of the block
+ * @throws {Error} If the body function fails, the message is prefixed with the block address
  */
 export async function createBlockObject(block) {
-  let body = block[BODY];
+  const type = block[TYPE];
 
-  // The body might be a function
-  if (typeof body === 'function') {
-    body = await body();
-  }
+  const body = await resolveBody(type, await getBlockBody(block));
 
   // Create a nested object from the block labels
   const blockObject = block[LABELS].reduceRight(
@@ -50,33 +310,172 @@ export async function createBlockObject(block) {
     body
   );
 
-  return block[TYPE]
+  return type
     ? {
-        [block[TYPE]]: blockObject
+        [type]: REPEATED_BLOCKS.includes(type) ? [blockObject] : blockObject
       }
     : {};
 }
 
 /**
- * Writes a JSON file from the array of the Block instances.
+ * Returns a flat array of the Block instances of the exported values.
  *
- * @param {string} path - Path where to write the generated JSON file
- * @param {object[]} blocks - Array of Block instances
- * @returns {Promise}
+ * @param {*} value - Block instance, component or nested arrays of these values
+ * @returns {Block[]} Array of Block instances
  */
-export async function generateJSON(path, blocks) {
-  const objects = [];
+export function collectBlocks(value) {
+  const collected = [];
 
-  await (async function processBlocks(value) {
+  (function processBlocks(value) {
     // Handle nested arrays
     if (Array.isArray(value)) {
       for (const innerVal of value) {
-        await processBlocks(innerVal);
+        processBlocks(innerVal);
       }
+    } else if (isComponent(value)) {
+      // Handle the blocks and the nested components of a component
+      processBlocks(value[COMPONENT]);
     } else if (value[TYPE]) {
-      objects.push(await createBlockObject(value));
+      collected.push(value);
+    }
+  })(value);
+
+  return collected;
+}
+
+/**
+ * Creates an array of objects from the Block instances.
+ *
+ * The registered aspects are applied to the blocks before creating the objects.
+ *
+ * @param {object[]} blocks - Array of Block instances, nested arrays and components are supported
+ * @param {string} [file] - Name of the source file of the blocks reported to the aspects
+ * @returns {object[]} Array of the objects of the blocks
+ */
+export async function createObjects(blocks, file) {
+  const objects = [];
+
+  for (const block of await applyAspects(collectBlocks(blocks), file)) {
+    objects.push(await createBlockObject(block));
+  }
+
+  return objects;
+}
+
+/**
+ * Returns the JSON configuration of the block objects.
+ *
+ * @param {object[]} objects - Array of the objects of the blocks
+ * @returns {string} JSON configuration
+ */
+function serializeJSON(objects) {
+  return JSON.stringify(objects, null, 2);
+}
+
+/**
+ * Returns the JSON configuration of the Block instances.
+ *
+ * @param {object[]} blocks - Array of Block instances
+ * @param {string} [file] - Name of the source file of the blocks
+ * @returns {string} JSON configuration
+ */
+export async function renderJSON(blocks, file) {
+  const objects = await createObjects(blocks, file);
+
+  return serializeJSON(objects);
+}
+
+/**
+ * Returns the native syntax configuration (HCL) of the Block instances.
+ *
+ * @param {object[]} blocks - Array of Block instances
+ * @param {string} [file] - Name of the source file of the blocks
+ * @returns {string} HCL configuration
+ */
+export async function renderHCL(blocks, file) {
+  const objects = await createObjects(blocks, file);
+
+  return toHCL(objects);
+}
+
+/**
+ * Writes a JSON file from the array of the Block instances.
+ *
+ * @param {string} path - Path where to write the generated JSON file
+ * @param {object[]} blocks - Array of Block instances
+ * @param {string} [file] - Name of the source file of the blocks
+ * @returns {string} The content of the written JSON file
+ */
+export async function generateJSON(path, blocks, file) {
+  const content = await renderJSON(blocks, file);
+
+  await fs.writeFile(path, content, 'utf8');
+
+  return content;
+}
+
+/**
+ * Writes a Terraform configuration file (HCL) from the array of the Block instances.
+ *
+ * @param {string} path - Path where to write the generated file
+ * @param {object[]} blocks - Array of Block instances
+ * @param {string} [file] - Name of the source file of the blocks
+ * @returns {string} The content of the written file
+ */
+export async function generateHCL(path, blocks, file) {
+  const content = await renderHCL(blocks, file);
+
+  await fs.writeFile(path, content, 'utf8');
+
+  return content;
+}
+
+/**
+ * Generated file suffixes and functions of the output formats.
+ */
+export const FORMATS = {
+  json: {
+    suffix: '.tf.json',
+    render: renderJSON,
+    serialize: serializeJSON,
+    generator: generateJSON
+  },
+  hcl: {
+    suffix: '.tf',
+    render: renderHCL,
+    serialize: toHCL,
+    generator: generateHCL
+  }
+};
+
+/**
+ * Renders the blocks of the exports of a source file.
+ *
+ * The exports are rendered separately to report the errors of all the exports,
+ * the content is only returned if all the exports are rendered.
+ *
+ * @param {object} exports - Module namespace object
+ * @param {string} file - Source file path
+ * @param {string} format - Output format "json" or "hcl"
+ * @param {Block[]} [included] - Blocks that are not exported but included in the file
+ * @returns {object} Object of the content or the array of error objects
+ */
+export async function renderExports(exports, file, format, included = []) {
+  const objects = [];
+  const errors = [];
+
+  for (const [exportName, value] of [
+    ...Object.entries(exports),
+    [null, included]
+  ]) {
+    try {
+      objects.push(...(await createObjects(value, file)));
+    } catch (err) {
+      errors.push(createError(err, file, exportName));
     }
-  })(blocks);
+  }
 
-  return fs.writeFile(path, JSON.stringify(objects, null, 2), 'utf8');
+  return errors.length > 0
+    ? { errors }
+    : { content: FORMATS[format].serialize(objects) };
 }
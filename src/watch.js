@@ -0,0 +1,434 @@
+import { promises as fs, watch as watchDirectory } from 'fs';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { findFiles, getOutputFiles, globToRegExp, FORMATS } from './utils.js';
+import {
+  readManifest,
+  writeManifest,
+  trackFile,
+  checkOverwrite,
+  removeGeneratedFiles
+} from './manifest.js';
+import { SOURCE_PATTERN, TYPESCRIPT_FILE, getCandidates } from './loader.js';
+import { createError } from './errors.js';
+import { context } from './context.js';
+import { TFVARS_SUFFIX } from './tfvars.js';
+
+/**
+ * Regular expression matching the relative module specifiers of the
+ * static imports, the re-exports, the dynamic imports and the CommonJS requires.
+ */
+const IMPORT_PATTERN = /(?:\bfrom|\bimport|\brequire)\s*\(?\s*(['"])(\.{1,2}\/[^'"]+)\1/g;
+
+/**
+ * Regular expression matching the lines starting a comment or inside a block comment.
+ */
+const COMMENT_LINE = /^\s*(\/\/|\/?\*).*$/gm;
+
+/**
+ * Delay in milliseconds used to group the file changes.
+ */
+const DEBOUNCE_DELAY = 100;
+
+/**
+ * Returns the relative module specifiers imported by a module.
+ *
+ * @param {string} source - Module source code
+ * @returns {string[]} Array of module specifiers
+ */
+export function findImports(source) {
+  // Ignore the lines of the comments such as the JSDoc examples
+  const code = source.replace(COMMENT_LINE, '');
+
+  return [...code.matchAll(IMPORT_PATTERN)].map(match => match[2]);
+}
+
+/**
+ * Checks if a file exists.
+ *
+ * @param {string} file - File path
+ * @returns {bool}
+ */
+async function fileExists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Returns the paths of a module and all the local modules it imports directly or indirectly.
+ *
+ * @param {string} file - Absolute module path
+ * @param {Set} dependencies - Set of the already found paths
+ * @returns {Set} Set of absolute paths
+ */
+export async function getDependencies(file, dependencies = new Set()) {
+  if (dependencies.has(file)) {
+    return dependencies;
+  }
+
+  dependencies.add(file);
+
+  let source;
+
+  try {
+    source = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    // The missing modules are kept to regenerate the files when they are created
+    return dependencies;
+  }
+
+  for (const specifier of findImports(source)) {
+    let modulePath = path.resolve(
+      path.dirname(file),
+      specifier.replace(/[?#].*$/, '')
+    );
+
+    // The TypeScript files import the TypeScript modules using their .js extensions
+    if (TYPESCRIPT_FILE.test(file) && !(await fileExists(modulePath))) {
+      for (const candidate of getCandidates(modulePath)) {
+        if (await fileExists(candidate)) {
+          modulePath = candidate;
+          break;
+        }
+      }
+    }
+
+    await getDependencies(modulePath, dependencies);
+  }
+
+  return dependencies;
+}
+
+/**
+ * Returns the dependencies of each tf.js file.
+ *
+ * @param {string} dir - Directory path
+ * @param {string[]} files - Array of tf.js file names
+ * @returns {Map} Map of the file names to the sets of their dependencies
+ */
+export async function buildGraph(dir, files) {
+  const graph = new Map();
+
+  for (const file of files) {
+    graph.set(file, await getDependencies(path.resolve(dir, file)));
+  }
+
+  return graph;
+}
+
+/**
+ * Returns the tf.js files affected by the changed paths.
+ *
+ * @param {Map} graph - Map of the file names to the sets of their dependencies
+ * @param {Set} changed - Set of the changed absolute paths
+ * @returns {string[]} Array of file names
+ */
+export function getAffectedFiles(graph, changed) {
+  return [...graph.keys()].filter(file =>
+    [...graph.get(file)].some(dependency => changed.has(dependency))
+  );
+}
+
+/**
+ * Imports the tf.js files and renders the content of the affected files in a worker thread.
+ *
+ * The errors of the files that are not affected are returned as well.
+ *
+ * @param {string} workerPath - Path of the worker module
+ * @param {string} dir - Directory path
+ * @param {string[]} files - Array of all the tf.js file names
+ * @param {string[]} affected - Array of the tf.js file names to render
+ * @param {string} format - Output format "json" or "hcl"
+ * @param {string} [configFile] - Configuration file path relative to the directory
+ * @returns {object[]} Array of objects with the file name and the content, the variable values and the warnings or the error objects
+ */
+export function renderFiles(
+  workerPath,
+  dir,
+  files,
+  affected,
+  format,
+  configFile
+) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(workerPath, {
+      // The context of the main thread is used by the modules imported in the worker
+      workerData: {
+        dir,
+        files,
+        affected,
+        format,
+        configFile,
+        context: { ...context }
+      }
+    });
+
+    worker.once('message', results => {
+      resolve(results);
+      // The imported modules might keep the worker running
+      worker.terminate();
+    });
+
+    worker.once('error', reject);
+
+    worker.once('exit', code => {
+      reject(new Error(`The worker stopped with exit code ${code}`));
+    });
+  });
+}
+
+/**
+ * Watches the tf.js files and their local imports to regenerate the affected files.
+ *
+ * The errors are reported using the onUpdate callback without stopping the watcher.
+ *
+ * @param {string} dir - Directory path
+ * @param {object} options - Watch options
+ * @param {string} options.workerPath - Path of the worker module
+ * @param {string} options.format - Output format "json" or "hcl"
+ * @param {bool} options.force - Overwrite the files that were not generated by TerraformJS
+ * @param {string[]} options.sources - Glob patterns of the source files
+ * @param {string} options.outDir - Directory of the generated files relative to the directory
+ * @param {string} options.configFile - Configuration file path of the aspects, the default file is used if not specified
+ * @param {function} options.onUpdate - Function called with the generated, removed and modified files, the warnings and the errors after each update
+ * @returns {object} Watcher object with a close method
+ */
+export async function watch(
+  dir,
+  {
+    workerPath,
+    format = 'json',
+    force = false,
+    sources = [SOURCE_PATTERN],
+    outDir = '.',
+    configFile,
+    onUpdate = () => {}
+  }
+) {
+  const { suffix } = FORMATS[format];
+
+  const rootDir = path.resolve(dir);
+  const outputDir = path.resolve(dir, outDir);
+  const patterns = sources.map(globToRegExp);
+  const recursive = sources.some(pattern => pattern.includes('/'));
+
+  const watchers = new Map();
+
+  let graph = new Map();
+  let outputs = new Map();
+  let tfvarsOutputs = new Map();
+  let changed = new Set();
+  let timer = null;
+  let updating = Promise.resolve();
+
+  /**
+   * Regenerates the affected files, all the files are generated if no changes are passed.
+   *
+   * @param {Set} [changes] - Set of the changed absolute paths
+   */
+  async function update(changes) {
+    const result = {
+      generated: [],
+      removed: [],
+      modified: [],
+      warnings: [],
+      errors: []
+    };
+
+    try {
+      const files = await findFiles(dir, sources);
+      const deleted = [...graph.keys()]
+        .filter(file => !files.includes(file))
+        .flatMap(file => [outputs.get(file), tfvarsOutputs.get(file)]);
+
+      const affected = changes
+        ? files.filter(
+            file =>
+              !graph.has(file) ||
+              getAffectedFiles(graph, changes).includes(file)
+          )
+        : files;
+
+      outputs = getOutputFiles(files, suffix);
+      tfvarsOutputs = getOutputFiles(files, TFVARS_SUFFIX);
+      graph = await buildGraph(dir, files);
+      updateWatchers();
+
+      const manifest = await readManifest(outputDir);
+
+      try {
+        Object.assign(
+          result,
+          await removeGeneratedFiles(outputDir, manifest, force, deleted)
+        );
+
+        const results =
+          affected.length > 0
+            ? await renderFiles(
+                workerPath,
+                dir,
+                files,
+                affected,
+                format,
+                configFile
+              )
+            : [];
+
+        for (const { file, content, variables, warnings, errors } of results) {
+          const output = outputs.get(file);
+          const tfvarsOutput = tfvarsOutputs.get(file);
+
+          if (errors) {
+            result.errors.push(...errors);
+            continue;
+          }
+
+          try {
+            await checkOverwrite(outputDir, manifest, output, force);
+            await fs.writeFile(path.join(outputDir, output), content, 'utf8');
+
+            trackFile(manifest, output, file, content);
+            result.generated.push(output);
+            result.warnings.push(...warnings);
+
+            if (variables !== null) {
+              await checkOverwrite(outputDir, manifest, tfvarsOutput, force);
+              await fs.writeFile(
+                path.join(outputDir, tfvarsOutput),
+                variables,
+                'utf8'
+              );
+
+              trackFile(manifest, tfvarsOutput, file, variables);
+              result.generated.push(tfvarsOutput);
+            } else {
+              // The file no longer exports any variable values
+              const { removed, modified } = await removeGeneratedFiles(
+                outputDir,
+                manifest,
+                force,
+                [tfvarsOutput]
+              );
+
+              result.removed.push(...removed);
+              result.modified.push(...modified);
+            }
+          } catch (err) {
+            result.errors.push(createError(err, file));
+          }
+        }
+      } finally {
+        await writeManifest(outputDir, manifest);
+      }
+    } catch (err) {
+      result.errors.push(createError(err));
+    }
+
+    onUpdate(result);
+  }
+
+  /**
+   * Watches the directories of the tf.js files and their dependencies.
+   *
+   * The directories are watched instead of the files to keep
+   * watching the files replaced by the editors, the root directory
+   * is watched recursively if the source files can be in sub directories.
+   */
+  function updateWatchers() {
+    const dirs = new Set([rootDir]);
+
+    for (const dependencies of graph.values()) {
+      for (const dependency of dependencies) {
+        dirs.add(path.dirname(dependency));
+      }
+    }
+
+    for (const [watchedDir, watcher] of watchers) {
+      if (!dirs.has(watchedDir)) {
+        watcher.close();
+        watchers.delete(watchedDir);
+      }
+    }
+
+    for (const watchedDir of dirs) {
+      if (!watchers.has(watchedDir)) {
+        try {
+          watchers.set(
+            watchedDir,
+            watchDirectory(
+              watchedDir,
+              { recursive: recursive && watchedDir === rootDir },
+              (event, filename) => {
+                if (filename) {
+                  schedule(path.join(watchedDir, filename.toString()));
+                }
+              }
+            )
+          );
+        } catch (err) {
+          // The directory of a missing dependency is watched after it's created
+        }
+      }
+    }
+  }
+
+  /**
+   * Schedules an update for a changed path.
+   *
+   * The changes of the other files such as the generated files are ignored.
+   *
+   * @param {string} changedPath - Absolute path of the changed file
+   */
+  function schedule(changedPath) {
+    const relativePath = path
+      .relative(rootDir, changedPath)
+      .split(path.sep)
+      .join('/');
+
+    const isSource = patterns.some(pattern => pattern.test(relativePath));
+
+    const isDependency = [...graph.values()].some(dependencies =>
+      dependencies.has(changedPath)
+    );
+
+    if (!isSource && !isDependency) {
+      return;
+    }
+
+    changed.add(changedPath);
+
+    clearTimeout(timer);
+
+    timer = setTimeout(() => {
+      const changes = changed;
+
+      changed = new Set();
+      updating = updating.then(() => update(changes));
+    }, DEBOUNCE_DELAY);
+  }
+
+  updating = update();
+
+  await updating;
+
+  return {
+    /**
+     * Stops watching the files.
+     */
+    async close() {
+      clearTimeout(timer);
+
+      for (const watcher of watchers.values()) {
+        watcher.close();
+      }
+
+      watchers.clear();
+
+      await updating;
+    }
+  };
+}
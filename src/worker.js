@@ -0,0 +1,130 @@
+import path from 'path';
+import { parentPort, workerData } from 'worker_threads';
+import { renderExports } from './utils.js';
+import { loadConfig } from './config.js';
+import { addAspect } from './aspects.js';
+import { trackBlocks } from './base.js';
+import { importModule } from './loader.js';
+import { createError } from './errors.js';
+import { setContext } from './context.js';
+import { renderVariables, getDeclaredVariables } from './tfvars.js';
+import { isSecret } from './secrets.js';
+import {
+  registerBlocks,
+  findUnexportedBlocks,
+  unexportedWarning
+} from './registry.js';
+
+/**
+ * Worker thread that imports the tf.js files and renders the content of the affected files.
+ *
+ * All the files are imported to apply the aspects added by any module
+ * and to detect the blocks defined more than once in different files.
+ *
+ * Each worker has its own modules cache, so the modified modules
+ * and their imports are always imported again.
+ *
+ * The aspects of the configuration file are loaded in the worker
+ * because the functions cannot be passed to the worker threads.
+ */
+const { dir, files, affected, format, configFile, context } = workerData;
+
+setContext(context);
+
+/**
+ * Imports all the files and renders the affected files.
+ *
+ * A top-level await is not used to support the Node.js versions without it.
+ *
+ * @returns {Promise<object[]>} Array of objects with the file name and the content, the variable values and the warnings or the error objects
+ */
+async function render() {
+  const results = new Map();
+  const modules = new Map();
+  const created = new Map();
+
+  try {
+    const { aspects, includeUnexported } = await loadConfig(dir, configFile);
+
+    aspects.forEach(addAspect);
+
+    // Import all the files first to apply the aspects added by any module to all the blocks
+    for (const file of files) {
+      try {
+        const { result, blocks } = await trackBlocks(() =>
+          importModule(path.join(dir, file))
+        );
+
+        modules.set(file, result);
+        created.set(file, blocks);
+      } catch (err) {
+        results.set(file, { file, errors: [createError(err, file)] });
+      }
+    }
+
+    const unexported = await findUnexportedBlocks(modules, created);
+
+    // Detect the blocks defined more than once in all the files before rendering
+    const registry = new Map();
+
+    for (const [file, blocks] of modules) {
+      try {
+        await registerBlocks(registry, file, blocks);
+      } catch (err) {
+        results.set(file, { file, errors: [createError(err, file)] });
+      }
+    }
+
+    // The variable values are validated against the variables declared by all the files
+    const declared = getDeclaredVariables(registry);
+
+    for (const [file, blocks] of modules) {
+      if (!affected.includes(file) || results.has(file)) {
+        continue;
+      }
+
+      const referenced = unexported.get(file) || [];
+
+      // The variables of the secrets are always declared
+      const included = includeUnexported
+        ? referenced
+        : referenced.filter(isSecret);
+      const warnings = includeUnexported
+        ? []
+        : referenced
+            .filter(block => !isSecret(block))
+            .map(block => unexportedWarning(file, block));
+
+      const { content, errors } = await renderExports(
+        blocks,
+        file,
+        format,
+        included
+      );
+
+      const { content: variables, errors: variablesErrors } =
+        await renderVariables(blocks, file, declared);
+
+      if (errors || variablesErrors) {
+        results.set(file, {
+          file,
+          errors: [...(errors || []), ...(variablesErrors || [])]
+        });
+      } else {
+        results.set(file, { file, content, variables, warnings });
+      }
+    }
+  } catch (err) {
+    // The configuration errors are not specific to a file
+    for (const file of affected) {
+      results.set(file, { file, errors: [createError(err)] });
+    }
+  }
+
+  // The errors of the other files are reported because they break the configuration
+  return files
+    .filter(file => affected.includes(file) || results.has(file))
+    .map(file => results.get(file));
+}
+
+render().then(results => parentPort.postMessage(results));
@@ -0,0 +1,88 @@
+import { parseArgs } from '../src/args.js';
+
+describe('parseArgs function', () => {
+  test('Parsing empty arguments', () => {
+    expect(parseArgs([])).toEqual({ options: {}, args: [] });
+  });
+
+  test('Passing the Terraform arguments as they are', () => {
+    expect(parseArgs(['plan', '-out', 'plan.out'])).toEqual({
+      options: {},
+      args: ['plan', '-out', 'plan.out']
+    });
+  });
+
+  test('Parsing the options placed before the Terraform command', () => {
+    expect(parseArgs(['--force', '--format', 'hcl', 'plan'])).toEqual({
+      options: { force: true, format: 'hcl' },
+      args: ['plan']
+    });
+  });
+
+  test('Ignoring the options placed after the Terraform command', () => {
+    expect(parseArgs(['destroy', '--force'])).toEqual({
+      options: {},
+      args: ['destroy', '--force']
+    });
+  });
+
+  test('Parsing the options placed after a TerraformJS command', () => {
+    expect(parseArgs(['generate', '--force', '--format=hcl'])).toEqual({
+      options: { force: true, format: 'hcl' },
+      args: ['generate']
+    });
+  });
+
+  test('Parsing the arguments and options of the import-config command', () => {
+    expect(
+      parseArgs(['import-config', 'main.tf', '--out', 'src', '--force'])
+    ).toEqual({
+      options: { out: 'src', force: true },
+      args: ['import-config', 'main.tf']
+    });
+  });
+
+  test('Parsing the watch and verbose options of the generate command', () => {
+    expect(
+      parseArgs(['generate', '--watch', '--verbose', '--format', 'hcl'])
+    ).toEqual({
+      options: { watch: true, verbose: true, format: 'hcl' },
+      args: ['generate']
+    });
+  });
+
+  test('Parsing the reporter option of the lint command', () => {
+    expect(parseArgs(['lint', '--reporter', 'sarif'])).toEqual({
+      options: { reporter: 'sarif' },
+      args: ['lint']
+    });
+  });
+
+  test('Parsing the arguments of the graph command', () => {
+    expect(parseArgs(['graph', 'mermaid', '--config', 'ci.config.js'])).toEqual(
+      {
+        options: { config: 'ci.config.js' },
+        args: ['graph', 'mermaid']
+      }
+    );
+  });
+
+  test('Parsing the configuration file and keep options', () => {
+    expect(parseArgs(['--config=ci.config.js', '--keep', 'apply'])).toEqual({
+      options: { config: 'ci.config.js', keep: true },
+      args: ['apply']
+    });
+  });
+
+  test('Missing the value of an option throws an error', () => {
+    expect(() => parseArgs(['generate', '--format'])).toThrow(
+      'Missing value for the --format option'
+    );
+  });
+
+  test('Passing an invalid option value throws an error', () => {
+    expect(() => parseArgs(['--format', 'yaml'])).toThrow(
+      'Invalid value "yaml" for the --format option'
+    );
+  });
+});
@@ -0,0 +1,164 @@
+import { addAspect, applyAspects } from '../src/aspects.js';
+import { Block, LABELS, BODY, getBlockBody } from '../src/base.js';
+import { createObjects } from '../src/utils.js';
+
+/**
+ * Functions that remove the aspects added by a test.
+ */
+let removers = [];
+
+/**
+ * Adds an aspect that is removed after the test.
+ */
+function add(aspect) {
+  removers.push(addAspect(aspect));
+}
+
+afterEach(() => {
+  removers.forEach(remove => remove());
+  removers = [];
+});
+
+describe('addAspect function', () => {
+  test('Adding and removing an aspect', async () => {
+    expect.assertions(2);
+
+    const aspect = jest.fn();
+    const remove = addAspect(aspect);
+    const blocks = [new Block('variable', ['region'])];
+
+    await applyAspects(blocks);
+    remove();
+    await applyAspects(blocks);
+
+    expect(aspect).toBeCalledTimes(1);
+    expect(aspect).toBeCalledWith(
+      { type: 'variable', labels: ['region'], body: {} },
+      expect.objectContaining({ file: undefined })
+    );
+  });
+
+  test('Throwing an error if the aspect is not a function', () => {
+    expect(() => addAspect({})).toThrow('The aspect must be a function');
+  });
+});
+
+describe('applyAspects function', () => {
+  test('Returning the same blocks without aspects', async () => {
+    expect.assertions(1);
+
+    const blocks = [new Block('variable', ['region'])];
+
+    expect(await applyAspects(blocks)).toBe(blocks);
+  });
+
+  test('Modifying the blocks without changing the original blocks', async () => {
+    expect.assertions(4);
+
+    const block = new Block('resource', ['aws_instance', 'web'], async () => ({
+      ami: 'ami-123'
+    }));
+
+    add(({ type, labels, body }) => {
+      if (type === 'resource' && labels[0].startsWith('aws_')) {
+        body.tags = { Team: 'infra' };
+      }
+    });
+    add(node => {
+      node.labels = [node.labels[0], `prod_${node.labels[1]}`];
+    });
+
+    const [result] = await applyAspects([block]);
+
+    expect(result[LABELS]).toEqual(['aws_instance', 'prod_web']);
+    expect(result[BODY]).toEqual({ ami: 'ami-123', tags: { Team: 'infra' } });
+    expect(block[LABELS]).toEqual(['aws_instance', 'web']);
+    expect(typeof block[BODY]).toBe('function');
+  });
+
+  test('Applying the aspects to a copy of the body on each rendering', async () => {
+    expect.assertions(3);
+
+    const block = new Block('resource', ['aws_instance', 'web'], () => ({
+      ami: 'ami-123'
+    }));
+
+    add(({ body }) => {
+      body.count = (body.count || 0) + 1;
+    });
+
+    const [first] = await applyAspects([block]);
+    const [second] = await applyAspects([block]);
+
+    expect(first[BODY]).toEqual({ ami: 'ami-123', count: 1 });
+    expect(second[BODY]).toEqual({ ami: 'ami-123', count: 1 });
+    expect(await getBlockBody(block)).toEqual({ ami: 'ami-123' });
+  });
+
+  test('Adding and removing blocks', async () => {
+    expect.assertions(1);
+
+    const visited = [];
+
+    add((block, { add, remove }) => {
+      visited.push(block.labels[1]);
+
+      if (block.labels[1] === 'tmp') {
+        remove();
+      } else {
+        add(new Block('resource', ['aws_db_snapshot', 'db_snapshot']));
+      }
+    });
+    // Not called for the removed blocks
+    add(block => visited.push(`${block.labels[1]} again`));
+
+    const result = await applyAspects([
+      new Block('resource', ['null_resource', 'tmp']),
+      new Block('resource', ['aws_db_instance', 'db'])
+    ]);
+
+    expect({
+      labels: result.map(block => block[LABELS]),
+      visited
+    }).toEqual({
+      labels: [
+        ['aws_db_instance', 'db'],
+        ['aws_db_snapshot', 'db_snapshot']
+      ],
+      visited: ['tmp', 'db', 'db again']
+    });
+  });
+
+  test('Adding the block address to the errors', async () => {
+    expect.assertions(1);
+
+    add(block => {
+      if (!block.body.tags) {
+        throw new Error('Missing tags');
+      }
+    });
+
+    await expect(
+      applyAspects([new Block('resource', ['aws_vpc', 'main'])], 'main.tf.js')
+    ).rejects.toThrow(/^resource\.aws_vpc\.main: Missing tags$/);
+  });
+});
+
+describe('Generating the configuration with aspects', () => {
+  test('Applying the aspects to the blocks of createObjects', async () => {
+    expect.assertions(1);
+
+    add((block, { file }) => {
+      block.body.description = `Defined in ${file}`;
+    });
+
+    const objects = await createObjects(
+      [new Block('variable', ['region'])],
+      'vars.tf.js'
+    );
+
+    expect(objects).toEqual([
+      { variable: { region: { description: 'Defined in vars.tf.js' } } }
+    ]);
+  });
+});
@@ -2,11 +2,16 @@ import {
   TYPE,
   LABELS,
   BODY,
+  COMPOUND,
   Interpolation,
+  isInterpolation,
+  isBlock,
   Block,
   CallableObject,
   BlockContent,
-  TerraformBlock
+  TerraformBlock,
+  trackBlocks,
+  getBlockBody
 } from '../src/base.js';
 
 describe('Interpolation class', () => {
@@ -77,6 +82,61 @@ describe('Interpolation class', () => {
   });
 });
 
+describe('Compound Interpolation', () => {
+  test('Creating a compound Interpolation instance', () => {
+    const expr = new Interpolation('var.a + 1', true);
+
+    expect(expr[COMPOUND]).toBe(true);
+    expect(String(expr)).toBe('${var.a + 1}');
+  });
+
+  test('Accessing a property on a compound Interpolation wraps the expression in parentheses', () => {
+    const expr = new Interpolation('var.a ? var.b : var.c', true);
+
+    expect(String(expr.id)).toBe('${(var.a ? var.b : var.c).id}');
+    expect(String(expr[0])).toBe('${(var.a ? var.b : var.c)[0]}');
+  });
+});
+
+describe('isInterpolation and isBlock functions', () => {
+  test('Checking an Interpolation instance', () => {
+    const expr = new Interpolation('var.foo');
+
+    expect(isInterpolation(expr)).toBe(true);
+    expect(isBlock(expr)).toBe(false);
+  });
+
+  test('Checking a Block instance', () => {
+    const block = new Block('variable', ['foo']);
+
+    expect(isBlock(block)).toBe(true);
+    expect(isInterpolation(block)).toBe(false);
+  });
+
+  test('Checking other values', () => {
+    for (const value of [null, undefined, 'string', 1, {}, []]) {
+      expect(isInterpolation(value)).toBe(false);
+      expect(isBlock(value)).toBe(false);
+    }
+  });
+});
+
+describe('Interpolation property access', () => {
+  test('Accessing the "*" property creates a splat expression', () => {
+    const expr = new Interpolation('aws_instance.www');
+
+    expect(String(expr['*'].id)).toBe('${aws_instance.www[*].id}');
+  });
+
+  test('Accessing a property that is not a valid identifier quotes the key', () => {
+    const expr = new Interpolation('var.tags');
+
+    expect(String(expr['my.key'])).toBe('${var.tags["my.key"]}');
+    expect(String(expr['has space'])).toBe('${var.tags["has space"]}');
+    expect(String(expr['with-dash'])).toBe('${var.tags.with-dash}');
+  });
+});
+
 describe('Block class', () => {
   test('Creating an empty Block instance', () => {
     const block = new Block();
@@ -150,6 +210,13 @@ describe('Block class', () => {
     expect(JSON.stringify(block)).toBe('"${aws_instance.web}"');
   });
 
+  test('Accessing an index on a Block instance', () => {
+    const resource = new Block('resource', ['aws_instance', 'web']);
+
+    expect(String(resource[0].id)).toEqual('${aws_instance.web[0].id}');
+    expect(String(resource['*'].id)).toEqual('${aws_instance.web[*].id}');
+  });
+
   test('Getting the expression of the Block instance', () => {
     const variable = new Block('variable', ['api_key']);
 
@@ -157,6 +224,61 @@ describe('Block class', () => {
   });
 });
 
+describe('trackBlocks function', () => {
+  test('Tracking the blocks created until the function resolves', async () => {
+    expect.assertions(3);
+
+    const before = new Block('variable', ['before']);
+
+    const { result, blocks } = await trackBlocks(async () => {
+      const first = new Block('variable', ['first']);
+
+      await Promise.resolve();
+
+      return [first, new Block('variable', ['second'])];
+    });
+
+    const after = new Block('variable', ['after']);
+
+    expect(blocks).toHaveLength(2);
+    expect(blocks.every((block, i) => block === result[i])).toBe(true);
+    expect(blocks.includes(before) || blocks.includes(after)).toBe(false);
+  });
+});
+
+describe('getBlockBody function', () => {
+  test('Calling the body function once', async () => {
+    expect.assertions(4);
+
+    const body = jest.fn(async () => ({ region: 'us-east-1' }));
+    const block = new Block('provider', ['aws'], body);
+
+    const first = await getBlockBody(block);
+
+    expect(await getBlockBody(block)).toBe(first);
+    expect(first).toEqual({ region: 'us-east-1' });
+    expect(body).toHaveBeenCalledTimes(1);
+    expect(await getBlockBody(new Block('variable', ['x'], { a: 1 }))).toEqual({
+      a: 1
+    });
+  });
+
+  test('Prefixing the error of the body function once with the block address', async () => {
+    expect.assertions(2);
+
+    const block = new Block('resource', ['aws_instance', 'web'], () => {
+      throw new Error('Failure');
+    });
+
+    await expect(getBlockBody(block)).rejects.toThrow(
+      'resource.aws_instance.web: Failure'
+    );
+    await expect(getBlockBody(block)).rejects.toThrow(
+      /^resource\.aws_instance\.web: Failure$/
+    );
+  });
+});
+
 describe('CallableObject class', () => {
   test('Creating a CallableObject instance', () => {
     const callable = new CallableObject();
@@ -213,6 +335,17 @@ describe('BlockContent class', () => {
     expect(block[BODY]).toEqual({});
   });
 
+  test('Using the function property names as labels', () => {
+    const blockContent = new BlockContent('variable');
+
+    const block = blockContent.name();
+
+    expect(block[LABELS]).toEqual(['name']);
+    expect(new BlockContent('resource', 'random_pet').length()[LABELS]).toEqual(
+      ['random_pet', 'length']
+    );
+  });
+
   test('Creating Block instance using a BlockContent instance', () => {
     const blockContent = new BlockContent('resource', 'aws_instance');
 
@@ -263,6 +396,16 @@ describe('TerraformBlock class', () => {
     expect(blockContent[LABELS]).toEqual(['custom_prop']);
   });
 
+  test('Creating a TerraformBlock instance with preset labels', () => {
+    const instance = new TerraformBlock('resource', 'terraform_data');
+
+    expect(instance.web[LABELS]).toEqual(['terraform_data', 'web']);
+    expect(instance.app()[LABELS]).toEqual(['terraform_data', 'app']);
+    // The preset labels are not shared with the created blocks
+    expect(instance()[LABELS]).toEqual(['terraform_data']);
+    expect(instance.db[LABELS]).toEqual(['terraform_data', 'db']);
+  });
+
   test('Calling a TerraformBlock instance returns a Block instance', () => {
     const instance = new TerraformBlock('terraform');
 
@@ -281,4 +424,12 @@ describe('TerraformBlock class', () => {
       }
     });
   });
+
+  test('Accessing the terraform object references on the terraform block builder', () => {
+    const instance = new TerraformBlock('terraform');
+
+    expect(isInterpolation(instance.workspace)).toBe(true);
+    expect(String(instance.workspace)).toBe('${terraform.workspace}');
+    expect(instance()[TYPE]).toEqual('terraform');
+  });
 });
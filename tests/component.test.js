@@ -0,0 +1,186 @@
+import { Component, isComponent } from '../src/component.js';
+import { Block, TYPE, LABELS, BODY } from '../src/base.js';
+import { createObjects } from '../src/utils.js';
+import { synth } from '../src/synth.js';
+
+class Policy extends Component {
+  build({ bucket }) {
+    const policy = this.resource.aws_s3_bucket_policy.policy({
+      bucket: bucket.id
+    });
+
+    return { policy };
+  }
+}
+
+class Bucket extends Component {
+  build({ name, versioning }) {
+    const bucket = this.resource.aws_s3_bucket.bucket({ bucket: name });
+
+    if (versioning) {
+      this.resource.aws_s3_bucket_versioning.versioning({
+        bucket: bucket.id
+      });
+    }
+
+    this.component(Policy, 'access', { bucket });
+
+    return { arn: bucket.arn, id: bucket.id };
+  }
+}
+
+Bucket.inputs = {
+  name: { type: 'string', required: true },
+  versioning: { type: 'bool', default: false }
+};
+
+describe('Component class', () => {
+  test('Creating the blocks with the names prefixed with the component id', () => {
+    const logs = new Bucket('logs', { name: 'my-logs', versioning: true });
+
+    expect(isComponent(logs)).toBe(true);
+    expect(isComponent(new Block('resource'))).toBe(false);
+    expect(logs.blocks.map(block => [block[TYPE], ...block[LABELS]])).toEqual([
+      ['resource', 'aws_s3_bucket', 'logs_bucket'],
+      ['resource', 'aws_s3_bucket_versioning', 'logs_versioning'],
+      ['resource', 'aws_s3_bucket_policy', 'logs_access_policy']
+    ]);
+  });
+
+  test('Exposing the outputs as references', () => {
+    const logs = new Bucket('logs', { name: 'my-logs' });
+
+    expect(String(logs.outputs.arn)).toBe('${aws_s3_bucket.logs_bucket.arn}');
+    expect(String(logs.blocks[1][BODY].bucket)).toBe(
+      '${aws_s3_bucket.logs_bucket.id}'
+    );
+  });
+
+  test('Using the builders without sharing the chained labels', () => {
+    class Network extends Component {
+      build() {
+        const { aws_subnet } = this.resource;
+
+        aws_subnet.a();
+        aws_subnet.b();
+        this.provider.aws({ region: 'us-east-1' });
+        this.terraformData.init();
+        this.locals({ a: 1 });
+      }
+    }
+
+    const network = new Network('net');
+
+    expect(network.outputs).toEqual({});
+    expect(network.blocks.map(block => block[LABELS])).toEqual([
+      ['aws_subnet', 'net_a'],
+      ['aws_subnet', 'net_b'],
+      ['aws'],
+      ['terraform_data', 'net_init'],
+      []
+    ]);
+  });
+
+  test('Prefixing the names of the local values', async () => {
+    expect.assertions(3);
+
+    class Names extends Component {
+      build({ name }) {
+        const values = this.locals({ name });
+        const computed = this.locals(() => ({ upper: name.toUpperCase() }));
+
+        return { name: values.name, upper: computed.upper };
+      }
+    }
+
+    const logs = new Names('logs', { name: 'logs' });
+    const assets = new Names('assets', { name: 'assets' });
+
+    expect(String(logs.outputs.name)).toBe('${local.logs_name}');
+    expect(String(assets.outputs.upper)).toBe('${local.assets_upper}');
+
+    const config = await synth({ logs, assets });
+
+    expect(config.locals).toEqual([
+      { logs_name: 'logs' },
+      { logs_upper: 'LOGS' },
+      { assets_name: 'assets' },
+      { assets_upper: 'ASSETS' }
+    ]);
+  });
+
+  test('Referencing the terraform object using the terraform builder', () => {
+    class Workspace extends Component {
+      build() {
+        this.terraform({ required_version: '>= 1.0' });
+
+        return { workspace: this.terraform.workspace };
+      }
+    }
+
+    const app = new Workspace('app');
+
+    expect(String(app.outputs.workspace)).toBe('${terraform.workspace}');
+    expect(app.blocks[0][BODY]).toEqual({ required_version: '>= 1.0' });
+  });
+
+  test('Applying the default values of the inputs', () => {
+    const logs = new Bucket('logs', { name: 'my-logs' });
+
+    expect(logs.inputs).toEqual({ name: 'my-logs', versioning: false });
+    expect(logs.blocks).toHaveLength(2);
+  });
+
+  test('Accepting the references for any input type', () => {
+    const name = new Block('variable', ['name']);
+
+    expect(() => new Bucket('logs', { name })).not.toThrow();
+    expect(() => new Bucket('logs', { name: '${var.name}' })).not.toThrow();
+  });
+
+  test('Throwing an error for the invalid ids and inputs', () => {
+    expect(() => new Bucket('1logs', { name: 'logs' })).toThrow(
+      'Invalid component id "1logs"'
+    );
+    expect(() => new Bucket('logs')).toThrow(
+      'Missing the "name" input of the "logs" component'
+    );
+    expect(() => new Bucket('logs', { name: 'logs', versioning: 1 })).toThrow(
+      'The "versioning" input of the "logs" component must be a bool'
+    );
+  });
+});
+
+describe('Generating the configuration of the components', () => {
+  test('Creating the objects of the blocks of the components', async () => {
+    expect.assertions(1);
+
+    const logs = new Bucket('logs', { name: 'my-logs' });
+    const objects = await createObjects([logs]);
+
+    expect(JSON.parse(JSON.stringify(objects))).toEqual([
+      { resource: { aws_s3_bucket: { logs_bucket: { bucket: 'my-logs' } } } },
+      {
+        resource: {
+          aws_s3_bucket_policy: {
+            logs_access_policy: { bucket: '${aws_s3_bucket.logs_bucket.id}' }
+          }
+        }
+      }
+    ]);
+  });
+
+  test('Synthesizing the configuration of multiple components', async () => {
+    expect.assertions(1);
+
+    const config = await synth({
+      logs: new Bucket('logs', { name: 'my-logs' }),
+      assets: new Bucket('assets', { name: 'my-assets' })
+    });
+
+    expect(Object.keys(config.resource.aws_s3_bucket)).toEqual([
+      'logs_bucket',
+      'assets_bucket'
+    ]);
+  });
+});
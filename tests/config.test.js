@@ -0,0 +1,152 @@
+import path from 'path';
+import {
+  CONFIG_FILE,
+  DEFAULT_CONFIG,
+  validateConfig,
+  loadConfig,
+  resolveSettings
+} from '../src/config.js';
+
+const fixtures = path.join(__dirname, 'fixtures', 'config');
+
+describe('validateConfig function', () => {
+  test('Accepting a valid configuration', () => {
+    expect(() => validateConfig(DEFAULT_CONFIG)).not.toThrow();
+    expect(() =>
+      validateConfig({ commands: { fmt: { generate: false } } })
+    ).not.toThrow();
+    expect(() =>
+      validateConfig({
+        lint: {
+          rules: { 'unused-variable': 'off' },
+          customRules: [{ name: 'require-tags', check() {} }]
+        }
+      })
+    ).not.toThrow();
+  });
+
+  test('Throwing an error for the unknown options', () => {
+    expect(() => validateConfig({ binary: 'tofu' })).toThrow(
+      'Unknown configuration option "binary"'
+    );
+  });
+
+  test('Throwing an error for the invalid values', () => {
+    expect(() => validateConfig([])).toThrow(
+      'The configuration must be an object'
+    );
+    expect(() => validateConfig({ terraform: '' })).toThrow(
+      'The "terraform" option must be a non empty string'
+    );
+    expect(() => validateConfig({ sources: '*.tf.js' })).toThrow(
+      'The "sources" option must be a non empty array of glob patterns'
+    );
+    expect(() => validateConfig({ format: 'yaml' })).toThrow(
+      'The "format" option must be one of: json, hcl'
+    );
+    expect(() => validateConfig({ keepGenerated: 'yes' })).toThrow(
+      'The "keepGenerated" option must be a boolean'
+    );
+    expect(() =>
+      validateConfig({ commands: { plan: { skip: true } } })
+    ).toThrow('The "commands" option must be an object of');
+    expect(() => validateConfig({ aspects: [() => {}, 'tags'] })).toThrow(
+      'The "aspects" option must be an array of functions'
+    );
+    expect(() =>
+      validateConfig({ lint: { rules: { 'unused-variable': 'info' } } })
+    ).toThrow('The "lint" option must be an object of');
+    expect(() =>
+      validateConfig({ lint: { customRules: [{ name: 'require-tags' }] } })
+    ).toThrow('The "lint" option must be an object of');
+    expect(() => validateConfig({ schema: '' })).toThrow(
+      'The "schema" option must be a non empty string'
+    );
+  });
+});
+
+describe('loadConfig function', () => {
+  test('Loading the configuration file of a directory', async () => {
+    expect.assertions(1);
+
+    expect(await loadConfig(fixtures)).toEqual({
+      ...DEFAULT_CONFIG,
+      terraform: 'tofu',
+      sources: ['infra/**/*.tf.js'],
+      commands: { plan: { keepGenerated: true } }
+    });
+  });
+
+  test('Loading a configuration file exported as a function', async () => {
+    expect.assertions(1);
+
+    await expect(loadConfig(path.join(fixtures, 'invalid'))).rejects.toThrow(
+      `${CONFIG_FILE}: The "format" option must be one of`
+    );
+  });
+
+  test('Returning the default configuration if there is no file', async () => {
+    expect.assertions(1);
+
+    expect(await loadConfig(__dirname)).toEqual(DEFAULT_CONFIG);
+  });
+
+  test('Throwing an error if the specified file does not exist', async () => {
+    expect.assertions(1);
+
+    await expect(loadConfig(fixtures, 'missing.config.js')).rejects.toThrow(
+      'Configuration file "missing.config.js" not found'
+    );
+  });
+});
+
+describe('resolveSettings function', () => {
+  const config = {
+    ...DEFAULT_CONFIG,
+    keepGenerated: true,
+    commands: {
+      validate: { generate: false },
+      apply: { keepGenerated: false }
+    }
+  };
+
+  test('Applying the command rules', () => {
+    expect(resolveSettings(config, {}, 'plan')).toMatchObject({
+      generate: true,
+      keepGenerated: true
+    });
+    expect(resolveSettings(config, {}, 'validate')).toMatchObject({
+      generate: false
+    });
+    expect(resolveSettings(config, {}, 'apply')).toMatchObject({
+      keepGenerated: false
+    });
+    expect(resolveSettings(config, {}, 'fmt', false)).toMatchObject({
+      generate: false
+    });
+  });
+
+  test('Overriding the configuration with the command line options', () => {
+    expect(
+      resolveSettings(
+        config,
+        {
+          force: true,
+          format: 'hcl',
+          out: 'build',
+          keep: true,
+          config: 'ci.config.js',
+          watch: true
+        },
+        'generate'
+      )
+    ).toMatchObject({
+      force: true,
+      format: 'hcl',
+      outDir: 'build',
+      keepGenerated: true,
+      configFile: 'ci.config.js',
+      watch: true
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { context } from '../src/index.js';
+import {
+  getWorkspace,
+  getVariableOptions,
+  loadVariables,
+  loadContext,
+  setContext
+} from '../src/context.js';
+
+describe('Loading the context', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'terraformjs-'));
+
+    await fs.mkdir(path.join(dir, '.terraform'));
+    await fs.writeFile(path.join(dir, '.terraform', 'environment'), 'staging');
+    await fs.writeFile(
+      path.join(dir, 'terraform.tfvars'),
+      'region = "eu-west-1"\nsize = 1\ntags = { Team = "infra" }\n'
+    );
+    await fs.writeFile(
+      path.join(dir, 'terraform.tfvars.json'),
+      '{ "size": 2, "zones": ["a", "b"] }'
+    );
+    await fs.writeFile(path.join(dir, 'b.auto.tfvars'), 'size = 4\n');
+    await fs.writeFile(path.join(dir, 'a.auto.tfvars.json'), '{ "size": 3 }');
+    await fs.writeFile(path.join(dir, 'prod.tfvars'), 'region = "us-east-1"\n');
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true });
+
+    setContext({
+      command: undefined,
+      args: [],
+      workspace: 'default',
+      vars: {}
+    });
+  });
+
+  test('Getting the current workspace', async () => {
+    expect.assertions(3);
+
+    expect(await getWorkspace(dir, {})).toBe('staging');
+    expect(await getWorkspace(dir, { TF_WORKSPACE: 'prod' })).toBe('prod');
+    expect(await getWorkspace(path.join(dir, 'missing'), {})).toBe('default');
+  });
+
+  test('Getting the -var and -var-file options', () => {
+    expect(
+      getVariableOptions([
+        'plan',
+        '-var',
+        'size=5',
+        '-var-file=prod.tfvars',
+        '--var=name=web',
+        '-out=plan'
+      ])
+    ).toEqual([
+      { name: 'var', value: 'size=5' },
+      { name: 'var-file', value: 'prod.tfvars' },
+      { name: 'var', value: 'name=web' }
+    ]);
+    expect(() => getVariableOptions(['plan', '-var'])).toThrow(
+      'Missing value for the -var option'
+    );
+  });
+
+  test('Loading the variables in the precedence order of Terraform', async () => {
+    expect.assertions(3);
+
+    expect(await loadVariables(dir, [], { TF_VAR_owner: 'ops' })).toEqual({
+      owner: 'ops',
+      region: 'eu-west-1',
+      size: 4,
+      tags: { Team: 'infra' },
+      zones: ['a', 'b']
+    });
+    expect(
+      await loadVariables(
+        dir,
+        ['apply', '-var', 'zones=["c"]', '-var-file', 'prod.tfvars'],
+        { TF_VAR_region: 'ap-south-1' }
+      )
+    ).toMatchObject({ region: 'us-east-1', zones: ['c'] });
+    await expect(loadVariables(dir, ['-var', 'size'], {})).rejects.toThrow(
+      'Invalid -var option "size"'
+    );
+  });
+
+  test('Populating the exported context', async () => {
+    expect.assertions(2);
+
+    const result = await loadContext(
+      dir,
+      ['-chdir=infra', 'plan', '-var', 'size=5'],
+      {}
+    );
+
+    expect(result).toBe(context);
+    expect(context).toMatchObject({
+      command: 'plan',
+      args: ['-chdir=infra', 'plan', '-var', 'size=5'],
+      workspace: 'staging',
+      vars: { region: 'eu-west-1', size: '5' }
+    });
+  });
+});
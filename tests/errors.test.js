@@ -0,0 +1,59 @@
+import { getLocation, createError, formatError } from '../src/errors.js';
+
+describe('getLocation function', () => {
+  test('Finding the location of the source file in the stack trace', () => {
+    const err = new Error('Failure');
+
+    err.stack = [
+      'Error: Failure',
+      '    at createBlockObject (file:///app/src/utils.js:301:20)',
+      '    at body (file:///project/infra/main.tf.js:12:5)',
+      '    at file:///project/main.tf.js:3:9'
+    ].join('\n');
+
+    expect(getLocation(err, 'infra/main.tf.js')).toBe('infra/main.tf.js:12:5');
+    expect(getLocation(err, 'main.tf.js')).toBe('main.tf.js:12:5');
+    expect(getLocation(err, 'other.tf.js')).toBe(null);
+  });
+
+  test('Finding the location of a syntax error', () => {
+    const err = new SyntaxError('Unexpected token');
+
+    err.stack =
+      'file:///project/main.tf.js:4\nexport const = 1;\n\nSyntaxError: Unexpected token';
+
+    expect(getLocation(err, 'main.tf.js')).toBe('main.tf.js:4');
+  });
+});
+
+describe('formatError function', () => {
+  test('Prefixing the message with the location and the export name', () => {
+    const err = new Error('Missing AMI');
+
+    err.stack =
+      'Error: Missing AMI\n    at body (file:///project/main.tf.js:5:9)';
+
+    const error = createError(err, 'main.tf.js', 'web');
+
+    expect(error).toEqual({
+      file: 'main.tf.js',
+      exportName: 'web',
+      location: 'main.tf.js:5:9',
+      message: 'Missing AMI',
+      stack: err.stack
+    });
+    expect(formatError(error)).toBe(
+      'main.tf.js:5:9: export "web": Missing AMI'
+    );
+    expect(formatError(error, true)).toBe(
+      'main.tf.js:5:9: export "web": Error: Missing AMI\n    at body (file:///project/main.tf.js:5:9)'
+    );
+  });
+
+  test('Formatting the errors without a file', () => {
+    expect(formatError(createError('Failure'))).toBe('Failure');
+    expect(formatError(createError(new Error('Invalid'), 'main.tf.js'))).toBe(
+      'main.tf.js: Invalid'
+    );
+  });
+});
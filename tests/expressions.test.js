@@ -0,0 +1,436 @@
+import {
+  unwrapInterpolation,
+  toExpression,
+  fn,
+  op,
+  cond,
+  forList,
+  forMap,
+  index,
+  attr,
+  splat,
+  legacySplat,
+  literal,
+  raw,
+  template,
+  templateIf,
+  templateFor,
+  count,
+  each,
+  self,
+  path,
+  forEach
+} from '../src/expressions.js';
+import { toHCL } from '../src/hcl.js';
+import { Interpolation, Block, isTemplate } from '../src/base.js';
+
+describe('unwrapInterpolation function', () => {
+  test('Unwrapping a single interpolation', () => {
+    expect(unwrapInterpolation('${var.foo}')).toBe('var.foo');
+  });
+
+  test('Unwrapping an interpolation containing braces', () => {
+    expect(unwrapInterpolation('${{for k, v in var.map : k => v}}')).toBe(
+      '{for k, v in var.map : k => v}'
+    );
+  });
+
+  test('Unwrapping a string that is not a single interpolation', () => {
+    expect(unwrapInterpolation('var.foo')).toBeNull();
+    expect(unwrapInterpolation('${var.a}-${var.b}')).toBeNull();
+    expect(unwrapInterpolation('prefix-${var.a}')).toBeNull();
+  });
+
+  test('Unwrapping an interpolation containing a string with braces', () => {
+    expect(unwrapInterpolation('${lookup(var.map, "}")}')).toBe(
+      'lookup(var.map, "}")'
+    );
+  });
+});
+
+describe('toExpression function', () => {
+  test('Converting an Interpolation instance', () => {
+    const variable = new Block('variable', ['list']);
+
+    expect(toExpression(variable.name)).toBe('var.list.name');
+  });
+
+  test('Converting a Block instance', () => {
+    const resource = new Block('resource', ['aws_instance', 'web']);
+
+    expect(toExpression(resource)).toBe('aws_instance.web');
+  });
+
+  test('Converting literal values', () => {
+    expect(toExpression('text')).toBe('"text"');
+    expect(toExpression('say "hi"\n')).toBe('"say \\"hi\\"\\n"');
+    expect(toExpression(10)).toBe('10');
+    expect(toExpression(true)).toBe('true');
+    expect(toExpression(null)).toBe('null');
+    expect(toExpression(undefined)).toBe('null');
+  });
+
+  test('Converting a string containing an interpolation', () => {
+    expect(toExpression('${var.a}')).toBe('var.a');
+    expect(toExpression('${var.a}-${var.b}')).toBe('"${var.a}-${var.b}"');
+  });
+
+  test('Converting arrays and objects', () => {
+    const variable = new Block('variable', ['name']);
+
+    expect(toExpression([1, 'a', variable])).toBe('[1, "a", var.name]');
+    expect(toExpression({ Name: variable, 'my-key': [true] })).toBe(
+      '{"Name" = var.name, "my-key" = [true]}'
+    );
+  });
+
+  test('Converting an unsupported value throws an error', () => {
+    expect(() => toExpression(() => {})).toThrow(TypeError);
+  });
+});
+
+describe('fn namespace', () => {
+  test('Calling a function without arguments', () => {
+    expect(String(fn.timestamp())).toBe('${timestamp()}');
+  });
+
+  test('Calling a function with nested interpolations', () => {
+    const instance = new Block('resource', ['aws_instance', 'web']);
+    const variable = new Block('variable', ['x']);
+
+    expect(String(fn.join(',', [instance.id, variable]))).toBe(
+      '${join(",", [aws_instance.web.id, var.x])}'
+    );
+  });
+
+  test('Nesting function calls', () => {
+    const variable = new Block('variable', ['cidr']);
+
+    expect(String(fn.cidrsubnet(variable, 8, fn.length(variable)))).toBe(
+      '${cidrsubnet(var.cidr, 8, length(var.cidr))}'
+    );
+  });
+
+  test('Accessing an attribute and an index of a function result', () => {
+    const variable = new Block('variable', ['map']);
+
+    expect(String(fn.lookup(variable, 'key')[0].name)).toBe(
+      '${lookup(var.map, "key")[0].name}'
+    );
+  });
+
+  test('Unwrapping interpolation strings passed as arguments', () => {
+    expect(String(fn.upper('${var.name}'))).toBe('${upper(var.name)}');
+  });
+});
+
+describe('op namespace', () => {
+  const variable = new Block('variable', ['count']);
+
+  test('Creating arithmetic expressions', () => {
+    expect(String(op.add(variable, 1))).toBe('${var.count + 1}');
+    expect(String(op.mul(variable, 2, 3))).toBe('${var.count * 2 * 3}');
+    expect(String(op.neg(variable))).toBe('${-var.count}');
+  });
+
+  test('Creating comparison and logical expressions', () => {
+    expect(String(op.gt(fn.length(variable), 0))).toBe(
+      '${length(var.count) > 0}'
+    );
+    expect(String(op.not(variable.enabled))).toBe('${!var.count.enabled}');
+  });
+
+  test('Nesting operators wraps the operands in parentheses', () => {
+    expect(String(op.mul(op.add(variable, 1), 2))).toBe(
+      '${(var.count + 1) * 2}'
+    );
+    expect(String(op.and(op.gt(variable, 0), op.lt(variable, 5)))).toBe(
+      '${(var.count > 0) && (var.count < 5)}'
+    );
+  });
+
+  test('Accessing an attribute of an operator expression', () => {
+    const a = new Block('variable', ['a']);
+    const b = new Block('variable', ['b']);
+
+    expect(String(op.or(a, b).id)).toBe('${(var.a || var.b).id}');
+  });
+});
+
+describe('cond function', () => {
+  test('Creating a conditional expression', () => {
+    const list = new Block('variable', ['list']);
+
+    expect(String(cond(op.gt(fn.length(list), 0), list.default, 'none'))).toBe(
+      '${(length(var.list) > 0) ? var.list.default : "none"}'
+    );
+  });
+
+  test('Using a conditional expression as an operand', () => {
+    const a = new Block('variable', ['a']);
+
+    expect(String(op.add(cond(a, 1, 2), 3))).toBe('${(var.a ? 1 : 2) + 3}');
+  });
+});
+
+describe('forList function', () => {
+  const list = new Block('variable', ['list']);
+
+  test('Creating a for expression producing a tuple', () => {
+    expect(String(forList(list, value => fn.upper(value)))).toBe(
+      '${[for value in var.list : upper(value)]}'
+    );
+  });
+
+  test('Creating a for expression using the key and a condition', () => {
+    expect(
+      String(
+        forList(
+          list,
+          (value, key) => [key, value.name],
+          value => op.ne(value, '')
+        )
+      )
+    ).toBe(
+      '${[for key, value in var.list : [key, value.name] if value != ""]}'
+    );
+  });
+
+  test('Nesting for expressions', () => {
+    expect(
+      String(forList(list, value => forList(value.items, item => item.id)))
+    ).toBe(
+      '${[for value in var.list : [for value1 in value.items : value1.id]]}'
+    );
+  });
+});
+
+describe('forMap function', () => {
+  test('Creating a for expression producing an object', () => {
+    const users = new Block('variable', ['users']);
+
+    expect(
+      String(
+        forMap(
+          users,
+          (value, key) => [key, value.role],
+          value => value.enabled
+        )
+      )
+    ).toBe(
+      '${{for key, value in var.users : key => value.role if value.enabled}}'
+    );
+  });
+});
+
+describe('index function', () => {
+  const tags = new Block('variable', ['tags']);
+
+  test('Indexing using a string key', () => {
+    expect(String(index(tags, 'Name'))).toBe('${var.tags["Name"]}');
+    expect(String(index(tags, 'my.key'))).toBe('${var.tags["my.key"]}');
+  });
+
+  test('Indexing using a number', () => {
+    expect(String(index(tags, 1))).toBe('${var.tags[1]}');
+  });
+
+  test('Indexing using an expression', () => {
+    const key = new Block('variable', ['key']);
+
+    expect(String(index(tags, key))).toBe('${var.tags[var.key]}');
+    expect(String(index(tags, fn.lower(key)))).toBe(
+      '${var.tags[lower(var.key)]}'
+    );
+  });
+
+  test('Chaining properties on the index expression', () => {
+    expect(String(index(tags, 'a').b)).toBe('${var.tags["a"].b}');
+  });
+
+  test('Indexing a compound expression', () => {
+    const a = new Block('variable', ['a']);
+    const b = new Block('variable', ['b']);
+
+    expect(String(index(op.or(a, b), 'key'))).toBe(
+      '${(var.a || var.b)["key"]}'
+    );
+  });
+});
+
+describe('attr function', () => {
+  const instance = new Block('resource', ['aws_instance', 'web']);
+
+  test('Accessing an attribute with a valid identifier', () => {
+    expect(String(attr(instance, 'public_ip'))).toBe(
+      '${aws_instance.web.public_ip}'
+    );
+    expect(String(attr(instance, 'with-dash'))).toBe(
+      '${aws_instance.web.with-dash}'
+    );
+  });
+
+  test('Accessing an attribute that is not a valid identifier', () => {
+    expect(String(attr(instance, 'tags.Name'))).toBe(
+      '${aws_instance.web["tags.Name"]}'
+    );
+    expect(String(attr(instance, '1st'))).toBe('${aws_instance.web["1st"]}');
+  });
+});
+
+describe('splat and legacySplat functions', () => {
+  const instance = new Block('resource', ['aws_instance', 'web']);
+
+  test('Creating a full splat expression', () => {
+    expect(String(splat(instance).id)).toBe('${aws_instance.web[*].id}');
+    expect(String(splat(instance.network_interface)[0].id)).toBe(
+      '${aws_instance.web.network_interface[*][0].id}'
+    );
+  });
+
+  test('Creating a legacy splat expression', () => {
+    expect(String(legacySplat(instance).id)).toBe('${aws_instance.web.*.id}');
+  });
+
+  test('Using a splat expression as a function argument', () => {
+    expect(String(fn.join(',', splat(instance).id))).toBe(
+      '${join(",", aws_instance.web[*].id)}'
+    );
+  });
+});
+
+describe('literal function', () => {
+  test('Escaping the template sequences', () => {
+    expect(String(literal('echo ${HOME} %{ if }'))).toBe(
+      'echo $${HOME} %%{ if }'
+    );
+    expect(String(literal('{"Version": "2012-10-17"}'))).toBe(
+      '{"Version": "2012-10-17"}'
+    );
+    expect(String(literal('$${x}'))).toBe('$$${x}');
+    expect(raw).toBe(literal);
+  });
+
+  test('Marking the escaped strings as template strings', () => {
+    expect(isTemplate(literal('echo'))).toBe(true);
+    expect(isTemplate('echo')).toBe(false);
+    expect(isTemplate(new String('echo'))).toBe(false);
+  });
+
+  test('Serializing the template strings as strings', () => {
+    expect(JSON.stringify({ script: literal('echo ${HOME}') })).toBe(
+      '{"script":"echo $${HOME}"}'
+    );
+    expect(toExpression(literal('${HOME}'))).toBe('"$${HOME}"');
+  });
+
+  test('Keeping the escaped strings in the native syntax', () => {
+    expect(toHCL([{ locals: { script: literal('echo ${HOME}') } }])).toBe(
+      'locals {\n  script = "echo $${HOME}"\n}\n'
+    );
+  });
+});
+
+describe('template function', () => {
+  const instance = new Block('resource', ['aws_instance', 'web']);
+
+  test('Escaping the literal text and interpolating the values', () => {
+    expect(
+      String(template`echo \${HOME} ${instance.id} ${instance} ${2} ${true}`)
+    ).toBe('echo $${HOME} ${aws_instance.web.id} ${aws_instance.web} 2 true');
+  });
+
+  test('Inserting the template strings as they are', () => {
+    const name = template`${new Interpolation('var.name')}-%{x}`;
+
+    expect(isTemplate(name)).toBe(true);
+    expect(String(template`Hello ${name}!`)).toBe('Hello ${var.name}-%%{x}!');
+    expect(String(template`${literal('${HOME}')}`)).toBe('$${HOME}');
+  });
+
+  test('Escaping the inserted strings', () => {
+    expect(String(template`echo ${'${HOME} %{ if }'}`)).toBe(
+      'echo $${HOME} %%{ if }'
+    );
+  });
+
+  test('Throwing an error for an unsupported value', () => {
+    expect(() => template`${{ a: 1 }}`).toThrow(
+      'Unsupported template value: [object Object]'
+    );
+  });
+});
+
+describe('templateIf and templateFor functions', () => {
+  const names = new Interpolation('var.names');
+
+  test('Creating an if directive', () => {
+    expect(
+      String(templateIf(new Interpolation('var.enabled'), 'on', '${off}'))
+    ).toBe('%{ if var.enabled }on%{ else }$${off}%{ endif }');
+    expect(
+      String(templateIf(op.gt(new Interpolation('var.count'), 1), template`s`))
+    ).toBe('%{ if var.count > 1 }s%{ endif }');
+  });
+
+  test('Creating a for directive', () => {
+    expect(String(templateFor(names, name => template`- ${name}\n`))).toBe(
+      '%{ for value in var.names }- ${value}\n%{ endfor }'
+    );
+    expect(
+      String(
+        templateFor(
+          new Interpolation('var.tags'),
+          (value, key) => template`${key}=${value};`
+        )
+      )
+    ).toBe('%{ for key, value in var.tags }${key}=${value};%{ endfor }');
+  });
+
+  test('Nesting the directives', () => {
+    const directive = templateFor(names, name =>
+      templateIf(op.ne(name, ''), template`${name},`)
+    );
+
+    expect(isTemplate(directive)).toBe(true);
+    expect(String(directive)).toBe(
+      '%{ for value in var.names }%{ if value != "" }${value},%{ endif }%{ endfor }'
+    );
+  });
+});
+
+describe('Built-in references', () => {
+  test('Referencing the count, each, self and path objects', () => {
+    expect(String(count.index)).toBe('${count.index}');
+    expect(String(each.value.name)).toBe('${each.value.name}');
+    expect(String(each.key)).toBe('${each.key}');
+    expect(String(self.private_ip)).toBe('${self.private_ip}');
+    expect(String(path.module)).toBe('${path.module}');
+    expect(String(fn.file(`${path.module}/script.sh`))).toBe(
+      '${file("${path.module}/script.sh")}'
+    );
+  });
+});
+
+describe('forEach function', () => {
+  test('Creating a block body with the for_each meta-argument', () => {
+    const users = new Interpolation('var.users');
+    const body = forEach(users, each => ({
+      name: each.key,
+      tags: { Role: each.value.role }
+    }));
+
+    expect(JSON.parse(JSON.stringify(body))).toEqual({
+      for_each: '${var.users}',
+      name: '${each.key}',
+      tags: { Role: '${each.value.role}' }
+    });
+  });
+
+  test('Converting the arrays to sets', () => {
+    const body = forEach(['alice', 'bob'], each => ({ name: each.value }));
+
+    expect(String(body.for_each)).toBe('${toset(["alice", "bob"])}');
+    expect(String(body.name)).toBe('${each.value}');
+  });
+});
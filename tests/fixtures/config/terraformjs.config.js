@@ -0,0 +1,5 @@
+export default {
+  terraform: 'tofu',
+  sources: ['infra/**/*.tf.js'],
+  commands: { plan: { keepGenerated: true } }
+};
@@ -0,0 +1,7 @@
+import { resource, variable } from '../../../src/index.js';
+
+export const cidr = variable.cidr({ default: '10.0.0.0/16' });
+
+export const vpc = resource.aws_vpc.main({
+  cidr_block: cidr
+});
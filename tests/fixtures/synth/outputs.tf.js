@@ -0,0 +1,6 @@
+import { output } from '../../../src/index.js';
+import { vpc } from './network.tf.js';
+
+export const vpcId = output.vpc_id({
+  value: vpc.id
+});
@@ -0,0 +1,3 @@
+import { missing } from './lib/missing.js';
+
+export default missing;
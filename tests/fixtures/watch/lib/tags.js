@@ -0,0 +1 @@
+export const tags = { Team: 'infra' };
@@ -0,0 +1,4 @@
+import { resource } from '../../../src/index.js';
+import { tags } from './lib/tags.js';
+
+export const vpc = resource.aws_vpc.main({ tags });
@@ -0,0 +1,199 @@
+import {
+  resource,
+  data,
+  variable,
+  locals,
+  provider,
+  module,
+  output
+} from '../src/index.js';
+import { createProject } from '../src/lint.js';
+import {
+  createGraph,
+  formatDOT,
+  formatMermaid,
+  formatGraphJSON
+} from '../src/graph.js';
+
+/**
+ * Creates the graph of an object of the file names to the exports.
+ */
+async function graph(files) {
+  return createGraph(await createProject(new Map(Object.entries(files))));
+}
+
+describe('createGraph function', () => {
+  test('Creating the graph of the references between the blocks', async () => {
+    expect.assertions(2);
+
+    const region = variable.region({});
+    const aws = provider.aws({ region });
+    const west = provider.aws({ alias: 'west' });
+    const ami = data.aws_ami.ubuntu({});
+    const values = locals({ size: 't2.micro', name: '${var.region}-web' });
+    const vpc = module.vpc({ source: './vpc', providers: { aws: west } });
+    const web = resource.aws_instance.web({
+      ami: ami.id,
+      instance_type: '${local.size}',
+      subnet_id: '${module.vpc.subnet_id}',
+      depends_on: [ami]
+    });
+
+    const result = await graph({
+      'main.tf.js': { region, aws, west, ami, values },
+      'web.tf.js': {
+        vpc,
+        web,
+        db: resource.aws_db_instance.db({ provider: west }),
+        ip: output.ip({ value: web.public_ip })
+      }
+    });
+
+    expect(result.nodes).toEqual([
+      {
+        id: 'variable.region',
+        type: 'variable',
+        file: 'main.tf.js',
+        exportName: 'region'
+      },
+      {
+        id: 'provider.aws',
+        type: 'provider',
+        file: 'main.tf.js',
+        exportName: 'aws'
+      },
+      {
+        id: 'provider.aws.west',
+        type: 'provider',
+        file: 'main.tf.js',
+        exportName: 'west'
+      },
+      {
+        id: 'data.aws_ami.ubuntu',
+        type: 'data',
+        file: 'main.tf.js',
+        exportName: 'ami'
+      },
+      {
+        id: 'local.size',
+        type: 'locals',
+        file: 'main.tf.js',
+        exportName: 'values'
+      },
+      {
+        id: 'local.name',
+        type: 'locals',
+        file: 'main.tf.js',
+        exportName: 'values'
+      },
+      {
+        id: 'module.vpc',
+        type: 'module',
+        file: 'web.tf.js',
+        exportName: 'vpc'
+      },
+      {
+        id: 'resource.aws_instance.web',
+        type: 'resource',
+        file: 'web.tf.js',
+        exportName: 'web'
+      },
+      {
+        id: 'resource.aws_db_instance.db',
+        type: 'resource',
+        file: 'web.tf.js',
+        exportName: 'db'
+      },
+      { id: 'output.ip', type: 'output', file: 'web.tf.js', exportName: 'ip' }
+    ]);
+    expect(result.edges).toEqual([
+      { from: 'provider.aws', to: 'variable.region' },
+      { from: 'data.aws_ami.ubuntu', to: 'provider.aws' },
+      { from: 'local.name', to: 'variable.region' },
+      { from: 'module.vpc', to: 'provider.aws.west' },
+      { from: 'resource.aws_instance.web', to: 'data.aws_ami.ubuntu' },
+      { from: 'resource.aws_instance.web', to: 'local.size' },
+      { from: 'resource.aws_instance.web', to: 'module.vpc' },
+      { from: 'resource.aws_instance.web', to: 'provider.aws' },
+      { from: 'resource.aws_db_instance.db', to: 'provider.aws.west' },
+      { from: 'output.ip', to: 'resource.aws_instance.web' }
+    ]);
+  });
+});
+
+describe('Graph formats', () => {
+  const result = {
+    nodes: [
+      {
+        id: 'variable.ami',
+        type: 'variable',
+        file: 'main.tf.js',
+        exportName: 'ami'
+      },
+      {
+        id: 'resource.aws_instance.web',
+        type: 'resource',
+        file: 'web.tf.js',
+        exportName: 'web'
+      }
+    ],
+    edges: [{ from: 'resource.aws_instance.web', to: 'variable.ami' }]
+  };
+
+  test('Formatting the graph in the DOT language', () => {
+    expect(formatDOT(result)).toBe(
+      [
+        'digraph {',
+        '  node [shape = "box"]',
+        '  subgraph "cluster_0" {',
+        '    label = "main.tf.js"',
+        '    "variable.ami" [label = "variable.ami\\n(ami)"]',
+        '  }',
+        '  subgraph "cluster_1" {',
+        '    label = "web.tf.js"',
+        '    "resource.aws_instance.web" [label = "resource.aws_instance.web\\n(web)"]',
+        '  }',
+        '  "resource.aws_instance.web" -> "variable.ami"',
+        '}'
+      ].join('\n')
+    );
+  });
+
+  test('Formatting the graph as a Mermaid flowchart', () => {
+    expect(formatMermaid(result)).toBe(
+      [
+        'flowchart LR',
+        '  subgraph f0 ["main.tf.js"]',
+        '    n0["variable.ami<br/>(ami)"]',
+        '  end',
+        '  subgraph f1 ["web.tf.js"]',
+        '    n1["resource.aws_instance.web<br/>(web)"]',
+        '  end',
+        '  n1 --> n0'
+      ].join('\n')
+    );
+  });
+
+  test('Formatting the nodes of the blocks that are not exported', () => {
+    const graph = {
+      nodes: [
+        {
+          id: 'variable.password',
+          type: 'variable',
+          file: 'main.tf.js',
+          exportName: null
+        }
+      ],
+      edges: []
+    };
+
+    expect(formatDOT(graph)).toContain(
+      '    "variable.password" [label = "variable.password"]'
+    );
+    expect(formatMermaid(graph)).toContain('    n0["variable.password"]');
+  });
+
+  test('Formatting the graph as JSON', () => {
+    expect(JSON.parse(formatGraphJSON(result))).toEqual(result);
+  });
+});
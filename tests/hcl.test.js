@@ -0,0 +1,414 @@
+import { toHCL, quote, asAttribute, asBlock } from '../src/hcl.js';
+import { Block } from '../src/base.js';
+import { createObjects } from '../src/utils.js';
+
+/**
+ * Returns the HCL string of the Block instances.
+ */
+async function render(blocks) {
+  return toHCL(await createObjects(blocks));
+}
+
+describe('quote function', () => {
+  test('Quoting a string', () => {
+    expect(quote('text')).toBe('"text"');
+  });
+
+  test('Escaping the special characters', () => {
+    expect(quote('say "hi"\\\t\r\n\u0001')).toBe(
+      '"say \\"hi\\"\\\\\\t\\r\\n\\u0001"'
+    );
+  });
+
+  test('Keeping the template sequences', () => {
+    expect(quote('${var.a}-%{ if true }b%{ endif }')).toBe(
+      '"${var.a}-%{ if true }b%{ endif }"'
+    );
+  });
+});
+
+describe('toHCL function', () => {
+  test('Rendering an empty array of objects', () => {
+    expect(toHCL([])).toBe('');
+  });
+
+  test('Rendering blocks with an empty body', async () => {
+    expect.assertions(1);
+
+    expect(await render([new Block('variable', ['name'])])).toBe(
+      'variable "name" {}\n'
+    );
+  });
+
+  test('Rendering a resource with aligned attributes', async () => {
+    expect.assertions(1);
+
+    const block = new Block('resource', ['aws_instance', 'web'], {
+      ami: 'ami-123',
+      instance_type: 't2.micro',
+      count: 2,
+      monitoring: true,
+      key_name: null
+    });
+
+    expect(await render([block])).toBe(
+      [
+        'resource "aws_instance" "web" {',
+        '  ami           = "ami-123"',
+        '  instance_type = "t2.micro"',
+        '  count         = 2',
+        '  monitoring    = true',
+        '  key_name      = null',
+        '}',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('Rendering the interpolations as bare expressions', async () => {
+    expect.assertions(1);
+
+    const ami = new Block('data', ['aws_ami', 'ubuntu']);
+    const block = new Block('resource', ['aws_instance', 'web'], {
+      ami: ami.id,
+      name: '${var.prefix}-web',
+      zone: '${var.zone}'
+    });
+
+    expect(await render([block])).toBe(
+      [
+        'resource "aws_instance" "web" {',
+        '  ami  = data.aws_ami.ubuntu.id',
+        '  name = "${var.prefix}-web"',
+        '  zone = var.zone',
+        '}',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('Rendering maps as attributes and objects as nested blocks', async () => {
+    expect.assertions(1);
+
+    const block = new Block('resource', ['aws_instance', 'web'], {
+      tags: { Name: 'web', 'my.key': 'value' },
+      root_block_device: { volume_size: 10 },
+      ebs_block_device: [{ device_name: 'sdb' }, { device_name: 'sdc' }]
+    });
+
+    expect(await render([block])).toBe(
+      [
+        'resource "aws_instance" "web" {',
+        '  tags = {',
+        '    Name     = "web"',
+        '    "my.key" = "value"',
+        '  }',
+        '',
+        '  root_block_device {',
+        '    volume_size = 10',
+        '  }',
+        '',
+        '  ebs_block_device {',
+        '    device_name = "sdb"',
+        '  }',
+        '',
+        '  ebs_block_device {',
+        '    device_name = "sdc"',
+        '  }',
+        '}',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('Forcing an object to be rendered as an attribute or a block', async () => {
+    expect.assertions(1);
+
+    const block = new Block('resource', ['aws_instance', 'web'], {
+      settings: asAttribute({ a: 1 }),
+      tags: asBlock({ b: 2 })
+    });
+
+    expect(await render([block])).toBe(
+      [
+        'resource "aws_instance" "web" {',
+        '  settings = {',
+        '    a = 1',
+        '  }',
+        '',
+        '  tags {',
+        '    b = 2',
+        '  }',
+        '}',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('Rendering labeled nested blocks', async () => {
+    expect.assertions(1);
+
+    const block = new Block('resource', ['aws_instance', 'web'], {
+      provisioner: [
+        { 'local-exec': { command: 'echo 1' } },
+        { 'remote-exec': { inline: ['echo 2'] } }
+      ]
+    });
+
+    expect(await render([block])).toBe(
+      [
+        'resource "aws_instance" "web" {',
+        '  provisioner "local-exec" {',
+        '    command = "echo 1"',
+        '  }',
+        '',
+        '  provisioner "remote-exec" {',
+        '    inline = ["echo 2"]',
+        '  }',
+        '}',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('Rendering the terraform block', async () => {
+    expect.assertions(1);
+
+    const block = new Block('terraform', [], {
+      required_version: '>= 0.12',
+      backend: { s3: { bucket: 'name' } },
+      required_providers: { aws: { source: 'hashicorp/aws' } }
+    });
+
+    expect(await render([block])).toBe(
+      [
+        'terraform {',
+        '  required_version = ">= 0.12"',
+        '',
+        '  backend "s3" {',
+        '    bucket = "name"',
+        '  }',
+        '',
+        '  required_providers {',
+        '    aws = {',
+        '      source = "hashicorp/aws"',
+        '    }',
+        '  }',
+        '}',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('Rendering the locals, variable and output blocks attributes', async () => {
+    expect.assertions(1);
+
+    const blocks = [
+      new Block('locals', [], { settings: { a: [1, 2] } }),
+      new Block('variable', ['list'], {
+        type: 'list(string)',
+        default: { b: 'c' },
+        validation: { condition: '${length(var.list) > 0}' }
+      }),
+      new Block('output', ['value'], { value: { d: 'e' } })
+    ];
+
+    expect(await render(blocks)).toBe(
+      [
+        'locals {',
+        '  settings = {',
+        '    a = [1, 2]',
+        '  }',
+        '}',
+        '',
+        'variable "list" {',
+        '  type    = list(string)',
+        '  default = {',
+        '    b = "c"',
+        '  }',
+        '',
+        '  validation {',
+        '    condition = length(var.list) > 0',
+        '  }',
+        '}',
+        '',
+        'output "value" {',
+        '  value = {',
+        '    d = "e"',
+        '  }',
+        '}',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('Rendering the references of the meta-arguments as bare expressions', async () => {
+    expect.assertions(1);
+
+    const aws = new Block('provider', ['aws'], { alias: 'west' });
+    const ami = new Block('data', ['aws_ami', 'ubuntu']);
+
+    const blocks = [
+      new Block('resource', ['aws_instance', 'web'], {
+        provider: aws,
+        depends_on: [ami, 'aws_vpc.main'],
+        lifecycle: { ignore_changes: ['tags'] }
+      }),
+      new Block('module', ['vpc'], {
+        source: './vpc',
+        providers: { aws }
+      })
+    ];
+
+    expect(await render(blocks)).toBe(
+      [
+        'resource "aws_instance" "web" {',
+        '  provider   = aws.west',
+        '  depends_on = [data.aws_ami.ubuntu, aws_vpc.main]',
+        '',
+        '  lifecycle {',
+        '    ignore_changes = [tags]',
+        '  }',
+        '}',
+        '',
+        'module "vpc" {',
+        '  source    = "./vpc"',
+        '  providers = {',
+        '    aws = aws.west',
+        '  }',
+        '}',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('Rendering the arguments named like the meta-arguments as strings', async () => {
+    expect.assertions(1);
+
+    const blocks = [
+      new Block('locals', [], { provider: 'aws', depends_on: ['a.b'] })
+    ];
+
+    expect(await render(blocks)).toBe(
+      [
+        'locals {',
+        '  provider   = "aws"',
+        '  depends_on = ["a.b"]',
+        '}',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('Rendering the refactoring and check blocks', async () => {
+    expect.assertions(1);
+
+    const web = new Block('resource', ['aws_instance', 'web']);
+    const site = new Block('data', ['http', 'site'], { url: 'https://a.io' });
+
+    const blocks = [
+      new Block('moved', [], { from: 'aws_instance.app', to: web }),
+      new Block('import', [], { to: web, id: 'i-123' }),
+      new Block('removed', [], {
+        from: 'aws_instance.old',
+        lifecycle: { destroy: false }
+      }),
+      new Block('check', ['health'], {
+        data: site,
+        assert: {
+          condition: '${data.http.site.status_code == 200}',
+          error_message: 'Down'
+        }
+      })
+    ];
+
+    expect(await render(blocks)).toBe(
+      [
+        'moved {',
+        '  from = aws_instance.app',
+        '  to   = aws_instance.web',
+        '}',
+        '',
+        'import {',
+        '  to = aws_instance.web',
+        '  id = "i-123"',
+        '}',
+        '',
+        'removed {',
+        '  from = aws_instance.old',
+        '',
+        '  lifecycle {',
+        '    destroy = false',
+        '  }',
+        '}',
+        '',
+        'check "health" {',
+        '  data "http" "site" {',
+        '    url = "https://a.io"',
+        '  }',
+        '',
+        '  assert {',
+        '    condition     = data.http.site.status_code == 200',
+        '    error_message = "Down"',
+        '  }',
+        '}',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('Rendering multiline strings as heredocs', async () => {
+    expect.assertions(1);
+
+    const block = new Block('resource', ['aws_instance', 'web'], {
+      user_data: '#!/bin/bash\necho "${var.name}"\n',
+      description: 'EOT\nline'
+    });
+
+    expect(await render([block])).toBe(
+      [
+        'resource "aws_instance" "web" {',
+        '  user_data = <<EOT',
+        '#!/bin/bash',
+        'echo "${var.name}"',
+        'EOT',
+        '  description = chomp(<<EOT1',
+        'EOT',
+        'line',
+        'EOT1',
+        ')',
+        '}',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('Rendering long lists on multiple lines', async () => {
+    expect.assertions(1);
+
+    const names = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].map(c => c.repeat(10));
+
+    const block = new Block('locals', [], { names });
+
+    expect(await render([block])).toBe(
+      [
+        'locals {',
+        '  names = [',
+        ...names.map(name => `    "${name}",`),
+        '  ]',
+        '}',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('Rendering the comment properties', async () => {
+    expect.assertions(1);
+
+    const block = new Block('variable', ['name'], { '//': 'The user name' });
+
+    expect(await render([block])).toBe(
+      ['variable "name" {', '  # The user name', '}', ''].join('\n')
+    );
+  });
+});
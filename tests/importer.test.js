@@ -0,0 +1,481 @@
+import fs from 'fs';
+import {
+  moduleFileName,
+  toIdentifier,
+  stringLiteral,
+  splitTemplate,
+  parseTraversal,
+  convertConfig,
+  importConfig
+} from '../src/importer.js';
+import { parseHCL } from '../src/parser.js';
+
+jest.mock('fs', () => {
+  return {
+    promises: {
+      stat: jest.fn(),
+      readdir: jest.fn(),
+      readFile: jest.fn(),
+      writeFile: jest.fn(),
+      access: jest.fn(),
+      mkdir: jest.fn()
+    }
+  };
+});
+
+/**
+ * Returns the content of the converted module of a single .tf file.
+ */
+function convert(source) {
+  const { modules } = convertConfig([
+    { name: 'main.tf', blocks: parseHCL(source) }
+  ]);
+
+  return modules[0].content;
+}
+
+describe('Naming helpers', () => {
+  test('Getting the module file name of a configuration file', () => {
+    expect(moduleFileName('main.tf')).toBe('main.tf.js');
+    expect(moduleFileName('/path/to/network.tf.json')).toBe('network.tf.js');
+  });
+
+  test('Converting strings to identifiers', () => {
+    expect(toIdentifier('aws_instance')).toBe('awsInstance');
+    expect(toIdentifier('web-server_1')).toBe('webServer1');
+    expect(toIdentifier('1st')).toBe('_1st');
+    expect(toIdentifier('--')).toBe('_');
+  });
+
+  test('Creating JavaScript string literals', () => {
+    expect(stringLiteral("it's")).toBe("'it\\'s'");
+    expect(stringLiteral('a\\b\t')).toBe("'a\\\\b\\t'");
+    expect(stringLiteral('line 1\n`${x}`\n')).toBe('`line 1\n\\`\\${x}\\`\n`');
+  });
+});
+
+describe('Expression helpers', () => {
+  test('Splitting a template string', () => {
+    expect(splitTemplate('a-${var.b}-$${c}%{ if d }e%{ endif }')).toEqual([
+      { type: 'literal', value: 'a-' },
+      { type: 'interpolation', value: '${var.b}' },
+      { type: 'literal', value: '-$${c}' },
+      { type: 'directive', value: '%{ if d }' },
+      { type: 'literal', value: 'e' },
+      { type: 'directive', value: '%{ endif }' }
+    ]);
+  });
+
+  test('Parsing a reference traversal', () => {
+    expect(parseTraversal('aws_instance.web[0]["a.b"][*].id.0')).toEqual({
+      root: 'aws_instance',
+      steps: [
+        { type: 'attr', name: 'web' },
+        { type: 'index', value: '0' },
+        { type: 'attr', name: 'a.b' },
+        { type: 'splat' },
+        { type: 'attr', name: 'id' },
+        { type: 'index', value: '0' }
+      ]
+    });
+  });
+
+  test('Returning null for the expressions that are not references', () => {
+    expect(parseTraversal('length(var.list)')).toBeNull();
+    expect(parseTraversal('"text"')).toBeNull();
+    expect(parseTraversal('var.a + 1')).toBeNull();
+  });
+});
+
+describe('convertConfig function', () => {
+  test('Converting blocks to exported constants', () => {
+    const content = convert(`
+      terraform {
+        required_version = ">= 1.0"
+      }
+
+      variable "name" {}
+
+      resource "aws_instance" "web-1" {
+        ami  = "ami-123"
+        tags = { "app:name" = "web" }
+      }
+    `);
+
+    expect(content).toBe(
+      [
+        "import { resource, terraform, variable } from '@mdawar/terraformjs';",
+        '',
+        'export const tf = terraform({',
+        "  required_version: '>= 1.0'",
+        '});',
+        '',
+        'export const name = variable.name();',
+        '',
+        "export const web1 = resource.aws_instance['web-1']({",
+        "  ami: 'ami-123',",
+        '  tags: {',
+        "    'app:name': 'web'",
+        '  }',
+        '});',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('Replacing the references with the block constants', () => {
+    const content = convert(`
+      resource "aws_instance" "web" {
+        ami       = data.aws_ami.ubuntu.id
+        subnet    = aws_subnet.main[0].id
+        name      = "web-\${var.env}"
+        zones     = data.aws_ami.ubuntu["zone-names"][*]
+        count     = length(var.env)
+        user_data = "$\${HOME} \${path.module}"
+      }
+
+      data "aws_ami" "ubuntu" {}
+
+      resource "aws_subnet" "main" {}
+
+      variable "env" {}
+    `);
+
+    expect(content).toContain(
+      [
+        'export const web = resource.aws_instance.web({',
+        '  ami: ubuntu.id,',
+        '  subnet: main[0].id,',
+        '  name: `web-${env}`,',
+        "  zones: ubuntu['zone-names']['*'],",
+        "  count: '${length(var.env)}',",
+        "  user_data: '$${HOME} ${path.module}'",
+        '});'
+      ].join('\n')
+    );
+  });
+
+  test('Replacing the references of the meta-arguments', () => {
+    const content = convert(`
+      resource "aws_instance" "web" {
+        depends_on = [aws_subnet.main, module.vpc, aws_iam_role.missing]
+
+        lifecycle {
+          ignore_changes       = [tags]
+          replace_triggered_by = [aws_subnet.main.id]
+        }
+      }
+
+      resource "aws_subnet" "main" {}
+
+      module "vpc" {
+        source = "./vpc"
+      }
+    `);
+
+    expect(content).toContain(
+      [
+        'export const web = resource.aws_instance.web({',
+        "  depends_on: [main, vpc, 'aws_iam_role.missing'],",
+        '  lifecycle: {',
+        "    ignore_changes: ['tags'],",
+        '    replace_triggered_by: [main.id]',
+        '  }',
+        '});'
+      ].join('\n')
+    );
+  });
+
+  test('Defining the referenced blocks first', () => {
+    const content = convert(`
+      output "ip" {
+        value = aws_instance.web.public_ip
+      }
+
+      resource "aws_instance" "web" {}
+    `);
+
+    expect(content.indexOf('export const web')).toBeLessThan(
+      content.indexOf('export const ip')
+    );
+  });
+
+  test('Using a function body for self references', () => {
+    const content = convert(`
+      locals {
+        a = 1
+        b = local.a
+      }
+    `);
+
+    expect(content).toContain('export const local = locals(() => ({');
+    expect(content).toContain('  b: local.a');
+  });
+
+  test('Using the attr helper for the Block properties', () => {
+    const content = convert(`
+      output "a" {
+        value = aws_instance.web.toJSON
+      }
+
+      resource "aws_instance" "web" {}
+    `);
+
+    expect(content).toContain(
+      "import { attr, output, resource } from '@mdawar/terraformjs';"
+    );
+    expect(content).toContain("  value: attr(web, 'toJSON')");
+  });
+
+  test('Referencing the providers', () => {
+    const content = convert(`
+      provider "aws" {
+        alias = "west"
+      }
+
+      module "vpc" {
+        source    = "./vpc"
+        providers = { aws = aws.west }
+      }
+
+      resource "aws_instance" "web" {
+        provider = aws.west
+      }
+    `);
+
+    expect(content).toContain('export const awsWest = provider.aws({');
+    expect(content).toContain('    aws: awsWest');
+    expect(content).toContain('  provider: awsWest');
+  });
+
+  test('Avoiding the name conflicts', () => {
+    const content = convert(`
+      variable "web" {}
+      resource "aws_instance" "web" {}
+      resource "aws_eip" "web" {}
+      resource "aws_eip" "web_" {}
+      variable "data" {}
+    `);
+
+    expect(content).toContain('export const web = variable.web();');
+    expect(content).toContain(
+      'export const resourceAwsInstanceWeb = resource.aws_instance.web();'
+    );
+    expect(content).toContain(
+      'export const resourceAwsEipWeb = resource.aws_eip.web();'
+    );
+    expect(content).toContain(
+      'export const resourceAwsEipWeb2 = resource.aws_eip.web_();'
+    );
+    expect(content).toContain('export const variableData = variable.data();');
+  });
+
+  test('Importing the constants of the other modules', () => {
+    const { modules } = convertConfig([
+      {
+        name: 'main.tf',
+        blocks: parseHCL('resource "aws_instance" "web" { ami = var.ami }')
+      },
+      {
+        name: 'outputs.tf',
+        blocks: parseHCL('output "id" { value = aws_instance.web.id }')
+      },
+      { name: 'variables.tf', blocks: parseHCL('variable "ami" {}') }
+    ]);
+
+    expect(modules.map(({ name }) => name)).toEqual([
+      'main.tf.js',
+      'outputs.tf.js',
+      'variables.tf.js'
+    ]);
+    expect(modules[0].content).toContain(
+      "import { ami } from './variables.tf.js';"
+    );
+    expect(modules[1].content).toContain("import { web } from './main.tf.js';");
+    expect(modules[1].content).toContain('output.id({');
+  });
+
+  test('Using a function body for circular imports', () => {
+    const { modules } = convertConfig([
+      {
+        name: 'a.tf',
+        blocks: parseHCL(
+          'resource "null_resource" "a" { x = null_resource.b.id }'
+        )
+      },
+      {
+        name: 'b.tf',
+        blocks: parseHCL(
+          'resource "null_resource" "b" { x = null_resource.a.id }'
+        )
+      }
+    ]);
+
+    expect(modules[0].content).toContain('resource.null_resource.a(() => ({');
+    expect(modules[1].content).toContain('resource.null_resource.b(() => ({');
+  });
+
+  test('Keeping the for expressions as expressions', () => {
+    const content = convert(`
+      locals {
+        ids = [for s in var.list : upper(s)]
+        map = { for k, v in var.map : k => v.id }
+      }
+    `);
+
+    expect(content).toBe(
+      [
+        "import { locals } from '@mdawar/terraformjs';",
+        '',
+        'export const local = locals({',
+        "  ids: '${[for s in var.list : upper(s)]}',",
+        "  map: '${{ for k, v in var.map : k => v.id }}'",
+        '});',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('Skipping the unsupported blocks', () => {
+    const { modules, warnings } = convertConfig([
+      {
+        name: 'main.tf',
+        blocks: parseHCL('ephemeral "random_password" "db" {\n  length = 16\n}')
+      }
+    ]);
+
+    expect(modules).toEqual([]);
+    expect(warnings).toEqual([
+      'Skipped the unsupported "ephemeral" block in "main.tf"'
+    ]);
+  });
+
+  test('Converting the refactoring blocks and the terraform_data resources', () => {
+    const content = convert(
+      [
+        'resource "terraform_data" "web" {',
+        '  input = "web"',
+        '}',
+        'moved {',
+        '  from = null_resource.web',
+        '  to   = terraform_data.web',
+        '}',
+        'import {',
+        '  to = aws_instance.app["a"]',
+        '  id = "i-123"',
+        '}',
+        'removed {',
+        '  from = aws_instance.old',
+        '}'
+      ].join('\n')
+    );
+
+    expect(content).toBe(
+      [
+        "import { importBlock, moved, removed, terraformData } from '@mdawar/terraformjs';",
+        '',
+        'export const web = terraformData.web({',
+        "  input: 'web'",
+        '});',
+        '',
+        'export const movedWeb = moved({',
+        "  from: 'null_resource.web',",
+        '  to: web',
+        '});',
+        '',
+        'export const importApp = importBlock({',
+        '  to: \'aws_instance.app["a"]\',',
+        "  id: 'i-123'",
+        '});',
+        '',
+        'export const removedOld = removed({',
+        "  from: 'aws_instance.old'",
+        '});',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('Throwing an error for the conflicting module names', () => {
+    expect(() =>
+      convertConfig([
+        { name: 'main.tf', blocks: [] },
+        { name: 'main.tf.json', blocks: [] }
+      ])
+    ).toThrow(
+      'Multiple configuration files would be converted to "main.tf.js"'
+    );
+  });
+});
+
+describe('importConfig function', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+
+    fs.promises.stat.mockResolvedValue({ isDirectory: () => true });
+    fs.promises.readdir.mockResolvedValue(
+      ['main.tf', 'main.tf.js', 'vars.tf.json', 'generated.tf.json'].map(
+        name => ({ name, isFile: () => true })
+      )
+    );
+    fs.promises.readFile.mockImplementation(async filePath => {
+      const files = {
+        '.terraformjs-manifest.json': JSON.stringify({
+          files: { 'generated.tf.json': { source: 'generated.tf.js' } }
+        }),
+        'main.tf': 'variable "a" {}',
+        'vars.tf.json': '{"variable": {"b": {}}}'
+      };
+
+      return files[filePath.split('/').pop()];
+    });
+  });
+
+  test('Importing the configuration files of a directory', async () => {
+    expect.assertions(3);
+
+    fs.promises.access.mockRejectedValue(new Error('ENOENT'));
+
+    const result = await importConfig('/project', { out: '/out' });
+
+    expect(result.modules).toEqual(['main.tf.js', 'vars.tf.js']);
+    expect(result.sources).toEqual(['main.tf', 'vars.tf.json']);
+    expect(fs.promises.writeFile).toHaveBeenCalledWith(
+      '/out/vars.tf.js',
+      "import { variable } from '@mdawar/terraformjs';\n\nexport const b = variable.b();\n",
+      'utf8'
+    );
+  });
+
+  test('Refusing to overwrite the existing modules', async () => {
+    expect.assertions(2);
+
+    fs.promises.access.mockResolvedValue();
+
+    await expect(importConfig('/project')).rejects.toThrow(
+      'Refusing to overwrite "main.tf.js"'
+    );
+    expect(fs.promises.writeFile).not.toHaveBeenCalled();
+  });
+
+  test('Overwriting the existing modules when forced', async () => {
+    expect.assertions(1);
+
+    fs.promises.access.mockResolvedValue();
+
+    await importConfig('/project', { force: true });
+
+    expect(fs.promises.writeFile).toHaveBeenCalledTimes(2);
+  });
+
+  test('Adding the file name to the syntax errors', async () => {
+    expect.assertions(1);
+
+    fs.promises.stat.mockResolvedValue({ isDirectory: () => false });
+    fs.promises.readFile.mockResolvedValue('variable {');
+
+    await expect(importConfig('/project/main.tf')).rejects.toThrow(
+      /^main\.tf: /
+    );
+  });
+});
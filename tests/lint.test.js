@@ -0,0 +1,236 @@
+import {
+  resource,
+  data,
+  variable,
+  locals,
+  provider,
+  output,
+  moved
+} from '../src/index.js';
+import { createProject, lint, formatText, formatSARIF } from '../src/lint.js';
+
+/**
+ * Creates a lint project from an object of the file names to the exports.
+ */
+function project(files) {
+  return createProject(new Map(Object.entries(files)));
+}
+
+describe('lint function', () => {
+  test('Passing a valid configuration', async () => {
+    expect.assertions(1);
+
+    const region = variable.region({ default: 'us-east-1' });
+    const ami = data.aws_ami.ubuntu({ most_recent: true });
+    const size = locals({ size: 't2.micro' });
+    const web = resource.aws_instance.web({
+      ami: ami.id,
+      instance_type: '${local.size}',
+      user_data: 'echo $${HOME}',
+      depends_on: [ami]
+    });
+
+    const result = lint(
+      await project({
+        'main.tf.js': { region, ami, size, web },
+        'providers.tf.js': {
+          aws: provider.aws({ region: region.value }),
+          ip: output.ip({ value: web.public_ip }),
+          renamed: moved({ from: 'aws_instance.old', to: web })
+        }
+      })
+    );
+
+    expect(result.issues).toEqual([]);
+  });
+
+  test('Reporting the issues of the built-in rules', async () => {
+    expect.assertions(1);
+
+    // Not exported
+    const ami = data.aws_ami.ubuntu({});
+
+    const result = lint(
+      await project({
+        'a.tf.js': {
+          unused: variable.unused({
+            validation: { condition: '${var.unused != ""}' }
+          }),
+          web: resource.aws_instance.web({
+            ami: ami.id,
+            instance_type: '${local.size}',
+            tags: { Name: '${var.name}' }
+          })
+        },
+        'b.tf.js': {
+          other: resource.aws_instance.web({})
+        }
+      })
+    );
+
+    expect(
+      result.issues.map(({ rule, severity, file, exportName, message }) => [
+        rule,
+        severity,
+        file,
+        exportName,
+        message
+      ])
+    ).toEqual([
+      [
+        'unused-variable',
+        'warning',
+        'a.tf.js',
+        'unused',
+        'The variable "unused" is not used'
+      ],
+      [
+        'unexported-reference',
+        'error',
+        'a.tf.js',
+        'web',
+        'data.aws_ami.ubuntu is referenced but not exported by any file'
+      ],
+      [
+        'undeclared-variable',
+        'error',
+        'a.tf.js',
+        'web',
+        'The variable "name" is not declared'
+      ],
+      [
+        'undeclared-local',
+        'error',
+        'a.tf.js',
+        'web',
+        'The local value "size" is not declared'
+      ],
+      [
+        'duplicate-address',
+        'error',
+        'b.tf.js',
+        'other',
+        'resource.aws_instance.web is already defined by the "web" export of a.tf.js'
+      ]
+    ]);
+  });
+
+  test('Linting the included blocks that are not exported', async () => {
+    expect.assertions(2);
+
+    const password = variable.password({ sensitive: true });
+
+    const files = await createProject(
+      new Map([
+        ['main.tf.js', { db: resource.aws_db_instance.main({ password }) }]
+      ]),
+      new Map([['main.tf.js', [password]]])
+    );
+
+    expect(files.declarations.get('variable.password')).toEqual([
+      expect.objectContaining({ file: 'main.tf.js', exportName: null })
+    ]);
+    expect(lint(files).issues).toEqual([]);
+  });
+
+  test('Configuring the severities and the custom rules', async () => {
+    expect.assertions(2);
+
+    const requireTags = {
+      name: 'require-tags',
+      check(block, { report }) {
+        if (block.type === 'resource' && !block.body.tags) {
+          report('Missing tags');
+        }
+      }
+    };
+
+    const files = await project({
+      'main.tf.js': {
+        unused: variable.unused({}),
+        web: resource.aws_instance.web({})
+      }
+    });
+
+    const { issues } = lint(files, {
+      rules: { 'unused-variable': 'off', 'require-tags': 'warning' },
+      customRules: [requireTags]
+    });
+
+    expect(issues).toEqual([
+      {
+        rule: 'require-tags',
+        severity: 'warning',
+        message: 'Missing tags',
+        file: 'main.tf.js',
+        exportName: 'web',
+        address: 'resource.aws_instance.web'
+      }
+    ]);
+    expect(() => lint(files, { rules: { 'missing-rule': 'off' } })).toThrow(
+      'Unknown lint rule "missing-rule"'
+    );
+  });
+});
+
+describe('Lint reporters', () => {
+  const issues = [
+    {
+      rule: 'unused-variable',
+      severity: 'warning',
+      message: 'The variable "unused" is not used',
+      file: 'main.tf.js',
+      exportName: 'unused',
+      address: 'variable.unused'
+    }
+  ];
+
+  test('Formatting the issues as text', () => {
+    expect(formatText([])).toBe('');
+    expect(formatText(issues)).toBe(
+      [
+        'main.tf.js',
+        '  warning  variable.unused  The variable "unused" is not used  (unused-variable)',
+        '',
+        '1 problem (0 errors, 1 warning)'
+      ].join('\n')
+    );
+  });
+
+  test('Formatting the issues as SARIF', () => {
+    const log = JSON.parse(
+      formatSARIF(issues, [{ name: 'unused-variable', severity: 'warning' }])
+    );
+
+    expect(log.version).toBe('2.1.0');
+    expect(log.runs[0].tool.driver.rules[0].id).toBe('unused-variable');
+    expect(log.runs[0].results).toEqual([
+      {
+        ruleId: 'unused-variable',
+        level: 'warning',
+        message: { text: 'The variable "unused" is not used' },
+        locations: [
+          {
+            physicalLocation: { artifactLocation: { uri: 'main.tf.js' } },
+            logicalLocations: [
+              { name: 'unused', fullyQualifiedName: 'variable.unused' }
+            ]
+          }
+        ]
+      }
+    ]);
+  });
+
+  test('Naming the SARIF locations of the blocks that are not exported', () => {
+    const log = JSON.parse(
+      formatSARIF(
+        [{ ...issues[0], exportName: null }],
+        [{ name: 'unused-variable', severity: 'warning' }]
+      )
+    );
+
+    expect(log.runs[0].results[0].locations[0].logicalLocations).toEqual([
+      { name: 'variable.unused', fullyQualifiedName: 'variable.unused' }
+    ]);
+  });
+});
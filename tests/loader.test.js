@@ -0,0 +1,148 @@
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { execFile } from 'child_process';
+import { resource } from '../src/index.js';
+import { isCommonJS, toExports, getCandidates } from '../src/loader.js';
+
+describe('isCommonJS function', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'terraformjs-'));
+
+    await fs.mkdir(path.join(dir, 'esm'));
+    await fs.writeFile(path.join(dir, 'package.json'), '{}');
+    await fs.writeFile(
+      path.join(dir, 'esm', 'package.json'),
+      '{ "type": "module" }'
+    );
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true });
+  });
+
+  test('Using the extensions and the type of the nearest package', async () => {
+    expect.assertions(5);
+
+    expect(await isCommonJS(path.join(dir, 'main.tf.cjs'))).toBe(true);
+    expect(await isCommonJS(path.join(dir, 'main.tf.js'))).toBe(true);
+    expect(await isCommonJS(path.join(dir, 'esm', 'main.tf.js'))).toBe(false);
+    expect(await isCommonJS(path.join(dir, 'main.tf.mjs'))).toBe(false);
+    expect(await isCommonJS(path.join(dir, 'main.tf.ts'))).toBe(false);
+  });
+});
+
+describe('toExports function', () => {
+  test('Using the properties of module.exports as the named exports', () => {
+    const exports = { web: resource.aws_instance.web({}) };
+
+    expect(toExports(exports)).toBe(exports);
+  });
+
+  test('Using the other values as the default export', () => {
+    const web = resource.aws_instance.web({});
+    const blocks = [web];
+
+    expect(toExports(web).default).toBe(web);
+    expect(toExports(blocks).default).toBe(blocks);
+  });
+});
+
+describe('getCandidates function', () => {
+  test('Returning the TypeScript files of the module specifiers', () => {
+    expect(getCandidates('./lib.js')).toEqual(['./lib.ts']);
+    expect(getCandidates('./lib.mjs')).toEqual(['./lib.mts']);
+    expect(getCandidates('./lib')).toEqual(['./lib.ts']);
+    expect(getCandidates('./data.json')).toEqual([]);
+  });
+});
+
+describe('Importing the TypeScript and CommonJS modules', () => {
+  const srcDir = path.join(__dirname, '..', 'src');
+
+  let dir;
+
+  /**
+   * Imports the source files in a new Node.js process using importModule.
+   *
+   * The modules are imported outside of Jest to use the module hooks of Node.js.
+   */
+  const importFiles = files =>
+    new Promise((resolve, reject) => {
+      const script = `
+        import { importModule } from '${path.join(srcDir, 'loader.js')}';
+        import { synth } from '${path.join(srcDir, 'index.js')}';
+
+        const configs = [];
+
+        for (const file of ${JSON.stringify(
+          files.map(file => path.join(dir, file))
+        )}) {
+          configs.push(await synth(await importModule(file)));
+        }
+
+        console.log(JSON.stringify(configs));
+      `;
+
+      execFile(
+        process.execPath,
+        ['--input-type=module', '-e', script],
+        { cwd: dir },
+        (err, stdout) => (err ? reject(err) : resolve(JSON.parse(stdout)))
+      );
+    });
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'terraformjs-'));
+
+    // Transpiler of the test modules stripping the type annotations
+    await fs.mkdir(path.join(dir, 'node_modules', 'typescript'), {
+      recursive: true
+    });
+    await fs.writeFile(
+      path.join(dir, 'node_modules', 'typescript', 'index.js'),
+      'module.exports = {\n' +
+        '  ModuleKind: {},\n' +
+        '  ScriptTarget: {},\n' +
+        "  transpileModule: source => ({ outputText: source.replace(/: string/g, '') })\n" +
+        '};\n'
+    );
+    await fs.writeFile(
+      path.join(dir, 'name.ts'),
+      "export const name: string = 'eu-west-1';\n"
+    );
+    await fs.writeFile(
+      path.join(dir, 'main.tf.ts'),
+      `import { variable } from '${path.join(srcDir, 'index.js')}';\n` +
+        "import { name } from './name.js';\n" +
+        'export const region = variable.region({ default: name });\n'
+    );
+    await fs.writeFile(
+      path.join(dir, 'network.tf.cjs'),
+      `const { resource } = require('${path.join(srcDir, 'index.js')}');\n` +
+        'module.exports = { vpc: resource.aws_vpc.main({}) };\n'
+    );
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true });
+  });
+
+  test('Transpiling the TypeScript files and their imports', async () => {
+    expect.assertions(1);
+
+    await expect(importFiles(['main.tf.ts'])).resolves.toEqual([
+      { variable: { region: { default: 'eu-west-1' } } }
+    ]);
+  }, 20000);
+
+  test('Using the module.exports of the CommonJS modules', async () => {
+    expect.assertions(1);
+
+    await expect(importFiles(['network.tf.cjs'])).resolves.toEqual([
+      { resource: { aws_vpc: { main: {} } } }
+    ]);
+  }, 20000);
+});
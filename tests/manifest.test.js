@@ -0,0 +1,341 @@
+import fs from 'fs';
+import {
+  MANIFEST_FILE,
+  hashContent,
+  readManifest,
+  writeManifest,
+  trackFile,
+  getFileStatus,
+  checkOverwrite,
+  removeGeneratedFiles
+} from '../src/manifest.js';
+
+jest.mock('fs', () => {
+  return {
+    promises: {
+      readFile: jest.fn(),
+      writeFile: jest.fn(),
+      unlink: jest.fn()
+    }
+  };
+});
+
+/**
+ * Returns an error object with a code.
+ */
+function errorWithCode(code) {
+  const err = new Error(code);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Mocks fs.readFile to return the content of the files in the object.
+ */
+function mockFiles(files) {
+  fs.promises.readFile.mockImplementation(async filePath => {
+    const name = filePath.split('/').pop();
+
+    if (name in files) {
+      return files[name];
+    }
+
+    throw errorWithCode('ENOENT');
+  });
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('hashContent function', () => {
+  test('Hashing a content returns a prefixed SHA-256 hash', () => {
+    expect(hashContent('')).toBe(
+      'sha256-e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+    );
+  });
+
+  test('Hashing different contents returns different hashes', () => {
+    expect(hashContent('a')).not.toBe(hashContent('b'));
+  });
+});
+
+describe('readManifest function', () => {
+  test('Reading a manifest file', async () => {
+    expect.assertions(2);
+
+    const manifest = {
+      files: { 'main.tf.json': { source: 'main.tf.js', hash: 'sha256-1' } }
+    };
+
+    fs.promises.readFile.mockResolvedValue(JSON.stringify(manifest));
+
+    expect(await readManifest('/path/to/dir')).toEqual(manifest);
+    expect(fs.promises.readFile).toBeCalledWith(
+      `/path/to/dir/${MANIFEST_FILE}`,
+      'utf8'
+    );
+  });
+
+  test('Reading a missing manifest file returns an empty manifest', async () => {
+    expect.assertions(1);
+
+    fs.promises.readFile.mockRejectedValue(errorWithCode('ENOENT'));
+
+    expect(await readManifest('/path/to/dir')).toEqual({ files: {} });
+  });
+
+  test('fs.readFile rejecting with an error', async () => {
+    expect.assertions(1);
+
+    fs.promises.readFile.mockRejectedValue(errorWithCode('EACCES'));
+
+    return await expect(readManifest('/path/to/dir')).rejects.toThrow('EACCES');
+  });
+});
+
+describe('writeManifest function', () => {
+  test('Writing a manifest file', async () => {
+    expect.assertions(1);
+
+    const manifest = {
+      files: { 'main.tf.json': { source: 'main.tf.js', hash: 'sha256-1' } }
+    };
+
+    await writeManifest('/path/to/dir', manifest);
+
+    expect(fs.promises.writeFile).toBeCalledWith(
+      `/path/to/dir/${MANIFEST_FILE}`,
+      JSON.stringify(manifest, null, 2) + '\n',
+      'utf8'
+    );
+  });
+
+  test('Writing an empty manifest removes the manifest file', async () => {
+    expect.assertions(2);
+
+    await writeManifest('/path/to/dir', { files: {} });
+
+    expect(fs.promises.writeFile).not.toBeCalled();
+    expect(fs.promises.unlink).toBeCalledWith(`/path/to/dir/${MANIFEST_FILE}`);
+  });
+
+  test('Writing an empty manifest when the manifest file does not exist', async () => {
+    expect.assertions(1);
+
+    fs.promises.unlink.mockRejectedValue(errorWithCode('ENOENT'));
+
+    await expect(writeManifest('/path/to/dir', { files: {} })).resolves.toBe(
+      undefined
+    );
+  });
+});
+
+describe('trackFile function', () => {
+  test('Tracking a generated file', () => {
+    const manifest = { files: {} };
+
+    trackFile(manifest, 'main.tf.json', 'main.tf.js', '[]');
+
+    expect(manifest.files).toEqual({
+      'main.tf.json': { source: 'main.tf.js', hash: hashContent('[]') }
+    });
+  });
+});
+
+describe('getFileStatus function', () => {
+  const manifest = {
+    files: {
+      'generated.tf.json': {
+        source: 'generated.tf.js',
+        hash: hashContent('[]')
+      },
+      'modified.tf.json': { source: 'modified.tf.js', hash: hashContent('[]') }
+    }
+  };
+
+  beforeEach(() => {
+    mockFiles({
+      'generated.tf.json': '[]',
+      'modified.tf.json': '[{}]',
+      'custom.tf.json': '{}'
+    });
+  });
+
+  test('Getting the status of a missing file', async () => {
+    expect.assertions(1);
+
+    expect(await getFileStatus('/dir', manifest, 'missing.tf.json')).toBe(
+      'missing'
+    );
+  });
+
+  test('Getting the status of a generated file', async () => {
+    expect.assertions(1);
+
+    expect(await getFileStatus('/dir', manifest, 'generated.tf.json')).toBe(
+      'generated'
+    );
+  });
+
+  test('Getting the status of a modified generated file', async () => {
+    expect.assertions(1);
+
+    expect(await getFileStatus('/dir', manifest, 'modified.tf.json')).toBe(
+      'modified'
+    );
+  });
+
+  test('Getting the status of a file that was not generated', async () => {
+    expect.assertions(1);
+
+    expect(await getFileStatus('/dir', manifest, 'custom.tf.json')).toBe(
+      'untracked'
+    );
+  });
+});
+
+describe('checkOverwrite function', () => {
+  const manifest = {
+    files: {
+      'generated.tf.json': {
+        source: 'generated.tf.js',
+        hash: hashContent('[]')
+      },
+      'modified.tf.json': { source: 'modified.tf.js', hash: hashContent('[]') }
+    }
+  };
+
+  beforeEach(() => {
+    mockFiles({
+      'generated.tf.json': '[]',
+      'modified.tf.json': '[{}]',
+      'custom.tf.json': '{}'
+    });
+  });
+
+  test('Overwriting a missing or a generated file is allowed', async () => {
+    expect.assertions(2);
+
+    await expect(
+      checkOverwrite('/dir', manifest, 'missing.tf.json')
+    ).resolves.toBe(undefined);
+    await expect(
+      checkOverwrite('/dir', manifest, 'generated.tf.json')
+    ).resolves.toBe(undefined);
+  });
+
+  test('Overwriting a file that was not generated is refused', async () => {
+    expect.assertions(1);
+
+    await expect(
+      checkOverwrite('/dir', manifest, 'custom.tf.json')
+    ).rejects.toThrow('it was not generated by TerraformJS');
+  });
+
+  test('Overwriting a modified generated file is refused', async () => {
+    expect.assertions(1);
+
+    await expect(
+      checkOverwrite('/dir', manifest, 'modified.tf.json')
+    ).rejects.toThrow('it was modified after being generated');
+  });
+
+  test('Overwriting any file is allowed when forced', async () => {
+    expect.assertions(3);
+
+    await expect(
+      checkOverwrite('/dir', manifest, 'custom.tf.json', true)
+    ).resolves.toBe(undefined);
+    await expect(
+      checkOverwrite('/dir', manifest, 'modified.tf.json', true)
+    ).resolves.toBe(undefined);
+    expect(fs.promises.readFile).not.toBeCalled();
+  });
+});
+
+describe('removeGeneratedFiles function', () => {
+  function createManifest() {
+    return {
+      files: {
+        'generated.tf.json': {
+          source: 'generated.tf.js',
+          hash: hashContent('[]')
+        },
+        'modified.tf.json': {
+          source: 'modified.tf.js',
+          hash: hashContent('[]')
+        },
+        'missing.tf.json': { source: 'missing.tf.js', hash: hashContent('[]') }
+      }
+    };
+  }
+
+  beforeEach(() => {
+    mockFiles({
+      'generated.tf.json': '[]',
+      'modified.tf.json': '[{}]',
+      'custom.tf.json': '{}'
+    });
+  });
+
+  test('Removing the generated files only', async () => {
+    expect.assertions(4);
+
+    const manifest = createManifest();
+
+    const result = await removeGeneratedFiles('/dir', manifest);
+
+    expect(result).toEqual({
+      removed: ['generated.tf.json'],
+      modified: ['modified.tf.json']
+    });
+    expect(fs.promises.unlink).toBeCalledTimes(1);
+    expect(fs.promises.unlink).toBeCalledWith('/dir/generated.tf.json');
+    // The modified file is still tracked
+    expect(Object.keys(manifest.files)).toEqual(['modified.tf.json']);
+  });
+
+  test('Removing the modified generated files when forced', async () => {
+    expect.assertions(3);
+
+    const manifest = createManifest();
+
+    const result = await removeGeneratedFiles('/dir', manifest, true);
+
+    expect(result).toEqual({
+      removed: ['generated.tf.json', 'modified.tf.json'],
+      modified: ['modified.tf.json']
+    });
+    expect(fs.promises.unlink).toBeCalledTimes(2);
+    expect(manifest.files).toEqual({});
+  });
+
+  test('Removing some of the generated files', async () => {
+    expect.assertions(3);
+
+    const manifest = createManifest();
+
+    const result = await removeGeneratedFiles('/dir', manifest, false, [
+      'generated.tf.json',
+      'untracked.tf.json'
+    ]);
+
+    expect(result).toEqual({ removed: ['generated.tf.json'], modified: [] });
+    expect(fs.promises.unlink).toBeCalledWith('/dir/generated.tf.json');
+    expect(Object.keys(manifest.files)).toEqual([
+      'modified.tf.json',
+      'missing.tf.json'
+    ]);
+  });
+
+  test('fs.unlink rejecting with an error', async () => {
+    expect.assertions(1);
+
+    fs.promises.unlink.mockRejectedValue(errorWithCode('EACCES'));
+
+    await expect(
+      removeGeneratedFiles('/dir', createManifest())
+    ).rejects.toThrow('EACCES');
+  });
+});
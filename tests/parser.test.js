@@ -0,0 +1,218 @@
+import { tokenize, parseHCL, parseJSON, parseConfig } from '../src/parser.js';
+
+describe('tokenize function', () => {
+  test('Skipping the comments and merging the newlines', () => {
+    const tokens = tokenize(
+      '# comment\na = 1 // comment\n\n/* multi\nline */ b'
+    );
+
+    expect(tokens.map(token => token.type)).toEqual([
+      'ident',
+      'punct',
+      'number',
+      'newline',
+      'ident',
+      'eof'
+    ]);
+  });
+
+  test('Throwing an error for unterminated comments', () => {
+    expect(() => tokenize('a = 1 /* comment')).toThrow('Unterminated comment');
+  });
+});
+
+describe('parseHCL function', () => {
+  test('Parsing blocks with labels and literal attributes', () => {
+    const source = `
+      variable "region" {
+        default     = "us-east-1"
+        description = "AWS region"
+        sensitive   = false
+        nullable    = null
+      }
+
+      resource "aws_instance" "web" {
+        count = 2
+        ratio = -1.5
+      }
+    `;
+
+    expect(parseHCL(source)).toEqual([
+      {
+        type: 'variable',
+        labels: ['region'],
+        body: {
+          default: 'us-east-1',
+          description: 'AWS region',
+          sensitive: false,
+          nullable: null
+        }
+      },
+      {
+        type: 'resource',
+        labels: ['aws_instance', 'web'],
+        body: { count: 2, ratio: -1.5 }
+      }
+    ]);
+  });
+
+  test('Converting the expressions to interpolation strings', () => {
+    const source = `
+      locals {
+        ami     = data.aws_ami.ubuntu.id
+        name    = "app-\${var.env}"
+        escaped = "$\${HOME}"
+        names   = [for s in var.list : upper(s) if s != ""]
+        size    = var.large ? 2 : 1
+        ids     = aws_instance.web[*].id
+        first   = var.list[0]
+      }
+    `;
+
+    expect(parseHCL(source)[0].body).toEqual({
+      ami: '${data.aws_ami.ubuntu.id}',
+      name: 'app-${var.env}',
+      escaped: '$${HOME}',
+      names: '${[for s in var.list : upper(s) if s != ""]}',
+      size: '${var.large ? 2 : 1}',
+      ids: '${aws_instance.web[*].id}',
+      first: '${var.list[0]}'
+    });
+  });
+
+  test('Parsing objects and tuples', () => {
+    const source = `
+      locals {
+        tags = {
+          Name    = "web"
+          "a.b"   = 1
+          (var.k) = 2
+        }
+        list = ["a", 1, true]
+      }
+    `;
+
+    expect(parseHCL(source)[0].body).toEqual({
+      tags: { Name: 'web', 'a.b': 1, '${var.k}': 2 },
+      list: ['a', 1, true]
+    });
+  });
+
+  test('Keeping the bare expressions of the meta-arguments', () => {
+    const source = `
+      variable "list" {
+        type = list(string)
+      }
+
+      resource "aws_instance" "web" {
+        provider   = aws.west
+        depends_on = [aws_vpc.main]
+
+        lifecycle {
+          ignore_changes = [tags]
+        }
+      }
+    `;
+
+    const [variable, resource] = parseHCL(source);
+
+    expect(variable.body).toEqual({ type: 'list(string)' });
+    expect(resource.body).toEqual({
+      provider: 'aws.west',
+      depends_on: ['aws_vpc.main'],
+      lifecycle: { ignore_changes: ['tags'] }
+    });
+  });
+
+  test('Merging the nested blocks', () => {
+    const source = `
+      terraform {
+        backend "s3" {
+          bucket = "state"
+        }
+      }
+
+      resource "aws_security_group" "web" {
+        ingress {
+          from_port = 80
+        }
+
+        ingress {
+          from_port = 443
+        }
+      }
+    `;
+
+    const [terraform, resource] = parseHCL(source);
+
+    expect(terraform.body).toEqual({ backend: { s3: { bucket: 'state' } } });
+    expect(resource.body).toEqual({
+      ingress: [{ from_port: 80 }, { from_port: 443 }]
+    });
+  });
+
+  test('Parsing the heredoc strings', () => {
+    const source = [
+      'locals {',
+      '  script = <<EOT',
+      'echo hello',
+      'EOT',
+      '  indented = <<-EOT',
+      '    first',
+      '      second',
+      '    EOT',
+      '}'
+    ].join('\n');
+
+    expect(parseHCL(source)[0].body).toEqual({
+      script: 'echo hello\n',
+      indented: 'first\n  second\n'
+    });
+  });
+
+  test('Throwing a syntax error with the line number', () => {
+    expect(() => parseHCL('locals {\n  a = \n}')).toThrow(SyntaxError);
+    expect(() => parseHCL('locals {\n  a = \n}')).toThrow(/line 2/);
+  });
+});
+
+describe('parseJSON function', () => {
+  test('Parsing the top-level blocks of a JSON configuration', () => {
+    const source = JSON.stringify({
+      '//': 'comment',
+      resource: {
+        aws_instance: {
+          web: { ami: 'ami-123' },
+          db: [{ ami: 'ami-456' }]
+        }
+      },
+      locals: [{ a: 1 }, { b: 2 }]
+    });
+
+    expect(parseJSON(source)).toEqual([
+      {
+        type: 'resource',
+        labels: ['aws_instance', 'web'],
+        body: { ami: 'ami-123' }
+      },
+      {
+        type: 'resource',
+        labels: ['aws_instance', 'db'],
+        body: { ami: 'ami-456' }
+      },
+      { type: 'locals', labels: [], body: { a: 1 } },
+      { type: 'locals', labels: [], body: { b: 2 } }
+    ]);
+  });
+});
+
+describe('parseConfig function', () => {
+  test('Choosing the syntax using the file name', () => {
+    const expected = [{ type: 'variable', labels: ['a'], body: {} }];
+
+    expect(parseConfig('main.tf', 'variable "a" {}')).toEqual(expected);
+    expect(parseConfig('main.tf.json', '{"variable": {"a": {}}}')).toEqual(
+      expected
+    );
+  });
+});
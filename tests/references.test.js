@@ -0,0 +1,86 @@
+import { resource, data, moved } from '../src/index.js';
+import {
+  findReferences,
+  getReferences,
+  resolveBlockBody
+} from '../src/references.js';
+
+describe('findReferences function', () => {
+  test('Finding the referenced blocks of an expression', () => {
+    expect(
+      findReferences(
+        'var.region == "us-east-1" ? data.aws_ami.ubuntu.id : local.ami'
+      )
+    ).toEqual(['variable.region', 'data.aws_ami.ubuntu', 'local.ami']);
+    expect(
+      findReferences('aws_instance.web[0].private_ip + module.vpc.id')
+    ).toEqual(['resource.aws_instance.web', 'module.vpc']);
+  });
+
+  test('Ignoring the strings, the iterators and the special references', () => {
+    expect(
+      findReferences(
+        '[for my_subnet in var.subnets : my_subnet.id if "aws_x.y" != path.module]'
+      )
+    ).toEqual(['variable.subnets']);
+    expect(findReferences('ingress_rule.value.port', ['ingress_rule'])).toEqual(
+      []
+    );
+    expect(findReferences('count.index + each.value + self.id')).toEqual([]);
+  });
+});
+
+describe('getReferences function', () => {
+  test('Finding the references of a block body', () => {
+    expect(
+      getReferences(
+        {
+          ami: '${data.aws_ami.ubuntu.id}',
+          user_data: 'echo $${HOME} ${var.name}',
+          depends_on: ['aws_s3_bucket.logs'],
+          dynamic: {
+            ingress_rule: { content: { port: '${ingress_rule.value}' } }
+          },
+          lifecycle: { ignore_changes: ['tags_all.name'] }
+        },
+        'resource'
+      )
+    ).toEqual([
+      'data.aws_ami.ubuntu',
+      'variable.name',
+      'resource.aws_s3_bucket.logs'
+    ]);
+    expect(
+      getReferences({ provider: 'aws.west', count: '${var.count}' }, 'data')
+    ).toEqual(['provider.aws.west', 'variable.count']);
+    expect(
+      getReferences(
+        { providers: { aws: 'aws', google: 'google.eu' } },
+        'module'
+      )
+    ).toEqual(['provider.aws', 'provider.google.eu']);
+    expect(
+      getReferences(
+        { from: 'aws_instance.old', to: 'aws_instance.new' },
+        'moved'
+      )
+    ).toEqual(['resource.aws_instance.new']);
+  });
+});
+
+describe('resolveBlockBody function', () => {
+  test('Resolving the body of a block in the JSON syntax', async () => {
+    expect.assertions(2);
+
+    const ami = data.aws_ami.ubuntu({});
+    const web = resource.aws_instance.web(() => ({ ami: ami.id }));
+
+    expect(await resolveBlockBody(web)).toEqual({
+      ami: '${data.aws_ami.ubuntu.id}'
+    });
+    expect(await resolveBlockBody(moved({ from: web, to: 'x.y' }))).toEqual({
+      from: 'aws_instance.web',
+      to: 'x.y'
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import {
+  resource,
+  data,
+  locals,
+  provider,
+  terraform,
+  check,
+  moved,
+  variable
+} from '../src/index.js';
+import {
+  getAddresses,
+  registerBlocks,
+  findUnexportedBlocks
+} from '../src/registry.js';
+import { createObjects } from '../src/utils.js';
+
+describe('getAddresses function', () => {
+  test('Getting the addresses declared by the blocks', () => {
+    expect(getAddresses('resource', ['aws_instance', 'web'], {})).toEqual([
+      'resource.aws_instance.web'
+    ]);
+    expect(getAddresses('locals', [], { a: 1, b: 2 })).toEqual([
+      'local.a',
+      'local.b'
+    ]);
+    expect(getAddresses('provider', ['aws'], { alias: 'west' })).toEqual([
+      'provider.aws.west'
+    ]);
+    expect(getAddresses('terraform', [], { backend: { s3: {} } })).toEqual([
+      'terraform.backend'
+    ]);
+    expect(getAddresses('moved', [], { from: 'a', to: 'b' })).toEqual([]);
+  });
+
+  test('Getting the addresses of the scoped data sources of the checks', () => {
+    expect(
+      getAddresses('check', ['health'], { data: { http: { site: {} } } })
+    ).toEqual(['check.health', 'data.http.site']);
+    expect(
+      getAddresses('check', ['health'], { data: data.http.site({}) })
+    ).toEqual(['check.health', 'data.http.site']);
+  });
+});
+
+describe('registerBlocks function', () => {
+  test('Registering the blocks of multiple modules', async () => {
+    expect.assertions(1);
+
+    const registry = new Map();
+
+    await registerBlocks(registry, 'a.tf.js', {
+      web: resource.aws_instance.web({}),
+      aws: provider.aws({}),
+      west: provider.aws(() => ({ alias: 'west' })),
+      values: locals({ size: 'small' }),
+      renamed: [moved({ from: 'a', to: 'b' }), moved({ from: 'c', to: 'd' })]
+    });
+
+    await registerBlocks(registry, 'b.tf.js', {
+      db: resource.aws_db_instance.web({}),
+      backend: terraform({ backend: { s3: {} } }),
+      health: check.health({ assert: {} })
+    });
+
+    expect(Object.fromEntries(registry)).toEqual({
+      'resource.aws_instance.web': { file: 'a.tf.js', exportName: 'web' },
+      'provider.aws': { file: 'a.tf.js', exportName: 'aws' },
+      'provider.aws.west': { file: 'a.tf.js', exportName: 'west' },
+      'local.size': { file: 'a.tf.js', exportName: 'values' },
+      'resource.aws_db_instance.web': { file: 'b.tf.js', exportName: 'db' },
+      'terraform.backend': { file: 'b.tf.js', exportName: 'backend' },
+      'check.health': { file: 'b.tf.js', exportName: 'health' }
+    });
+  });
+
+  test('Throwing an error for the duplicate blocks', async () => {
+    expect.assertions(2);
+
+    const registry = new Map();
+
+    await registerBlocks(registry, 'a.tf.js', {
+      web: resource.aws_instance.web({}),
+      backend: terraform({ backend: { s3: {} } })
+    });
+
+    await expect(
+      registerBlocks(registry, 'b.tf.js', {
+        other: resource.aws_instance.web({})
+      })
+    ).rejects.toThrow(
+      'Duplicate resource.aws_instance.web defined by the "web" export of a.tf.js and the "other" export of b.tf.js'
+    );
+    await expect(
+      registerBlocks(registry, 'c.tf.js', {
+        cloud: terraform({ cloud: { organization: 'org' } })
+      })
+    ).rejects.toThrow(
+      'Duplicate terraform.backend defined by the "backend" export of a.tf.js and the "cloud" export of c.tf.js'
+    );
+  });
+
+  test('Calling the body functions once when registering and rendering the blocks', async () => {
+    expect.assertions(3);
+
+    const providerBody = jest.fn(async () => ({ alias: 'west' }));
+    const localsBody = jest.fn(async () => ({ size: 't2.micro' }));
+
+    const west = provider.aws(providerBody);
+    const values = locals(localsBody);
+    const registry = new Map();
+
+    await registerBlocks(registry, 'main.tf.js', { west, values });
+    await createObjects([west, values]);
+
+    expect([...registry.keys()]).toEqual(['provider.aws.west', 'local.size']);
+    expect(providerBody).toHaveBeenCalledTimes(1);
+    expect(localsBody).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('findUnexportedBlocks function', () => {
+  test('Finding the referenced blocks that are not exported', async () => {
+    expect.assertions(3);
+
+    const size = variable.size({});
+    const ami = data.aws_ami.ubuntu({ name_regex: size.name });
+    const unused = data.aws_ami.unused({});
+    const web = resource.aws_instance.web(() => ({ ami: ami.id }));
+    const region = variable.region({});
+    const other = variable.region({});
+
+    const found = await findUnexportedBlocks(
+      new Map([
+        ['a.tf.js', { web }],
+        ['b.tf.js', { region }]
+      ]),
+      new Map([
+        ['a.tf.js', [size, ami, unused, web]],
+        // Declared by an exported block
+        ['b.tf.js', [region, other]]
+      ])
+    );
+
+    // The Block instances are compared by identity
+    expect([...found.keys()]).toEqual(['a.tf.js']);
+    expect(found.get('a.tf.js')).toHaveLength(2);
+    expect(
+      found.get('a.tf.js').every((block, i) => block === [size, ami][i])
+    ).toBe(true);
+  });
+
+  test('Finding the unexported blocks used as bare references', async () => {
+    expect.assertions(1);
+
+    const logs = resource.aws_s3_bucket.logs({});
+    const web = resource.aws_instance.web({ depends_on: [logs] });
+
+    const found = await findUnexportedBlocks(
+      new Map([['main.tf.js', { all: [web] }]]),
+      new Map([['main.tf.js', [logs, web]]])
+    );
+
+    expect(found.get('main.tf.js')[0]).toBe(logs);
+  });
+
+  test('Calling the body functions once when searching and rendering the blocks', async () => {
+    expect.assertions(2);
+
+    const body = jest.fn(async () => ({ most_recent: true }));
+
+    const ubuntu = data.aws_ami.ubuntu(body);
+    const web = resource.aws_instance.web({ ami: ubuntu.id });
+
+    const found = await findUnexportedBlocks(
+      new Map([['main.tf.js', { web }]]),
+      new Map([['main.tf.js', [ubuntu, web]]])
+    );
+
+    await createObjects([web, found.get('main.tf.js')]);
+
+    expect(found.get('main.tf.js')[0]).toBe(ubuntu);
+    expect(body).toHaveBeenCalledTimes(1);
+  });
+});
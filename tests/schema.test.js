@@ -0,0 +1,238 @@
+import path from 'path';
+import { resource, data, provider } from '../src/index.js';
+import { createProject, lint } from '../src/lint.js';
+import {
+  loadSchema,
+  findSchema,
+  validateBody,
+  validateBlock,
+  createSchemaRule,
+  toTypeScript,
+  generateTypes
+} from '../src/schema.js';
+
+const schema = {
+  format_version: '1.0',
+  provider_schemas: {
+    'registry.terraform.io/hashicorp/aws': {
+      provider: {
+        block: {
+          attributes: {
+            region: { type: 'string', optional: true, description: 'Region' }
+          }
+        }
+      },
+      resource_schemas: {
+        aws_instance: {
+          block: {
+            attributes: {
+              id: { type: 'string', optional: true, computed: true },
+              arn: { type: 'string', computed: true },
+              ami: { type: 'string', required: true },
+              instance_type: { type: 'string', optional: true },
+              tags: { type: ['map', 'string'], optional: true }
+            },
+            block_types: {
+              ebs_block_device: {
+                nesting_mode: 'set',
+                block: {
+                  attributes: {
+                    device_name: { type: 'string', required: true }
+                  }
+                }
+              },
+              timeouts: {
+                nesting_mode: 'single',
+                block: {
+                  attributes: { create: { type: 'string', optional: true } }
+                }
+              }
+            }
+          }
+        }
+      },
+      data_source_schemas: {
+        aws_ami: {
+          block: {
+            attributes: { most_recent: { type: 'bool', optional: true } }
+          }
+        }
+      }
+    }
+  }
+};
+
+describe('loadSchema function', () => {
+  test('Throwing an error for the missing and invalid files', async () => {
+    expect.assertions(2);
+
+    await expect(loadSchema('missing.schema.json')).rejects.toThrow(
+      'Provider schema file "missing.schema.json" not found'
+    );
+    await expect(
+      loadSchema(path.join(__dirname, '..', 'package.json'))
+    ).rejects.toThrow('Invalid provider schema file');
+  });
+});
+
+describe('validateBody function', () => {
+  const block = findSchema(schema, 'resource', 'aws_instance');
+
+  test('Accepting a valid body', () => {
+    expect(
+      validateBody(
+        {
+          ami: 'ami-123',
+          tags: { Name: 'web' },
+          ebs_block_device: [{ device_name: '/dev/sda1' }],
+          timeouts: { create: '10m' },
+          count: 2
+        },
+        block,
+        ['count']
+      )
+    ).toEqual([]);
+  });
+
+  test('Reporting the invalid arguments and blocks', () => {
+    expect(
+      validateBody(
+        {
+          instance_tpye: 't2.micro',
+          arn: 'arn',
+          ebs_block_device: [{ device_name: '/dev/sda1' }, {}],
+          timeouts: '10m'
+        },
+        block
+      )
+    ).toEqual([
+      'Unknown argument "instance_tpye"',
+      'The argument "arn" is read-only',
+      'Missing the required argument "ebs_block_device.device_name"',
+      'The "timeouts" argument must be a block',
+      'Missing the required argument "ami"'
+    ]);
+  });
+
+  test('Validating the content of the dynamic blocks', () => {
+    expect(
+      validateBody(
+        {
+          ami: 'ami-123',
+          dynamic: {
+            ebs_block_device: { for_each: '${var.disks}', content: {} },
+            network_interface: { for_each: '${var.nics}', content: {} }
+          }
+        },
+        block
+      )
+    ).toEqual([
+      'Missing the required argument "ebs_block_device.device_name"',
+      'Unknown block type "network_interface"'
+    ]);
+  });
+});
+
+describe('validateBlock function', () => {
+  test('Validating the types of the providers in the schema', () => {
+    expect(validateBlock(schema, 'data', ['aws_ami', 'ubuntu'], {})).toEqual(
+      []
+    );
+    expect(
+      validateBlock(schema, 'provider', ['aws'], { alias: 'west' })
+    ).toEqual([]);
+    expect(validateBlock(schema, 'resource', ['aws_bucket', 'b'], {})).toEqual([
+      'Unknown resource type "aws_bucket"'
+    ]);
+    expect(
+      validateBlock(schema, 'resource', ['google_instance', 'vm'], {})
+    ).toEqual([]);
+    expect(validateBlock(schema, 'variable', ['region'], {})).toEqual([]);
+  });
+
+  test('Reporting the issues with the lint rule', async () => {
+    expect.assertions(1);
+
+    const project = await createProject(
+      new Map([
+        [
+          'main.tf.js',
+          {
+            aws: provider.aws({ region: 'us-east-1' }),
+            ami: data.aws_ami.ubuntu({ most_recent: true }),
+            web: resource.aws_instance.web(() => ({ ami: 'ami-123', size: 1 }))
+          }
+        ]
+      ])
+    );
+
+    const { issues } = lint(project, {
+      customRules: [createSchemaRule(schema)]
+    });
+
+    expect(issues).toEqual([
+      {
+        rule: 'provider-schema',
+        severity: 'error',
+        message: 'Unknown argument "size"',
+        file: 'main.tf.js',
+        exportName: 'web',
+        address: 'resource.aws_instance.web'
+      }
+    ]);
+  });
+});
+
+describe('Generating the TypeScript declarations', () => {
+  test('Converting the type constraints', () => {
+    expect(toTypeScript('string')).toBe('string');
+    expect(toTypeScript('bool')).toBe('boolean');
+    expect(toTypeScript(['list', 'number'])).toBe('Value<number>[]');
+    expect(toTypeScript(['map', 'string'])).toBe(
+      'Record<string, Value<string>>'
+    );
+    expect(toTypeScript(['object', { name: 'string', 'a-b': 'bool' }])).toBe(
+      '{ name?: Value<string>; "a-b"?: Value<boolean> }'
+    );
+    expect(toTypeScript(['tuple', ['string', 'number']])).toBe(
+      '[Value<string>, Value<number>]'
+    );
+    expect(toTypeScript('dynamic')).toBe('any');
+  });
+
+  test('Generating the declarations of the schema', () => {
+    const content = generateTypes(schema);
+
+    expect(content).toContain("declare module '@mdawar/terraformjs' {");
+    expect(content).toContain(
+      [
+        '  interface ResourceTypes {',
+        '    aws_instance: {',
+        '      id?: Value<string>;',
+        '      ami: Value<string>;',
+        '      instance_type?: Value<string>;',
+        '      tags?: Value<Record<string, Value<string>>>;',
+        '      ebs_block_device?: {',
+        '        device_name: Value<string>;',
+        '      } | {',
+        '        device_name: Value<string>;',
+        '      }[];',
+        '      timeouts?: {',
+        '        create?: Value<string>;',
+        '      };',
+        '    };',
+        '  }'
+      ].join('\n')
+    );
+    expect(content).toContain(
+      [
+        '    aws: {',
+        '      /**',
+        '       * Region',
+        '       */',
+        '      region?: Value<string>;',
+        '    };'
+      ].join('\n')
+    );
+  });
+});
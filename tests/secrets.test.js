@@ -0,0 +1,87 @@
+import {
+  secret,
+  isSecret,
+  getSecretBlocks,
+  getSecretEnv,
+  redact
+} from '../src/secrets.js';
+import { createError } from '../src/errors.js';
+import { synth } from '../src/synth.js';
+import { resource, variable } from '../src/index.js';
+
+describe('secret function', () => {
+  test('Creating a sensitive variable referenced by the blocks', async () => {
+    expect.assertions(3);
+
+    const password = secret('db_password', 'hunter2');
+    const db = resource.aws_db_instance.main({ password });
+
+    expect(isSecret(password)).toBe(true);
+    expect(isSecret(variable.db_password({}))).toBe(false);
+    expect(await synth([db, password])).toEqual({
+      resource: {
+        aws_db_instance: { main: { password: '${var.db_password}' } }
+      },
+      variable: { db_password: { type: 'string', sensitive: true } }
+    });
+  });
+
+  test('Returning the same variable for the same secret', () => {
+    const token = secret('api_token', 'abc123');
+
+    expect(secret('api_token', 'abc123')).toBe(token);
+    expect(() => secret('api_token', 'other')).toThrow(
+      'The secret "api_token" is already defined with another value'
+    );
+  });
+
+  test('Throwing an error for an invalid name or value', () => {
+    expect(() => secret('db password', 'value')).toThrow(
+      'Invalid secret name "db password"'
+    );
+    expect(() => secret('port', 5432)).toThrow(
+      'The value of the secret "port" must be a string'
+    );
+  });
+});
+
+describe('getSecretBlocks function', () => {
+  test('Returning the variable blocks of the secrets', () => {
+    const key = secret('private_key', 'key');
+    const other = variable.other({});
+
+    const result = getSecretBlocks(
+      new Map([
+        ['main.tf.js', [other, key]],
+        ['other.tf.js', [other]]
+      ])
+    );
+
+    expect([...result.keys()]).toEqual(['main.tf.js']);
+    expect(result.get('main.tf.js')[0]).toBe(key);
+  });
+});
+
+describe('getSecretEnv function', () => {
+  test('Returning the TF_VAR_ environment variables of the secrets', () => {
+    secret('env_password', 'p4ss');
+
+    expect(getSecretEnv()).toEqual(
+      expect.objectContaining({ TF_VAR_env_password: 'p4ss' })
+    );
+  });
+});
+
+describe('redact function', () => {
+  test('Replacing the secret values in the messages', () => {
+    secret('redacted_password', 's3cr3t-value');
+
+    expect(redact('Invalid password: s3cr3t-value')).toBe(
+      'Invalid password: (sensitive value)'
+    );
+    expect(createError(new Error('Failed s3cr3t-value')).message).toBe(
+      'Failed (sensitive value)'
+    );
+    expect(redact(undefined)).toBe(undefined);
+  });
+});
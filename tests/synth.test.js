@@ -0,0 +1,79 @@
+import path from 'path';
+import { synth } from '../src/synth.js';
+import { Block } from '../src/base.js';
+
+const fixtures = path.join(__dirname, 'fixtures', 'synth');
+
+describe('synth function', () => {
+  test('Synthesizing an array of Block instances', async () => {
+    expect.assertions(1);
+
+    const region = new Block('variable', ['region']);
+
+    const config = await synth([
+      region,
+      new Block('provider', ['aws'], { region }),
+      [new Block('resource', ['aws_vpc', 'main'], () => ({ count: 1 }))]
+    ]);
+
+    expect(config).toEqual({
+      variable: { region: {} },
+      provider: { aws: { region: '${var.region}' } },
+      resource: { aws_vpc: { main: { count: 1 } } }
+    });
+  });
+
+  test('Synthesizing a single Block or a module namespace object', async () => {
+    expect.assertions(2);
+
+    const block = new Block('output', ['name'], { value: 'web' });
+
+    expect(await synth(block)).toEqual({
+      output: { name: { value: 'web' } }
+    });
+    expect(await synth({ block, version: '1.0' })).toEqual({
+      output: { name: { value: 'web' } }
+    });
+  });
+
+  test('Merging the blocks with the same type and labels', async () => {
+    expect.assertions(1);
+
+    const config = await synth([
+      new Block('resource', ['aws_instance', 'web'], { ami: 'a' }),
+      new Block('resource', ['aws_instance', 'db'], { ami: 'b' }),
+      new Block('provider', ['aws'], { region: 'us-east-1' }),
+      new Block('provider', ['aws'], { alias: 'west', region: 'us-west-2' }),
+      new Block('locals', [], { a: 1 }),
+      new Block('locals', [], { b: 2 })
+    ]);
+
+    expect(config).toEqual({
+      resource: {
+        aws_instance: { web: { ami: 'a' }, db: { ami: 'b' } }
+      },
+      provider: {
+        aws: [{ region: 'us-east-1' }, { alias: 'west', region: 'us-west-2' }]
+      },
+      locals: [{ a: 1 }, { b: 2 }]
+    });
+  });
+
+  test('Synthesizing the modules of a directory', async () => {
+    expect.assertions(1);
+
+    expect(await synth(fixtures)).toEqual({
+      variable: { cidr: { default: '10.0.0.0/16' } },
+      resource: { aws_vpc: { main: { cidr_block: '${var.cidr}' } } },
+      output: { vpc_id: { value: '${aws_vpc.main.id}' } }
+    });
+  });
+
+  test('Synthesizing a single module file', async () => {
+    expect.assertions(1);
+
+    expect(await synth(path.join(fixtures, 'outputs.tf.js'))).toEqual({
+      output: { vpc_id: { value: '${aws_vpc.main.id}' } }
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import os from 'os';
+import { EventEmitter } from 'events';
+import child_process from 'child_process';
+import {
+  SIGNALS,
+  exitCode,
+  trapSignals,
+  runTerraform
+} from '../src/terraform.js';
+
+jest.mock('child_process', () => {
+  return {
+    spawn: jest.fn()
+  };
+});
+
+/**
+ * Creates a fake child process.
+ */
+function createChild() {
+  const child = new EventEmitter();
+
+  child.pid = 100;
+  child.kill = jest.fn();
+
+  return child;
+}
+
+/**
+ * Returns the number of the listeners of the handled signals.
+ */
+function countListeners() {
+  return SIGNALS.reduce(
+    (count, signal) => count + process.listenerCount(signal),
+    0
+  );
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('exitCode function', () => {
+  test('Returning the exit code of a process', () => {
+    expect(exitCode(0, null)).toBe(0);
+    expect(exitCode(2, null)).toBe(2);
+    expect(exitCode(null, null)).toBe(1);
+  });
+
+  test('Returning the exit code of a process terminated by a signal', () => {
+    expect(exitCode(null, 'SIGINT')).toBe(128 + os.constants.signals.SIGINT);
+    expect(exitCode(null, 'SIGTERM')).toBe(143);
+    expect(exitCode(null, 'SIGKILL')).toBe(137);
+  });
+});
+
+describe('trapSignals function', () => {
+  test('Handling the signals until released', () => {
+    const listeners = countListeners();
+    const handler = jest.fn();
+
+    const release = trapSignals(handler);
+
+    process.emit('SIGTERM');
+    process.emit('SIGINT');
+
+    expect(handler.mock.calls).toEqual([
+      ['SIGTERM', 1],
+      ['SIGINT', 2]
+    ]);
+    expect(countListeners()).toBe(listeners + SIGNALS.length);
+
+    release();
+
+    expect(countListeners()).toBe(listeners);
+  });
+});
+
+describe('runTerraform function', () => {
+  test('Resolving to the exit code of Terraform', async () => {
+    expect.assertions(2);
+
+    const child = createChild();
+
+    child_process.spawn.mockReturnValue(child);
+
+    const result = runTerraform(['plan']);
+
+    child.emit('close', 2, null);
+
+    expect(await result).toEqual({ code: 2, signal: null });
+    expect(child_process.spawn).toBeCalledWith('terraform', ['plan'], {
+      env: process.env,
+      stdio: 'inherit'
+    });
+  });
+
+  test('Passing the environment variables to Terraform', async () => {
+    expect.assertions(1);
+
+    const child = createChild();
+
+    child_process.spawn.mockReturnValue(child);
+
+    const env = { TF_VAR_password: 'secret' };
+    const result = runTerraform(['apply'], { cwd: 'infra', env });
+
+    child.emit('close', 0, null);
+    await result;
+
+    expect(child_process.spawn).toBeCalledWith('terraform', ['apply'], {
+      cwd: 'infra',
+      env,
+      stdio: 'inherit'
+    });
+  });
+
+  test('Forwarding the first signal and killing Terraform on the second', async () => {
+    expect.assertions(3);
+
+    const listeners = countListeners();
+    const child = createChild();
+
+    child_process.spawn.mockReturnValue(child);
+
+    const result = runTerraform(['apply']);
+
+    process.emit('SIGTERM');
+    process.emit('SIGTERM');
+
+    expect(child.kill.mock.calls).toEqual([['SIGTERM'], ['SIGKILL']]);
+
+    child.emit('close', null, 'SIGKILL');
+
+    expect(await result).toEqual({ code: null, signal: 'SIGKILL' });
+    expect(countListeners()).toBe(listeners);
+  });
+
+  test('Forwarding SIGINT only when the input is not a terminal', async () => {
+    expect.assertions(2);
+
+    const child = createChild();
+
+    child_process.spawn.mockReturnValue(child);
+
+    let result = runTerraform([], { forwardInterrupt: false });
+
+    process.emit('SIGINT');
+    child.emit('close', 1, null);
+    await result;
+
+    expect(child.kill).not.toBeCalled();
+
+    result = runTerraform([], { forwardInterrupt: true });
+
+    process.emit('SIGINT');
+    child.emit('close', null, 'SIGINT');
+    await result;
+
+    expect(child.kill).toBeCalledWith('SIGINT');
+  });
+
+  test('Rejecting when Terraform cannot be executed', async () => {
+    expect.assertions(2);
+
+    const listeners = countListeners();
+    const child = createChild();
+
+    // The child process has no pid if it was not spawned
+    child.pid = undefined;
+
+    child_process.spawn.mockReturnValue(child);
+
+    const result = runTerraform([], { command: 'missing' });
+
+    child.emit('error', new Error('spawn missing ENOENT'));
+
+    await expect(result).rejects.toThrow('spawn missing ENOENT');
+    expect(countListeners()).toBe(listeners);
+  });
+});
@@ -0,0 +1,86 @@
+import {
+  findBlock,
+  findResource,
+  findData,
+  getAttribute,
+  matchers
+} from '../src/testing.js';
+
+expect.extend(matchers);
+
+const config = {
+  variable: { region: { default: 'us-east-1' } },
+  resource: {
+    aws_instance: {
+      web: {
+        ami: '${data.aws_ami.ubuntu.id}',
+        tags: { Name: 'web' },
+        ebs_block_device: [{ volume_size: 10 }]
+      }
+    }
+  },
+  data: { aws_ami: { ubuntu: { most_recent: true } } },
+  provider: { aws: [{ region: 'us-east-1' }, { alias: 'west' }] }
+};
+
+describe('Finding blocks', () => {
+  test('Finding a block using its type and labels', () => {
+    expect(findBlock(config, 'variable', 'region')).toEqual({
+      default: 'us-east-1'
+    });
+    expect(findBlock(config, 'provider', 'aws')).toHaveLength(2);
+    expect(findBlock(config, 'output', 'missing')).toBeUndefined();
+    expect(findBlock(config, 'variable', 'region', 'default', 'x')).toBe(
+      undefined
+    );
+  });
+
+  test('Finding resources and data sources', () => {
+    expect(findResource(config, 'aws_instance', 'web')).toBe(
+      config.resource.aws_instance.web
+    );
+    expect(findResource(config, 'aws_instance', 'db')).toBeUndefined();
+    expect(findData(config, 'aws_ami', 'ubuntu')).toEqual({
+      most_recent: true
+    });
+  });
+
+  test('Getting nested attributes', () => {
+    const web = findResource(config, 'aws_instance', 'web');
+
+    expect(getAttribute(web, 'tags.Name')).toBe('web');
+    expect(getAttribute(web, ['ebs_block_device', 0, 'volume_size'])).toBe(10);
+    expect(getAttribute(web, 'ebs_block_device.0.volume_size')).toBe(10);
+    expect(getAttribute(web, 'tags.Missing.Name')).toBeUndefined();
+  });
+});
+
+describe('Jest matchers', () => {
+  test('Checking if a resource exists', () => {
+    expect(config).toHaveResource('aws_instance', 'web');
+    expect(config).not.toHaveResource('aws_instance', 'db');
+    expect(() => expect(config).toHaveResource('aws_instance', 'db')).toThrow(
+      'Expected the configuration to have the resource aws_instance.db'
+    );
+  });
+
+  test('Checking the attributes of a resource', () => {
+    expect(config).toHaveResource('aws_instance', 'web', {
+      'tags.Name': 'web',
+      ami: expect.stringContaining('aws_ami')
+    });
+    expect(config).not.toHaveResource('aws_instance', 'web', {
+      'tags.Name': 'db'
+    });
+    expect(() =>
+      expect(config).toHaveResource('aws_instance', 'web', { ami: 'x' })
+    ).toThrow('Expected the resource aws_instance.web to have the attributes');
+  });
+
+  test('Checking the data sources', () => {
+    expect(config).toHaveDataSource('aws_ami', 'ubuntu', {
+      most_recent: true
+    });
+    expect(config).not.toHaveDataSource('aws_ami', 'debian');
+  });
+});
@@ -0,0 +1,133 @@
+import {
+  tfvars,
+  isTFVars,
+  resolveVariables,
+  getDeclaredVariables,
+  renderVariables
+} from '../src/tfvars.js';
+import { resource, variable } from '../src/index.js';
+
+describe('tfvars function', () => {
+  test('Creating a variable values object', () => {
+    expect(isTFVars(tfvars({ region: 'eu-west-1' }))).toBe(true);
+    expect(isTFVars(tfvars(() => ({})))).toBe(true);
+    expect(isTFVars({ region: 'eu-west-1' })).toBe(false);
+    expect(isTFVars(null)).toBe(false);
+  });
+
+  test('Throwing an error for invalid values', () => {
+    expect(() => tfvars(null)).toThrow(
+      'The variable values must be an object or a function that returns an object'
+    );
+    expect(() => tfvars('region')).toThrow(
+      'The variable values must be an object or a function that returns an object'
+    );
+  });
+});
+
+describe('resolveVariables function', () => {
+  test('Resolving the values of an object or a function', async () => {
+    await expect(
+      resolveVariables(tfvars({ zones: ['a', 'b'] }))
+    ).resolves.toEqual({ zones: ['a', 'b'] });
+    await expect(
+      resolveVariables(tfvars(async () => ({ instance_count: 3 })))
+    ).resolves.toEqual({ instance_count: 3 });
+  });
+
+  test('Throwing an error if the function does not return an object', async () => {
+    await expect(resolveVariables(tfvars(() => [1]))).rejects.toThrow(
+      'The variable values must be an object'
+    );
+  });
+
+  test('Throwing an error for the values that are not literal values', async () => {
+    const web = resource.aws_instance.web({});
+
+    await expect(
+      resolveVariables(tfvars({ ids: { web: web.id } }))
+    ).rejects.toThrow(
+      'The value of the variable "ids" must be a literal value, the expressions are not supported in the variable definitions files'
+    );
+    await expect(resolveVariables(tfvars({ web }))).rejects.toThrow(
+      'The value of the variable "web" must be a literal value'
+    );
+  });
+});
+
+describe('getDeclaredVariables function', () => {
+  test('Returning the variable names of the registered addresses', () => {
+    const registry = new Map([
+      ['variable.region', { file: 'main.tf.js', exportName: 'region' }],
+      ['resource.aws_instance.web', { file: 'main.tf.js', exportName: 'web' }],
+      ['local.name', { file: 'main.tf.js', exportName: 'name' }]
+    ]);
+
+    expect([...getDeclaredVariables(registry)]).toEqual(['region']);
+  });
+});
+
+describe('renderVariables function', () => {
+  test('Merging the values of the tfvars exports', async () => {
+    const exports = {
+      region: variable.region({}),
+      vars: tfvars({ region: 'eu-west-1' }),
+      counts: tfvars(() => ({ instance_count: 2 }))
+    };
+
+    const { content } = await renderVariables(
+      exports,
+      'main.tf.js',
+      new Set(['region', 'instance_count'])
+    );
+
+    expect(JSON.parse(content)).toEqual({
+      region: 'eu-west-1',
+      instance_count: 2
+    });
+  });
+
+  test('Returning a null content without tfvars exports', async () => {
+    await expect(
+      renderVariables({ region: variable.region({}) }, 'main.tf.js')
+    ).resolves.toEqual({ content: null });
+  });
+
+  test('Skipping the validation of the names if the declared variables are not passed', async () => {
+    const { content } = await renderVariables(
+      { vars: tfvars({ region: 'eu-west-1' }) },
+      'main.tf.js'
+    );
+
+    expect(JSON.parse(content)).toEqual({ region: 'eu-west-1' });
+  });
+
+  test('Returning the errors of all the exports', async () => {
+    const { content, errors } = await renderVariables(
+      {
+        vars: tfvars({ region: 'eu-west-1', zone: 'a' }),
+        other: tfvars({ region: 'us-east-1' }),
+        failing: tfvars(() => {
+          throw new Error('Failure');
+        })
+      },
+      'main.tf.js',
+      new Set(['region'])
+    );
+
+    expect(content).toBeUndefined();
+    expect(
+      errors.map(({ exportName, message }) => [exportName, message])
+    ).toEqual([
+      [
+        'vars',
+        'The variable "zone" is not declared, add a variable block: variable.zone({ ... })'
+      ],
+      [
+        'other',
+        'The variable "region" is already assigned by the export "vars"'
+      ],
+      ['failing', 'Failure']
+    ]);
+  });
+});
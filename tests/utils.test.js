@@ -1,6 +1,18 @@
 import fs from 'fs';
-import { getFiles, createBlockObject, generateJSON } from '../src/utils.js';
-import { Block } from '../src/base.js';
+import {
+  getFiles,
+  createBlockObject,
+  createObjects,
+  generateJSON,
+  generateHCL,
+  renderJSON,
+  renderHCL,
+  renderExports,
+  globToRegExp,
+  findFiles,
+  getOutputFiles
+} from '../src/utils.js';
+import { Block, BlockContent } from '../src/base.js';
 
 jest.mock('fs', () => {
   return {
@@ -253,9 +265,136 @@ describe('createBlockObject function', () => {
       await createBlockObject(block);
     } catch (err) {
       expect(err).toBeInstanceOf(Error);
-      expect(err.message).toEqual('Failure');
+      // Prefixed with the block address
+      expect(err.message).toEqual('resource.aws_instance.web: Failure');
     }
   });
+
+  test('Creating bare references for the meta-arguments', async () => {
+    expect.assertions(2);
+
+    const aws = new Block('provider', ['aws'], { alias: 'west' });
+    const vpc = new Block('module', ['vpc']);
+    const subnet = new Block('resource', ['aws_subnet', 'main']);
+
+    const block = new Block('resource', ['aws_instance', 'web'], {
+      provider: aws,
+      depends_on: [vpc, subnet, '${aws_iam_role.web}', 'aws_vpc.main'],
+      lifecycle: {
+        ignore_changes: ['tags'],
+        replace_triggered_by: [subnet.id]
+      }
+    });
+
+    expect(await createBlockObject(block)).toEqual({
+      resource: {
+        aws_instance: {
+          web: {
+            provider: 'aws.west',
+            depends_on: [
+              'module.vpc',
+              'aws_subnet.main',
+              'aws_iam_role.web',
+              'aws_vpc.main'
+            ],
+            lifecycle: {
+              ignore_changes: ['tags'],
+              replace_triggered_by: ['aws_subnet.main.id']
+            }
+          }
+        }
+      }
+    });
+
+    expect(
+      await createBlockObject(
+        new Block('module', ['app'], {
+          source: './app',
+          providers: { aws },
+          depends_on: [vpc]
+        })
+      )
+    ).toEqual({
+      module: {
+        app: {
+          source: './app',
+          providers: { aws: 'aws.west' },
+          depends_on: ['module.vpc']
+        }
+      }
+    });
+  });
+
+  test('Keeping the arguments named like the meta-arguments in the other blocks', async () => {
+    expect.assertions(1);
+
+    const subnet = new Block('resource', ['aws_subnet', 'main']);
+
+    const block = new Block('locals', [], {
+      provider: subnet.id,
+      depends_on: [subnet.id]
+    });
+
+    const object = await createBlockObject(block);
+
+    expect(JSON.parse(JSON.stringify(object))).toEqual({
+      locals: {
+        provider: '${aws_subnet.main.id}',
+        depends_on: ['${aws_subnet.main.id}']
+      }
+    });
+  });
+
+  test('Creating arrays for the moved, import and removed blocks', async () => {
+    expect.assertions(3);
+
+    const web = new Block('resource', ['aws_instance', 'web']);
+
+    expect(
+      await createBlockObject(
+        new Block('moved', [], { from: '${aws_instance.app}', to: web })
+      )
+    ).toEqual({
+      moved: [{ from: 'aws_instance.app', to: 'aws_instance.web' }]
+    });
+    expect(
+      await createBlockObject(
+        new Block('import', [], { to: web.id, id: 'i-123' })
+      )
+    ).toEqual({ import: [{ to: 'aws_instance.web.id', id: 'i-123' }] });
+    expect(
+      await createBlockObject(
+        new Block('removed', [], {
+          from: new BlockContent('module', 'old'),
+          lifecycle: { destroy: false }
+        })
+      )
+    ).toEqual({
+      removed: [{ from: 'module.old', lifecycle: { destroy: false } }]
+    });
+  });
+
+  test('Creating an object of a check block with a scoped data source', async () => {
+    expect.assertions(1);
+
+    const site = new Block('data', ['http', 'site'], {
+      url: 'https://example.com'
+    });
+
+    const block = new Block('check', ['health'], {
+      data: site,
+      assert: { condition: '${data.http.site.status_code == 200}' }
+    });
+
+    expect(await createBlockObject(block)).toEqual({
+      check: {
+        health: {
+          data: { http: { site: { url: 'https://example.com' } } },
+          assert: { condition: '${data.http.site.status_code == 200}' }
+        }
+      }
+    });
+  });
 });
 
 describe('generateJSON function', () => {
@@ -393,6 +532,18 @@ describe('generateJSON function', () => {
     );
   });
 
+  test('Generating a JSON file resolves to the written content', async () => {
+    expect.assertions(1);
+
+    fs.promises.writeFile.mockResolvedValue();
+
+    const blocks = [new Block('variable', ['api_key'])];
+
+    expect(await generateJSON('/path/to/file.json', blocks)).toBe(
+      JSON.stringify([{ variable: { api_key: {} } }], null, 2)
+    );
+  });
+
   test('fs.writeFile rejecting with an error', async () => {
     expect.assertions(1);
 
@@ -405,3 +556,234 @@ describe('generateJSON function', () => {
     );
   });
 });
+
+describe('createObjects function', () => {
+  test('Creating the objects of nested arrays of Block instances', async () => {
+    expect.assertions(1);
+
+    const blocks = [
+      new Block('variable', ['one']),
+      [[new Block('variable', ['two'])], 'ignored']
+    ];
+
+    expect(await createObjects(blocks)).toEqual([
+      { variable: { one: {} } },
+      { variable: { two: {} } }
+    ]);
+  });
+});
+
+describe('generateHCL function', () => {
+  test('Generating an HCL file from an array of Block instances', async () => {
+    expect.assertions(2);
+
+    fs.promises.writeFile.mockResolvedValue();
+
+    const blocks = [
+      new Block('variable', ['name'], { default: 'web' }),
+      [new Block('output', ['name'], { value: '${var.name}' })]
+    ];
+
+    const content = [
+      'variable "name" {',
+      '  default = "web"',
+      '}',
+      '',
+      'output "name" {',
+      '  value = var.name',
+      '}',
+      ''
+    ].join('\n');
+
+    expect(await generateHCL('/path/to/main.tf', blocks)).toBe(content);
+    expect(fs.promises.writeFile).toBeCalledWith(
+      '/path/to/main.tf',
+      content,
+      'utf8'
+    );
+  });
+});
+
+describe('renderJSON and renderHCL functions', () => {
+  test('Rendering the Block instances without writing any file', async () => {
+    expect.assertions(3);
+
+    const blocks = [new Block('variable', ['name'], { default: 'web' })];
+
+    expect(await renderJSON(blocks)).toBe(
+      JSON.stringify([{ variable: { name: { default: 'web' } } }], null, 2)
+    );
+    expect(await renderHCL(blocks)).toBe(
+      'variable "name" {\n  default = "web"\n}\n'
+    );
+    expect(fs.promises.writeFile).not.toBeCalled();
+  });
+});
+
+describe('renderExports function', () => {
+  test('Rendering the exports and the included blocks', async () => {
+    expect.assertions(1);
+
+    const exports = {
+      name: new Block('variable', ['name'], { default: 'web' })
+    };
+    const included = [new Block('variable', ['size'], {})];
+
+    expect(
+      await renderExports(exports, 'main.tf.js', 'json', included)
+    ).toEqual({
+      content: JSON.stringify(
+        [
+          { variable: { name: { default: 'web' } } },
+          { variable: { size: {} } }
+        ],
+        null,
+        2
+      )
+    });
+  });
+
+  test('Reporting the errors of all the exports', async () => {
+    expect.assertions(1);
+
+    const exports = {
+      name: new Block('variable', ['name'], {}),
+      web: new Block('resource', ['aws_instance', 'web'], () => {
+        throw new Error('Missing AMI');
+      }),
+      db: new Block('resource', ['aws_db_instance', 'db'], async () => {
+        throw new Error('Missing engine');
+      })
+    };
+
+    const { content, errors } = await renderExports(
+      exports,
+      'main.tf.js',
+      'hcl'
+    );
+
+    expect([
+      content,
+      errors.map(({ exportName, message }) => [exportName, message])
+    ]).toEqual([
+      undefined,
+      [
+        ['web', 'resource.aws_instance.web: Missing AMI'],
+        ['db', 'resource.aws_db_instance.db: Missing engine']
+      ]
+    ]);
+  });
+});
+
+describe('globToRegExp function', () => {
+  test('Matching the file names in a directory', () => {
+    const regex = globToRegExp('*.tf.js');
+
+    expect(regex.test('main.tf.js')).toBe(true);
+    expect(regex.test('main.tf.json')).toBe(false);
+    expect(regex.test('infra/main.tf.js')).toBe(false);
+  });
+
+  test('Matching the files in any sub directory', () => {
+    const regex = globToRegExp('./infra/**/*.tf.js');
+
+    expect(regex.test('infra/main.tf.js')).toBe(true);
+    expect(regex.test('infra/network/vpc/main.tf.js')).toBe(true);
+    expect(regex.test('main.tf.js')).toBe(false);
+  });
+
+  test('Matching single characters and alternatives', () => {
+    const regex = globToRegExp('{dev,prod}/?.tf.js');
+
+    expect(regex.test('dev/a.tf.js')).toBe(true);
+    expect(regex.test('prod/b.tf.js')).toBe(true);
+    expect(regex.test('test/a.tf.js')).toBe(false);
+    expect(regex.test('dev/ab.tf.js')).toBe(false);
+  });
+});
+
+describe('findFiles function', () => {
+  /**
+   * Returns a mocked fs.Dirent object.
+   */
+  function dirent(name, directory = false) {
+    return {
+      name,
+      isFile: () => !directory,
+      isDirectory: () => directory
+    };
+  }
+
+  beforeEach(() => {
+    fs.promises.readdir.mockImplementation(async dir => {
+      const dirs = {
+        '/project': [
+          dirent('main.tf.js'),
+          dirent('main.tf.json'),
+          dirent('network.tf.ts'),
+          dirent('network.d.ts'),
+          dirent('legacy.tf.cjs'),
+          dirent('infra', true),
+          dirent('node_modules', true),
+          dirent('.git', true)
+        ],
+        '/project/infra': [dirent('vpc.tf.js'), dirent('net', true)],
+        '/project/infra/net': [dirent('subnet.tf.js')]
+      };
+
+      return dirs[dir];
+    });
+  });
+
+  test('Finding the files in the directory only', async () => {
+    expect.assertions(2);
+
+    expect(await findFiles('/project')).toEqual([
+      'legacy.tf.cjs',
+      'main.tf.js',
+      'network.tf.ts'
+    ]);
+    expect(fs.promises.readdir).toBeCalledTimes(1);
+  });
+
+  test('Finding the files in the sub directories', async () => {
+    expect.assertions(2);
+
+    expect(await findFiles('/project', ['**/*.tf.js'])).toEqual([
+      'infra/net/subnet.tf.js',
+      'infra/vpc.tf.js',
+      'main.tf.js'
+    ]);
+    // node_modules and the hidden directories are skipped
+    expect(fs.promises.readdir).toBeCalledTimes(3);
+  });
+});
+
+describe('getOutputFiles function', () => {
+  test('Getting the generated file names', () => {
+    expect(
+      getOutputFiles(
+        ['main.tf.js', 'infra/vpc.tf.js', 'net.tf.ts', 'legacy.tf.cjs'],
+        '.tf.json'
+      )
+    ).toEqual(
+      new Map([
+        ['main.tf.js', 'main.tf.json'],
+        ['infra/vpc.tf.js', 'vpc.tf.json'],
+        ['net.tf.ts', 'net.tf.json'],
+        ['legacy.tf.cjs', 'legacy.tf.json']
+      ])
+    );
+  });
+
+  test('Throwing an error for the conflicting file names', () => {
+    expect(() =>
+      getOutputFiles(['main.tf.js', 'infra/main.tf.js'], '.tf')
+    ).toThrow(
+      'The source files "main.tf.js" and "infra/main.tf.js" generate the same file "main.tf"'
+    );
+    expect(() => getOutputFiles(['main.tf.js', 'main.tf.ts'], '.tf')).toThrow(
+      'The source files "main.tf.js" and "main.tf.ts" generate the same file "main.tf"'
+    );
+  });
+});
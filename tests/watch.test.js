@@ -0,0 +1,278 @@
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import {
+  findImports,
+  getDependencies,
+  buildGraph,
+  getAffectedFiles,
+  renderFiles,
+  watch
+} from '../src/watch.js';
+
+const fixtures = path.join(__dirname, 'fixtures', 'watch');
+const workerPath = path.join(__dirname, '..', 'src', 'worker.js');
+const indexPath = path.join(__dirname, '..', 'src', 'index.js');
+
+describe('findImports function', () => {
+  test('Finding the relative module specifiers', () => {
+    const source = `
+      import { resource } from '@mdawar/terraformjs';
+      import { tags } from "./tags.js";
+      import './side-effect.js';
+      // import { old } from './old.js';
+      /**
+       * @example
+       * import { example } from './example.js';
+       */
+      export { vpc } from '../network/vpc.js';
+      const lazy = await import('./lazy.js');
+    `;
+
+    expect(findImports(source)).toEqual([
+      './tags.js',
+      './side-effect.js',
+      '../network/vpc.js',
+      './lazy.js'
+    ]);
+  });
+});
+
+describe('Dependency graph', () => {
+  test('Getting the dependencies of a module', async () => {
+    expect.assertions(1);
+
+    const dependencies = await getDependencies(
+      path.join(fixtures, 'main.tf.js')
+    );
+
+    // The package modules are local imports of the fixtures too
+    expect([...dependencies].filter(file => file.startsWith(fixtures))).toEqual(
+      [path.join(fixtures, 'main.tf.js'), path.join(fixtures, 'lib', 'tags.js')]
+    );
+  });
+
+  test('Keeping the missing dependencies', async () => {
+    expect.assertions(1);
+
+    const dependencies = await getDependencies(
+      path.join(fixtures, 'broken.tf.js')
+    );
+
+    expect([...dependencies]).toEqual([
+      path.join(fixtures, 'broken.tf.js'),
+      path.join(fixtures, 'lib', 'missing.js')
+    ]);
+  });
+
+  test('Getting the files affected by the changes', async () => {
+    expect.assertions(2);
+
+    const graph = await buildGraph(fixtures, ['broken.tf.js', 'main.tf.js']);
+
+    expect(
+      getAffectedFiles(graph, new Set([path.join(fixtures, 'lib', 'tags.js')]))
+    ).toEqual(['main.tf.js']);
+    expect(
+      getAffectedFiles(graph, new Set([path.join(fixtures, 'other.js')]))
+    ).toEqual([]);
+  });
+});
+
+describe('renderFiles function', () => {
+  test('Rendering the files in a worker thread', async () => {
+    expect.assertions(2);
+
+    const files = ['main.tf.js', 'broken.tf.js'];
+    const [main, broken] = await renderFiles(
+      workerPath,
+      fixtures,
+      files,
+      files,
+      'json'
+    );
+
+    expect(main).toEqual({
+      file: 'main.tf.js',
+      content: JSON.stringify(
+        [{ resource: { aws_vpc: { main: { tags: { Team: 'infra' } } } } }],
+        null,
+        2
+      ),
+      variables: null,
+      warnings: []
+    });
+    expect(broken).toEqual({
+      file: 'broken.tf.js',
+      errors: [
+        expect.objectContaining({
+          file: 'broken.tf.js',
+          exportName: null,
+          message: expect.stringContaining('missing.js')
+        })
+      ]
+    });
+  });
+});
+
+describe('renderFiles function with the files that are not affected', () => {
+  let dir;
+
+  const writeModule = (name, source) =>
+    fs.writeFile(
+      path.join(dir, name),
+      `import { resource, addAspect } from '${indexPath}';\n${source}\n`
+    );
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'terraformjs-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true });
+  });
+
+  test('Applying the aspects added by the other files', async () => {
+    expect.assertions(1);
+
+    await writeModule(
+      'main.tf.js',
+      'export const vpc = resource.aws_vpc.main({});'
+    );
+    await writeModule(
+      'tags.tf.js',
+      "addAspect(({ body }) => { body.tags = { Team: 'infra' }; });"
+    );
+
+    const results = await renderFiles(
+      workerPath,
+      dir,
+      ['main.tf.js', 'tags.tf.js'],
+      ['main.tf.js'],
+      'json'
+    );
+
+    expect(results).toEqual([
+      {
+        file: 'main.tf.js',
+        content: JSON.stringify(
+          [{ resource: { aws_vpc: { main: { tags: { Team: 'infra' } } } } }],
+          null,
+          2
+        ),
+        variables: null,
+        warnings: []
+      }
+    ]);
+  });
+
+  test('Detecting the blocks defined by the other files', async () => {
+    expect.assertions(1);
+
+    await writeModule(
+      'a.tf.js',
+      'export const vpc = resource.aws_vpc.main({});'
+    );
+    await writeModule(
+      'b.tf.js',
+      'export const network = resource.aws_vpc.main({});'
+    );
+
+    const results = await renderFiles(
+      workerPath,
+      dir,
+      ['a.tf.js', 'b.tf.js'],
+      ['a.tf.js'],
+      'json'
+    );
+
+    expect(results).toEqual([
+      expect.objectContaining({ file: 'a.tf.js', content: expect.any(String) }),
+      {
+        file: 'b.tf.js',
+        errors: [
+          expect.objectContaining({
+            file: 'b.tf.js',
+            message: expect.stringContaining('Duplicate resource.aws_vpc.main')
+          })
+        ]
+      }
+    ]);
+  });
+});
+
+describe('watch function', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'terraformjs-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true });
+  });
+
+  test('Regenerating the files affected by the changes', async () => {
+    expect.assertions(3);
+
+    const updates = [];
+
+    let notify;
+
+    const writeModule = (name, value) =>
+      fs.writeFile(
+        path.join(dir, name),
+        `import { variable } from '${indexPath}';\n` +
+          `import { value } from './${value}';\n` +
+          `export const v = variable.v({ default: value });\n`
+      );
+
+    await fs.writeFile(path.join(dir, 'value.js'), 'export const value = 1;');
+    await writeModule('a.tf.js', 'value.js');
+    await writeModule('b.tf.js', 'missing.js');
+
+    const watcher = await watch(dir, {
+      workerPath,
+      onUpdate(result) {
+        updates.push(result);
+
+        if (notify) {
+          notify();
+        }
+      }
+    });
+
+    const nextUpdate = () => new Promise(resolve => (notify = resolve));
+
+    try {
+      expect(updates[0]).toEqual({
+        generated: ['a.tf.json'],
+        removed: [],
+        modified: [],
+        warnings: [],
+        errors: [
+          expect.objectContaining({
+            file: 'b.tf.js',
+            message: expect.any(String)
+          })
+        ]
+      });
+
+      let update = nextUpdate();
+
+      await fs.writeFile(path.join(dir, 'value.js'), 'export const value = 2;');
+      await update;
+
+      expect(updates[1].generated).toEqual(['a.tf.json']);
+
+      update = nextUpdate();
+
+      await fs.unlink(path.join(dir, 'a.tf.js'));
+      await update;
+
+      expect(updates[2].removed).toEqual(['a.tf.json']);
+    } finally {
+      await watcher.close();
+    }
+  }, 20000);
+});